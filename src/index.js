@@ -1,80 +1,201 @@
-import puppeteer from '@cloudflare/puppeteer';
-import { processTemplate, extractTemplateVariables, validateTemplateVariables, sanitizeTemplateVariables, getTemplateSummary } from './utils/template-processor.js';
-import { createSuccessResponse, createErrorResponse, createImageResponse, createOptionsResponse, createHTMLResponse } from './utils/response-utils.js';
-import { generateImageFilename, uploadImageToR2, generateR2PublicUrl, validateR2Bucket } from './utils/r2-storage.js';
-import { validateApiKey, isPublicEndpoint } from './utils/auth-middleware.js';
+import { processTemplate, extractTemplateVariables, validateTemplateVariables, sanitizeTemplateVariables, getTemplateSummary, validatePartialsOption } from './utils/template-processor.js';
+import { validateLocaleOptions } from './utils/template-helpers.js';
+import { createSuccessResponse, createErrorResponse, createImageResponse, createHTMLResponse, createJSONResponse } from './utils/response-utils.js';
+import { generateImageFilename, uploadImageToR2, generateR2PublicUrl, getImageMetadata, validateR2Bucket } from './utils/r2-storage.js';
+import { authMiddleware, rateLimitMiddleware } from './utils/auth-middleware.js';
+import { isSupportedFormat, unsupportedFormatMessage } from './utils/output-formats.js';
+import { validateEncoderOptions } from './utils/image-encoder.js';
+import { generateImage, generateUrlImage, renderPage, validateCaptureOptions, toRenderError } from './utils/renderer.js';
+import { acquireBrowser, getBrowserPoolStats } from './utils/browser-pool.js';
+import {
+  isValidTemplateId,
+  parseVersionSelector,
+  getStoredTemplate,
+  getTemplateVersion,
+  listTemplateVersions,
+  createTemplateVersion,
+  promoteTemplateVersion,
+  deleteStoredTemplate,
+  diffTemplateVersions
+} from './utils/template-store.js';
+import { JOB_STATUS, JOB_MAX_ATTEMPTS, isValidJobId, createJob, getJob, updateJob, canAccessJob, getJobSummary } from './utils/job-store.js';
+import { validateCallbackUrl, deliverWebhook } from './utils/webhook.js';
+import { CACHE_MODES, isValidCacheMode, computeRenderCacheKey } from './utils/render-cache.js';
+import {
+  isValidShellName,
+  validateShellOptions,
+  getStoredShell,
+  saveStoredShell,
+  deleteStoredShell
+} from './utils/document-shell.js';
+import { validateFontsOption, saveFont, listFonts, buildFontFaceCss } from './utils/font-store.js';
+import { validateWaitOptions } from './utils/wait-for.js';
+import { getUrlPolicy, checkUrl } from './utils/url-policy.js';
+import { getResourcePolicy } from './utils/resource-policy.js';
+import { getRateLimits, getRateLimiter, recordRenderUsage } from './utils/rate-limit.js';
+import { getRequestContext } from './utils/request-context.js';
+import { ApiError, toApiError } from './utils/errors.js';
+import { readJsonBody, validateRequestBody, normalizeRenderOptions, REQUEST_LIMITS } from './utils/request-schema.js';
+import { API_ROUTES, API_VERSION, describeEndpoints, buildOpenApiDocument } from './utils/api-spec.js';
+import { Router } from './utils/router.js';
+import { requestIdMiddleware, timingMiddleware, corsMiddleware } from './utils/middleware.js';
+import { renderDocsPage } from './utils/docs-page.js';
+import {
+  validateKeyRecordInput,
+  createApiKey,
+  getKeyRecord,
+  listKeyRecords,
+  updateKeyRecord,
+  deleteKeyRecord,
+  isTemplateAllowed,
+  checkRenderScope,
+  getOutputLimit
+} from './utils/api-key-store.js';
+import { validateInlineAssetsOption, inlineRenderAssets } from './utils/asset-inliner.js';
+import { OG_RESERVED_PARAMS, createSignedOgUrl, verifyOgSignature } from './utils/signed-url.js';
 
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const { pathname, method } = { pathname: url.pathname, method: request.method };
+export { BrowserPool } from './utils/browser-pool.js';
+export { RateLimiter } from './utils/rate-limit.js';
 
-    // Handle CORS preflight
-    if (method === 'OPTIONS') {
-      return createOptionsResponse();
-    }
+const MAX_BATCH_ITEMS = REQUEST_LIMITS.maxBatchItems;
+const JOB_ROUTE_PREFIX = '/jobs/';
+const OG_DEFAULT_WIDTH = 1200;
+const OG_DEFAULT_HEIGHT = 630;
+const OG_MAX_DIMENSION = 4096;
+const MAX_URL_COOKIES = 50;
+const MAX_BLOCKED_METADATA_LENGTH = 1500;
 
-    // Log incoming request
-    console.log('[REQUEST] Pathname:', pathname, 'Method:', method);
-    console.log('[REQUEST] Has X-API-Key header:', !!request.headers.get('X-API-Key'));
+/**
+ * Handlers by operationId (see API_ROUTES in api-spec.js)
+ * A list is route middleware followed by the handler.
+ */
+const ROUTE_HANDLERS = {
+  getServiceInfo: () => handleExamplesPage(),
+  getHealth: ({ env }) => handleHealth(env),
+  getOpenApiDocument: ({ request }) => handleOpenApiDocument(request),
+  getDocs: () => createHTMLResponse(renderDocsPage()),
+  getUsage: ({ request, env }) => handleUsage(request, env),
 
-    // Authentication check for protected endpoints
-    if (!isPublicEndpoint(pathname)) {
-      const authResult = validateApiKey(request, env);
-      console.log('[AUTH] Validation result:', { isValid: authResult.isValid, hasError: !!authResult.error });
-      if (!authResult.isValid) {
-        console.error('[AUTH] Authentication failed:', authResult.error);
-        return createErrorResponse(authResult.error, 401);
-      }
-      console.log('[AUTH] Authentication successful');
-    }
+  renderHtml: ({ request, env }) => handleImageRender(request, env),
+  renderHtmlLegacy: ({ request, env }) => handleImageRender(request, env),
+  renderUrl: ({ request, env }) => handleUrlRender(request, env),
+  renderBatch: ({ request, env }) => handleBatchRender(request, env),
+  renderTemplate: ({ request, env }) => handleTemplateRender(request, env),
+  previewTemplate: ({ request }) => handleTemplatePreview(request),
+  extractTemplateVariables: ({ request }) => handleTemplateVariables(request),
 
-    try {
-      // Route handling
-      switch (pathname) {
-        case '/':
-          return handleExamplesPage();
-        
-        case '/health':
-          return handleHealth();
-        
-        case '/render':
-        case '/html-to-image':
-          if (method === 'POST') {
-            return await handleImageRender(request, env);
-          }
-          break;
-        
-        case '/template/render':
-          if (method === 'POST') {
-            return await handleTemplateRender(request, env);
-          }
-          break;
-        
-        case '/template/preview':
-          if (method === 'POST') {
-            return await handleTemplatePreview(request);
-          }
-          break;
-        
-        case '/template/variables':
-          if (method === 'POST') {
-            return await handleTemplateVariables(request);
-          }
-          break;
-        
-        default:
-          return createErrorResponse('Endpoint not found', 404);
-      }
+  createJob: ({ request, env, ctx }) => handleCreateJob(request, env, ctx),
+  getJob: [requireJob, ({ request, env, params }) => handleGetJob(request, env, params.id)],
+  retryJob: [requireJob, ({ request, env, ctx, params }) => handleRetryJob(request, env, ctx, params.id)],
+
+  createTemplate: [requireStoredTemplate, ({ request, env, params }) => handleSaveTemplate(request, env, params.id, false)],
+  getTemplate: [requireStoredTemplate, ({ env, params }) => handleGetTemplate(env, params.id)],
+  updateTemplate: [requireStoredTemplate, ({ request, env, params }) => handleSaveTemplate(request, env, params.id, true)],
+  deleteTemplate: [requireStoredTemplate, ({ env, params }) => handleDeleteTemplate(env, params.id)],
+  renderStoredTemplate: [requireStoredTemplate, ({ request, env, params }) => handleStoredTemplateRender(request, env, params.id)],
+  listTemplateVersions: [requireStoredTemplate, ({ env, params }) => handleListTemplateVersions(env, params.id)],
+  createTemplateVersion: [requireStoredTemplate, ({ request, env, params }) => handleCreateTemplateVersion(request, env, params.id)],
+  getTemplateVersion: [requireStoredTemplate, requireVersionNumber, ({ env, params }) => handleGetTemplateVersion(env, params.id, params.version)],
+  promoteTemplateVersion: [requireStoredTemplate, requireVersionNumber, ({ env, params }) => handlePromoteTemplateVersion(env, params.id, params.version)],
+  diffTemplateVersions: [requireStoredTemplate, ({ env, params, url }) => handleTemplateDiff(env, params.id, url.searchParams)],
+  createOgUrl: [requireStoredTemplate, ({ request, env, params }) => handleCreateOgUrl(request, env, params.id)],
+  renderOgImage: ({ request, env, params }) => handleOgImage(request, env, params.id),
+
+  getShell: ({ request, env, params }) => handleShellRoute(request, env, params.name),
+  saveShell: ({ request, env, params }) => handleShellRoute(request, env, params.name),
+  deleteShell: ({ request, env, params }) => handleShellRoute(request, env, params.name),
+  listFonts: ({ request, env }) => handleFonts(request, env),
+  uploadFont: ({ request, env }) => handleFonts(request, env),
 
-      return createErrorResponse('Method not allowed', 405);
-    } catch (error) {
-      console.error('Worker error:', error);
-      return createErrorResponse('Internal server error', 500);
+  listApiKeys: ({ request, env }) => handleAdminKeys(request, env),
+  createApiKey: ({ request, env }) => handleAdminKeys(request, env),
+  getApiKey: ({ request, env, params }) => handleAdminKeyRoute(request, env, params.id),
+  updateApiKey: ({ request, env, params }) => handleAdminKeyRoute(request, env, params.id),
+  deleteApiKey: ({ request, env, params }) => handleAdminKeyRoute(request, env, params.id),
+  getBrowserPool: ({ env }) => handleAdminBrowserPool(env)
+};
+
+const router = new Router()
+  .use(requestIdMiddleware)
+  .use(timingMiddleware)
+  .use(corsMiddleware)
+  .use(authMiddleware)
+  .use(rateLimitMiddleware);
+
+for (const route of API_ROUTES) {
+  const handlers = ROUTE_HANDLERS[route.operationId];
+  if (!handlers) {
+    throw new Error(`No handler for ${route.method} ${route.path} (${route.operationId})`);
+  }
+  router.add(route, ...[].concat(handlers));
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    return router.handle(request, env, ctx);
+  },
+
+  /**
+   * Render job queue consumer
+   */
+  async queue(batch, env, ctx) {
+    for (const message of batch.messages) {
+      try {
+        const { retry, attempts } = await processRenderJob(message.body.jobId, env);
+        if (retry) {
+          message.retry({ delaySeconds: 10 * attempts });
+        } else {
+          message.ack();
+        }
+      } catch (error) {
+        console.error('[queue] Job processing error:', { jobId: message.body?.jobId, message: error.message });
+        message.retry();
+      }
     }
   }
 };
 
+/**
+ * Route middleware for /jobs/:id routes: checks the ID and job storage
+ */
+async function requireJob({ env, params }, next) {
+  if (!isValidJobId(params.id)) {
+    return createErrorResponse(new ApiError('NOT_FOUND', 'Endpoint not found'));
+  }
+  if (!env.IMAGE_BUCKET) {
+    return createErrorResponse(new ApiError('NOT_CONFIGURED', 'Render jobs require R2 storage'));
+  }
+  return next();
+}
+
+/**
+ * Route middleware for /templates/:id routes: checks the ID, the key's template scope and template storage
+ */
+async function requireStoredTemplate({ request, env, params }, next) {
+  if (!isValidTemplateId(params.id)) {
+    return createErrorResponse(new ApiError('NOT_FOUND', 'Endpoint not found'));
+  }
+  if (!isTemplateAllowed(getRequestContext(request).key, params.id)) {
+    return createErrorResponse(new ApiError('FORBIDDEN', `API key is not allowed to use template "${params.id}"`));
+  }
+  if (!env.IMAGE_BUCKET) {
+    return createErrorResponse(new ApiError('NOT_CONFIGURED', 'Template storage is not configured'));
+  }
+  return next();
+}
+
+/**
+ * Route middleware for /templates/:id/versions/:version routes: parses :version into a number
+ */
+async function requireVersionNumber({ params }, next) {
+  const version = parseVersionSelector(params.version);
+  if (typeof version !== 'number') {
+    return createErrorResponse(new ApiError('NOT_FOUND', 'Endpoint not found'));
+  }
+  params.version = version;
+  return next();
+}
+
 /**
  * Examples page with API documentation
  */
@@ -84,13 +205,9 @@ function handleExamplesPage() {
     status: 'Production Ready',
     description: 'Convert HTML templates to images with {{VARIABLE}} replacement',
     features: ['Real Puppeteer rendering', 'R2 storage', 'Template variables', 'Multiple formats'],
-    endpoints: {
-      'POST /template/render': 'Generate images from templates with variables',
-      'POST /template/preview': 'Preview processed HTML without image generation',
-      'POST /template/variables': 'Extract all variables from template',
-      'POST /render': 'Generate image from plain HTML',
-      'GET /health': 'Service health check'
-    },
+    endpoints: describeEndpoints(),
+    docs: '/docs',
+    openapi: '/openapi.json',
     examples: {
       template_render: {
         url: 'POST /template/render',
@@ -142,6 +259,27 @@ function handleExamplesPage() {
           format: 'png'
         }
       },
+      storedTemplateRender: {
+        url: 'POST /templates/ig-quote/render',
+        body: {
+          version: 'latest',
+          variables: { quote: 'Stay hungry, stay foolish.', author: 'Steve Jobs' },
+          width: 1080,
+          height: 1080,
+          format: 'png'
+        }
+      },
+      igCarouselBatch: {
+        url: 'POST /render/batch',
+        body: {
+          defaults: { templateId: 'ig-carousel-slide', width: 1080, height: 1080, format: 'png' },
+          items: [
+            { variables: { title: 'Focus on Customer Experience', text: 'Happy customers become your best marketing team.' } },
+            { variables: { title: 'Automate the Boring Parts', text: 'Spend your time where it matters.' } },
+            { html: '<div style="padding: 80px; font-size: 64px;">Follow for more 👉</div>' }
+          ]
+        }
+      },
       simple_render: {
         url: 'POST /render',
         body: {
@@ -157,30 +295,150 @@ function handleExamplesPage() {
 }
 
 /**
- * Health check endpoint
+ * OpenAPI 3.1 document generated from the route table (see api-spec.js)
  */
-function handleHealth() {
+function handleOpenApiDocument(request) {
+  return createJSONResponse(buildOpenApiDocument(new URL(request.url).origin));
+}
+
+/**
+ * Health check endpoint (includes browser pool totals - it is public, so no session detail)
+ */
+async function handleHealth(env) {
+  let browserPool;
+  try {
+    browserPool = await getBrowserPoolStats(env);
+  } catch (error) {
+    console.error('Browser pool stats error:', error);
+    browserPool = { enabled: true, error: 'Browser pool stats unavailable' };
+  }
+
   return createSuccessResponse({
     status: 'healthy',
     service: 'HTML to Image Renderer',
-    version: '1.0.0',
-    endpoints: [
-      'POST /render - Generate image from HTML',
-      'POST /template/render - Generate image from template with variables',
-      'POST /template/preview - Preview processed template HTML',
-      'POST /template/variables - Extract template variables'
-    ]
+    version: API_VERSION,
+    browserPool,
+    endpoints: Object.entries(describeEndpoints()).map(([route, summary]) => `${route} - ${summary}`)
   });
 }
 
+/**
+ * Browser pool stats with the per-session list (admin only)
+ */
+async function handleAdminBrowserPool(env) {
+  try {
+    return createSuccessResponse(await getBrowserPoolStats(env, { detailed: true }));
+  } catch (error) {
+    console.error('Browser pool stats error:', error);
+    return createErrorResponse(error);
+  }
+}
+
+/**
+ * Current consumption of the caller's API key
+ */
+async function handleUsage(request, env) {
+  try {
+    const { key, usageId } = getRequestContext(request);
+    const limiter = getRateLimiter(env, usageId);
+    if (!limiter) {
+      return createSuccessResponse({ enabled: false });
+    }
+
+    const usage = await limiter.getUsage(getRateLimits(key?.id, env));
+    return createSuccessResponse({ enabled: true, ...usage });
+  } catch (error) {
+    console.error('Usage error:', error);
+    return createErrorResponse(error);
+  }
+}
+
+/**
+ * Scoped API keys (admin only): GET /admin/keys lists keys, POST /admin/keys creates one
+ * The new key is only returned by the create call - store it right away
+ */
+async function handleAdminKeys(request, env) {
+  try {
+    if (!env.API_KEY_STORE) {
+      return createErrorResponse(new ApiError('NOT_CONFIGURED', 'Key store is not configured'));
+    }
+
+    if (request.method === 'GET') {
+      return createSuccessResponse({ keys: await listKeyRecords(env.API_KEY_STORE) });
+    }
+
+    const body = await readJsonBody(request);
+    const validationError = validateKeyRecordInput(body);
+    if (validationError) {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', validationError));
+    }
+
+    const { apiKey, record } = await createApiKey(env.API_KEY_STORE, body);
+    console.log('[admin] API key created:', { keyId: record.id, name: record.name });
+    return createSuccessResponse({ apiKey, key: record }, 201);
+  } catch (error) {
+    console.error('Admin keys error:', error);
+    return createErrorResponse(toApiError(error, 'INVALID_REQUEST'));
+  }
+}
+
+/**
+ * GET / PATCH / DELETE /admin/keys/:id (admin only)
+ * PATCH changes scopes, name, enabled or expiresAt; DELETE revokes the key
+ */
+async function handleAdminKeyRoute(request, env, id) {
+  try {
+    if (!env.API_KEY_STORE) {
+      return createErrorResponse(new ApiError('NOT_CONFIGURED', 'Key store is not configured'));
+    }
+
+    switch (request.method) {
+      case 'GET': {
+        const record = await getKeyRecord(env.API_KEY_STORE, id);
+        return record ? createSuccessResponse(record) : createErrorResponse(new ApiError('NOT_FOUND', `Key "${id}" not found`));
+      }
+      case 'PATCH': {
+        const body = await readJsonBody(request);
+        const validationError = validateKeyRecordInput(body, true);
+        if (validationError) {
+          return createErrorResponse(new ApiError('INVALID_REQUEST', validationError));
+        }
+        const record = await updateKeyRecord(env.API_KEY_STORE, id, body);
+        if (!record) {
+          return createErrorResponse(new ApiError('NOT_FOUND', `Key "${id}" not found`));
+        }
+        console.log('[admin] API key updated:', { keyId: id, fields: Object.keys(body) });
+        return createSuccessResponse(record);
+      }
+      case 'DELETE': {
+        if (!(await deleteKeyRecord(env.API_KEY_STORE, id))) {
+          return createErrorResponse(new ApiError('NOT_FOUND', `Key "${id}" not found`));
+        }
+        console.log('[admin] API key revoked:', { keyId: id });
+        return createSuccessResponse({ id, deleted: true });
+      }
+    }
+  } catch (error) {
+    console.error('Admin key error:', error);
+    return createErrorResponse(toApiError(error, 'INVALID_REQUEST'));
+  }
+}
+
 /**
  * Main image rendering endpoint (backward compatibility)
  */
 async function handleImageRender(request, env) {
   try {
     console.log('[handleImageRender] Request received');
-    const body = await request.json();
-    const { html, width = 1200, height = 800, format = 'png', quality = 90, deviceScaleFactor = 1, returnUrl = true } = body;
+    const body = await readJsonBody(request);
+    const bodyError = validateRequestBody(body, 'HtmlRenderRequest');
+    if (bodyError) {
+      return createErrorResponse(bodyError);
+    }
+    const context = getRenderContext(request, env);
+    const { html } = body;
+    const { cache, returnUrl, ...renderOptions } = normalizeRenderOptions(body, 'HtmlRenderRequest');
+    const { width, height, format, deviceScaleFactor } = renderOptions;
 
     console.log('[handleImageRender] Parsed request:', {
       htmlLength: html?.length || 0,
@@ -193,326 +451,1486 @@ async function handleImageRender(request, env) {
 
     if (!html) {
       console.error('[handleImageRender] No HTML provided');
-      return createErrorResponse('HTML content is required', 400);
+      return createErrorResponse(new ApiError('INVALID_REQUEST', 'HTML content is required'));
     }
 
-    console.log('[handleImageRender] Calling generateImage with BROWSER binding:', typeof env.BROWSER);
+    const formatError = validateOutputFormat(renderOptions);
+    if (formatError) {
+      return createErrorResponse(new ApiError('INVALID_OPTION', formatError));
+    }
 
-    // Generate image using Puppeteer
-    const imageBuffer = await generateImage(html, {
-      width,
-      height,
-      format,
-      quality,
-      deviceScaleFactor
-    }, env.BROWSER);
+    if (!isValidCacheMode(cache)) {
+      return createErrorResponse(new ApiError('INVALID_OPTION', `cache must be one of: ${CACHE_MODES.join(', ')}`));
+    }
+
+    const scopeError = checkRenderScope(context.key, { format, width, height, deviceScaleFactor });
+    if (scopeError) {
+      return createErrorResponse(new ApiError('FORBIDDEN', scopeError));
+    }
+
+    const options = {
+      ...renderOptions,
+      resourcePolicy: context.resourcePolicy,
+      outputLimit: context.outputLimit
+    };
 
-    console.log('[handleImageRender] Image generated successfully, size:', imageBuffer.byteLength);
+    const documentError = await resolveDocumentOptions(env, options);
+    if (documentError) {
+      return createErrorResponse(new ApiError('INVALID_OPTION', documentError));
+    }
 
-    // Store in R2 and return URL if requested
+    // Store in R2 (through the render cache) and return URL if requested
     if (returnUrl && env.IMAGE_BUCKET) {
-      const filename = generateImageFilename(format, 'render');
-      await uploadImageToR2(env.IMAGE_BUCKET, imageBuffer, filename, format);
-      
-      const publicUrl = generateR2PublicUrl(
-        env.IMAGE_BUCKET.name || 'html-images', 
-        filename,
-        env.R2_PUBLIC_DOMAIN
-      );
+      const stored = await renderToR2(env, html, options, 'render', cache);
+      await recordRenderUsage(env, context.usageId, [{ ...stored, deviceScaleFactor }]);
 
       return createSuccessResponse({
-        url: publicUrl,
-        filename,
-        size: imageBuffer.byteLength,
+        url: stored.publicUrl,
+        filename: stored.filename,
+        size: stored.size,
         format,
-        dimensions: { width, height }
-      });
+        dimensions: stored.dimensions,
+        blockedRequests: stored.blockedRequests
+      }, 200, { 'X-Cache': stored.cache });
     }
 
+    console.log('[handleImageRender] Calling generateImage with BROWSER binding:', typeof env.BROWSER);
+
+    // Generate image using Puppeteer
+    const rendered = await generateImage(html, options, env);
+
+    console.log('[handleImageRender] Image generated successfully, size:', rendered.buffer.byteLength);
+    await recordRenderUsage(env, context.usageId, [{ ...rendered, deviceScaleFactor }]);
+
     // Fallback to direct image response
-    return createImageResponse(imageBuffer, format);
+    return createImageResponse(rendered.buffer, format, renderHeaders(rendered));
   } catch (error) {
     console.error('Image render error:', {
       message: error.message,
       stack: error.stack,
       name: error.name
     });
-    return createErrorResponse(
-      `Image rendering failed: ${error.message}`,
-      error.message.includes('timeout') ? 504 : 400
-    );
+    return createErrorResponse(toApiError(error, 'RENDER_FAILED'));
   }
 }
 
 /**
- * Template rendering endpoint with variable replacement
+ * Screenshot an existing page: navigates with page.goto instead of rendering posted HTML
+ * The URL and every request the page makes must pass the URL policy (SSRF protection)
  */
-async function handleTemplateRender(request, env) {
+async function handleUrlRender(request, env) {
   try {
-    const body = await request.json();
-    const {
-      template,
-      variables: rawVariables = {},
-      width = 1200,
-      height = 800,
-      format = 'png',
-      quality = 90,
-      deviceScaleFactor = 1,
-      sanitize = true,
-      returnUrl = true
-    } = body;
-
-    // Parse variables if passed as JSON string (handle double-encoding)
-    let variables = rawVariables;
-    if (typeof rawVariables === 'string') {
-      try {
-        variables = JSON.parse(rawVariables);
-      } catch (e) {
-        return createErrorResponse('Invalid variables format - must be a JSON object', 400);
-      }
+    const body = await readJsonBody(request);
+    const bodyError = validateRequestBody(body, 'UrlRenderRequest');
+    if (bodyError) {
+      return createErrorResponse(bodyError);
     }
+    const context = getRenderContext(request, env);
+    const { url } = body;
+    // Live pages change, so URL renders only use the render cache when asked to
+    const { cache, returnUrl, ...renderOptions } = normalizeRenderOptions(body, 'UrlRenderRequest', { cache: 'bypass' });
+    const { width, height, format, deviceScaleFactor, waitFor, timeout, cookies, headers } = renderOptions;
 
-    if (!template) {
-      return createErrorResponse('Template HTML is required', 400);
+    if (!url || typeof url !== 'string') {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', 'url is required'));
     }
 
-    // Extract required variables from template
-    const templateVars = extractTemplateVariables(template);
-    
-    // Validate variables
-    const validation = validateTemplateVariables(variables, templateVars);
-    if (!validation.isValid) {
-      return createErrorResponse(`Missing required variables: ${validation.missing.join(', ')}`, 400);
+    if (!/^https?:\/\//i.test(url)) {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', 'url must be an http or https URL'));
     }
 
-    // Sanitize variables if requested (skip quote escaping for HTML content)
-    const processedVariables = sanitize ? sanitizeTemplateVariables(variables, { skipQuoteEscaping: true }) : variables;
-    
-    // Process template
-    const processedHtml = processTemplate(template, processedVariables);
+    const urlPolicy = getUrlPolicy(env);
+    const blockedReason = checkUrl(url, urlPolicy);
+    if (blockedReason) {
+      console.warn('[handleUrlRender] URL blocked:', { url, reason: blockedReason });
+      return createErrorResponse(new ApiError('URL_NOT_ALLOWED', `URL not allowed: ${blockedReason}`));
+    }
 
-    // Generate image
-    const imageBuffer = await generateImage(processedHtml, {
-      width,
-      height,
-      format,
-      quality,
-      deviceScaleFactor
-    }, env.BROWSER);
+    const optionsError = validateOutputFormat(renderOptions)
+      || validateWaitOptions(waitFor, timeout)
+      || validatePageRequestOptions(cookies, headers);
+    if (optionsError) {
+      return createErrorResponse(new ApiError('INVALID_OPTION', optionsError));
+    }
+
+    const scopeError = checkRenderScope(context.key, { format, width, height, deviceScaleFactor });
+    if (scopeError) {
+      return createErrorResponse(new ApiError('FORBIDDEN', scopeError));
+    }
+
+    if (!isValidCacheMode(cache)) {
+      return createErrorResponse(new ApiError('INVALID_OPTION', `cache must be one of: ${CACHE_MODES.join(', ')}`));
+    }
+
+    const options = {
+      ...renderOptions,
+      urlPolicy,
+      resourcePolicy: context.resourcePolicy,
+      outputLimit: context.outputLimit
+    };
+    const render = () => generateUrlImage(url, options, env);
 
-    // Store in R2 and return URL if requested
     if (returnUrl && env.IMAGE_BUCKET) {
-      const filename = generateImageFilename(format, 'template');
-      await uploadImageToR2(env.IMAGE_BUCKET, imageBuffer, filename, format);
-      
-      const publicUrl = generateR2PublicUrl(
-        env.IMAGE_BUCKET.name || 'html-images', 
-        filename,
-        env.R2_PUBLIC_DOMAIN
-      );
+      const stored = await renderToR2(env, `url:${url}`, options, 'url', cache, render);
+      await recordRenderUsage(env, context.usageId, [{ ...stored, deviceScaleFactor }]);
 
       return createSuccessResponse({
-        url: publicUrl,
-        filename,
-        size: imageBuffer.byteLength,
+        url: stored.publicUrl,
+        filename: stored.filename,
+        size: stored.size,
         format,
-        dimensions: { width, height },
-        template: {
-          variables: templateVars,
-          processed: processedVariables,
-          validation
-        }
-      });
+        dimensions: stored.dimensions,
+        blockedRequests: stored.blockedRequests,
+        source: url
+      }, 200, { 'X-Cache': stored.cache });
     }
 
-    // Fallback to direct image response
-    return createImageResponse(imageBuffer, format);
+    const rendered = await render();
+    await recordRenderUsage(env, context.usageId, [{ ...rendered, deviceScaleFactor }]);
+    return createImageResponse(rendered.buffer, format, renderHeaders(rendered));
   } catch (error) {
-    console.error('Template render error:', {
+    console.error('URL render error:', {
       message: error.message,
       stack: error.stack,
       name: error.name
     });
-    return createErrorResponse(
-      `Template rendering failed: ${error.message}`,
-      error.message.includes('timeout') ? 504 : 400
-    );
+    return createErrorResponse(toApiError(error, 'RENDER_FAILED'));
   }
 }
 
 /**
- * Template preview endpoint - returns processed HTML without rendering image
+ * Template rendering endpoint with variable replacement
  */
-async function handleTemplatePreview(request) {
+async function handleTemplateRender(request, env) {
   try {
-    const body = await request.json();
-    const { template, variables: rawVariables = {}, sanitize = true } = body;
-
-    // Parse variables if passed as JSON string
-    let variables = rawVariables;
-    if (typeof rawVariables === 'string') {
-      try {
-        variables = JSON.parse(rawVariables);
-      } catch (e) {
-        return createErrorResponse('Invalid variables format - must be a JSON object', 400);
-      }
+    const body = await readJsonBody(request);
+    const bodyError = validateRequestBody(body, 'TemplateRenderRequest');
+    if (bodyError) {
+      return createErrorResponse(bodyError);
     }
+    return await renderTemplateBody(body, env, null, getRenderContext(request, env));
+  } catch (error) {
+    console.error('Template render error:', {
+      message: error.message,
+      stack: error.stack,
+      name: error.name
+    });
+    return createErrorResponse(toApiError(error, 'RENDER_FAILED'));
+  }
+}
 
-    if (!template) {
-      return createErrorResponse('Template HTML is required', 400);
-    }
+/**
+ * Render a template request body (shared by inline and stored template renders)
+ * @param {Object} body - Parsed request body with template, variables and render options
+ * @param {Object} env - Environment bindings
+ * @param {Object} storedTemplate - Stored template version record, when rendering by ID
+ * @param {Object} context - Render context of the caller (see getRenderContext)
+ * @returns {Promise<Response>} Render response
+ */
+async function renderTemplateBody(body, env, storedTemplate, context) {
+  const { template, variables: rawVariables = {}, partials, locale, timezone, sanitize = true } = body;
+  // Stored template and job bodies take the same render options as inline template renders
+  const { cache, returnUrl, ...renderOptions } = normalizeRenderOptions(body, 'TemplateRenderRequest');
+  const { width, height, format, deviceScaleFactor } = renderOptions;
 
-    // Extract and validate variables
-    const templateVars = extractTemplateVariables(template);
-    const validation = validateTemplateVariables(variables, templateVars);
+  const formatError = validateOutputFormat(renderOptions);
+  if (formatError) {
+    return createErrorResponse(new ApiError('INVALID_OPTION', formatError));
+  }
 
-    // Process variables (skip quote escaping for HTML content)
-    const processedVariables = sanitize ? sanitizeTemplateVariables(variables, { skipQuoteEscaping: true }) : variables;
-    const processedHtml = processTemplate(template, processedVariables);
-    
-    // Get processing summary
-    const summary = getTemplateSummary(template, variables);
+  if (!isValidCacheMode(cache)) {
+    return createErrorResponse(new ApiError('INVALID_OPTION', `cache must be one of: ${CACHE_MODES.join(', ')}`));
+  }
 
-    return createSuccessResponse({
+  const scopeError = checkRenderScope(context.key, { format, width, height, deviceScaleFactor, templateId: storedTemplate?.id });
+  if (scopeError) {
+    return createErrorResponse(new ApiError('FORBIDDEN', scopeError));
+  }
+
+  const prepared = prepareTemplate(template, rawVariables, { sanitize, partials, locale, timezone });
+  if (prepared.error) {
+    return createErrorResponse(prepared.error);
+  }
+  const { processedHtml, templateVars, processedVariables, validation } = prepared;
+
+  const options = {
+    ...renderOptions,
+    resourcePolicy: context.resourcePolicy,
+    outputLimit: context.outputLimit
+  };
+
+  const documentError = await resolveDocumentOptions(env, options);
+  if (documentError) {
+    return createErrorResponse(new ApiError('INVALID_OPTION', documentError));
+  }
+
+  // Store in R2 (through the render cache) and return URL if requested
+  if (returnUrl && env.IMAGE_BUCKET) {
+    const stored = await renderToR2(
+      env,
       processedHtml,
-      summary,
-      validation
-    });
-  } catch (error) {
-    console.error('Template preview error:', error);
-    return createErrorResponse(error.message, 400);
+      options,
+      storedTemplate ? `template-${storedTemplate.id}` : 'template',
+      cache
+    );
+    await recordRenderUsage(env, context.usageId, [{ ...stored, deviceScaleFactor }]);
+
+    return createSuccessResponse({
+      url: stored.publicUrl,
+      filename: stored.filename,
+      size: stored.size,
+      format,
+      dimensions: stored.dimensions,
+      blockedRequests: stored.blockedRequests,
+      template: {
+        ...(storedTemplate && { id: storedTemplate.id, version: storedTemplate.version }),
+        variables: templateVars,
+        processed: processedVariables,
+        validation
+      }
+    }, 200, { 'X-Cache': stored.cache });
   }
+
+  // Generate image
+  const rendered = await generateImage(processedHtml, options, env);
+  await recordRenderUsage(env, context.usageId, [{ ...rendered, deviceScaleFactor }]);
+
+  // Fallback to direct image response
+  return createImageResponse(rendered.buffer, format, renderHeaders(rendered));
 }
 
 /**
- * Template variables extraction endpoint
+ * Parse, validate, sanitize and process template variables
+ * @param {string} template - Template HTML
+ * @param {Object|string} rawVariables - Variables object or JSON string
+ * @param {Object} options - Template options
+ * @param {boolean} options.sanitize - HTML-escape {{variable}} output to prevent XSS
+ * @param {Object} options.partials - Partial name to template, for {{> name}}
+ * @param {string} options.locale - Locale of the formatting helpers
+ * @param {string} options.timezone - Time zone of the date helpers
+ * @returns {Object} { error } (an ApiError) or { processedHtml, templateVars, processedVariables, validation }
  */
-async function handleTemplateVariables(request) {
+function prepareTemplate(template, rawVariables = {}, { sanitize = true, partials, locale, timezone } = {}) {
+  // Parse variables if passed as JSON string (handle double-encoding)
+  let variables = rawVariables;
+  if (typeof rawVariables === 'string') {
+    try {
+      variables = JSON.parse(rawVariables);
+    } catch (e) {
+      return { error: new ApiError('INVALID_REQUEST', 'Invalid variables format - must be a JSON object') };
+    }
+  }
+
+  if (!template) {
+    return { error: new ApiError('INVALID_REQUEST', 'Template HTML is required') };
+  }
+
+  const optionError = validatePartialsOption(partials) || validateLocaleOptions({ locale, timezone });
+  if (optionError) {
+    return { error: new ApiError('INVALID_OPTION', optionError) };
+  }
+
   try {
-    const body = await request.json();
-    const { template } = body;
+    // Extract required variables from template (syntax errors surface here)
+    const templateVars = extractTemplateVariables(template, { partials });
 
-    if (!template) {
-      return createErrorResponse('Template HTML is required', 400);
+    // Validate variables
+    const validation = validateTemplateVariables(variables, templateVars);
+    if (!validation.isValid) {
+      return {
+        error: new ApiError('TEMPLATE_MISSING_VARIABLES', `Missing required variables: ${validation.missing.join(', ')}`, {
+          missing: validation.missing
+        })
+      };
     }
 
-    const variables = extractTemplateVariables(template);
-    const summary = getTemplateSummary(template, {});
+    // Process template - sanitizing HTML-escapes {{variable}} output ({{{variable}}} stays raw)
+    const processedHtml = processTemplate(template, variables, { escape: sanitize, partials, locale, timezone });
 
-    return createSuccessResponse({
-      variables,
-      count: variables.length,
-      summary
-    });
+    // Reported back as template.processed: the values as {{variable}} inserted them
+    const processedVariables = sanitize ? sanitizeTemplateVariables(variables) : variables;
+
+    return { processedHtml, templateVars, processedVariables, validation };
   } catch (error) {
-    console.error('Template variables error:', error);
-    return createErrorResponse(error.message, 400);
+    return { error: toApiError(error, 'TEMPLATE_INVALID') };
   }
 }
 
 /**
- * Generate image using Cloudflare Puppeteer
- * @param {string} html - HTML content to render
- * @param {Object} options - Rendering options
- * @param {Object} browser - Browser binding from Cloudflare
- * @returns {Promise<ArrayBuffer>} Image buffer
+ * Upload a rendered image to R2 and build its public URL
+ * @param {Object} env - Environment bindings
+ * @param {ArrayBuffer} imageBuffer - Rendered image
+ * @param {string} format - Output format
+ * @param {string} prefix - Filename prefix
+ * @param {Object} metadata - Extra object metadata (see renderMetadata)
+ * @returns {Promise<Object>} { filename, publicUrl }
  */
-async function generateImage(html, options, browser) {
-  const { width, height, format, quality, deviceScaleFactor } = options;
+async function storeRenderedImage(env, imageBuffer, format, prefix, metadata) {
+  const filename = generateImageFilename(format, prefix);
+  await uploadImageToR2(env.IMAGE_BUCKET, imageBuffer, filename, format, metadata);
+  return { filename, publicUrl: getPublicUrl(env, filename) };
+}
 
-  console.log('[generateImage] Starting image generation');
-  console.log('[generateImage] Browser binding type:', typeof browser);
-  console.log('[generateImage] Browser binding value:', browser);
-  console.log('[generateImage] Options:', { width, height, format, deviceScaleFactor });
+/**
+ * Public URL for an object in the image bucket
+ */
+function getPublicUrl(env, filename) {
+  return generateR2PublicUrl(
+    env.IMAGE_BUCKET.name || 'html-images', 
+    filename,
+    env.R2_PUBLIC_DOMAIN
+  );
+}
 
-  try {
-    console.log('[generateImage] Launching Puppeteer browser...');
-    // Launch browser using Cloudflare browser binding
-    const puppeteerBrowser = await puppeteer.launch(browser);
-    console.log('[generateImage] Browser launched successfully');
+/**
+ * Render HTML and store it in R2, going through the content-addressed render cache
+ * A cache hit returns the existing object without launching a browser
+ * @param {Object} env - Environment bindings
+ * @param {string} html - Processed HTML
+ * @param {Object} options - Render options
+ * @param {string} prefix - Filename prefix (used when the cache is bypassed)
+ * @param {string} cacheMode - 'default', 'bypass' or 'refresh'
+ * @param {Function} render - Renders the image (defaults to generateImage), resolves to { buffer, dimensions, blockedRequests }
+ * @returns {Promise<Object>} { filename, publicUrl, size, dimensions, blockedRequests, cache: 'HIT'|'MISS'|'BYPASS' }
+ */
+async function renderToR2(env, html, options, prefix, cacheMode = 'default', render = () => generateImage(html, options, env)) {
+  if (cacheMode === 'bypass') {
+    const { buffer, dimensions, blockedRequests } = await render();
+    const { filename, publicUrl } = await storeRenderedImage(env, buffer, options.format, prefix, renderMetadata({ dimensions, blockedRequests }));
+    return { filename, publicUrl, size: buffer.byteLength, dimensions, blockedRequests, cache: 'BYPASS' };
+  }
 
-    const page = await puppeteerBrowser.newPage();
-    console.log('[generateImage] New page created');
-    
-    // Set viewport dimensions
-    await page.setViewport({
-      width,
-      height,
-      deviceScaleFactor
-    });
-    
-    // Create complete HTML document
-    const fullHtml = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1">
-        <style>
-          body { 
-            margin: 0; 
-            padding: 20px; 
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
-            background: #f5f5f5;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            min-height: 100vh;
-            box-sizing: border-box;
-          }
-          * { box-sizing: border-box; }
-        </style>
-      </head>
-      <body>
-        ${html}
-      </body>
-      </html>
-    `;
-    
-    // Set content and wait for resources to load
-    // Use 'load' which waits for DOM and basic resources without network idle
-    await page.setContent(fullHtml, {
-      waitUntil: 'load',
-      timeout: 15000
-    });
+  const filename = await computeRenderCacheKey(html, options);
 
-    // Cloudflare Browser doesn't support waitForTimeout - use a simple Promise delay instead
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    // Take screenshot
-    const screenshotOptions = {
-      type: format,
-      fullPage: false,
-      clip: {
-        x: 0,
-        y: 0,
-        width,
-        height
-      }
-    };
-    
-    // Add quality for JPEG format
-    if (format === 'jpeg' && quality) {
-      screenshotOptions.quality = quality;
+  if (cacheMode === 'default') {
+    const cached = await getImageMetadata(env.IMAGE_BUCKET, filename);
+    if (cached) {
+      console.log('[renderToR2] Cache hit:', filename);
+      const { width, height, blockedRequests } = cached.customMetadata || {};
+      return {
+        filename,
+        publicUrl: getPublicUrl(env, filename),
+        size: cached.size,
+        // Entries cached before dimensions were recorded fall back to the requested size
+        dimensions: width && height
+          ? { width: Number(width), height: Number(height) }
+          : { width: options.width, height: options.height },
+        blockedRequests: blockedRequests ? JSON.parse(blockedRequests) : [],
+        cache: 'HIT'
+      };
     }
-    
-    const imageBuffer = await page.screenshot(screenshotOptions);
-    
-    // Clean up
-    await page.close();
-    await puppeteerBrowser.close();
-    
-    return imageBuffer;
-    
+  }
+
+  const { buffer, dimensions, blockedRequests } = await render();
+  await uploadImageToR2(env.IMAGE_BUCKET, buffer, filename, options.format, renderMetadata({ dimensions, blockedRequests }));
+  return { filename, publicUrl: getPublicUrl(env, filename), size: buffer.byteLength, dimensions, blockedRequests, cache: 'MISS' };
+}
+
+/**
+ * R2 custom metadata recording the captured dimensions and blocked requests of a render,
+ * so cache hits can report them too (custom metadata is limited to 2 KB)
+ */
+function renderMetadata({ dimensions, blockedRequests = [] }) {
+  const metadata = { width: String(dimensions.width), height: String(dimensions.height) };
+
+  let reported = blockedRequests;
+  while (reported.length > 0 && JSON.stringify(reported).length > MAX_BLOCKED_METADATA_LENGTH) {
+    reported = reported.slice(0, -1);
+  }
+  if (reported.length > 0) {
+    metadata.blockedRequests = JSON.stringify(reported);
+  }
+
+  return metadata;
+}
+
+/**
+ * Response headers for a direct image response: captured dimensions and number of blocked requests
+ */
+function renderHeaders({ dimensions, blockedRequests = [] }) {
+  return {
+    'X-Image-Width': String(dimensions.width),
+    'X-Image-Height': String(dimensions.height),
+    'X-Blocked-Requests': String(blockedRequests.length)
+  };
+}
+
+/**
+ * Validate the document and readiness options and resolve stored assets into the render options:
+ * a stored shell into options.shellHtml and uploaded fonts into options.fontCss
+ * Both become part of the render options, so editing a shell or font invalidates cached renders
+ * @param {Object} env - Environment bindings
+ * @param {Object} options - Render options (mutated)
+ * @returns {Promise<string|null>} Error message or null if valid
+ */
+async function resolveDocumentOptions(env, options) {
+  const optionsError = validateShellOptions(options)
+    || validateFontsOption(options.fonts)
+    || validateWaitOptions(options.waitFor, options.timeout)
+    || validateInlineAssetsOption(options.inlineAssets);
+  if (optionsError) {
+    return optionsError;
+  }
+
+  if (isValidShellName(options.shell)) {
+    const record = env.IMAGE_BUCKET ? await getStoredShell(env.IMAGE_BUCKET, options.shell) : null;
+    if (!record) {
+      return `Shell "${options.shell}" not found`;
+    }
+    options.shellHtml = record.html;
+  }
+
+  if (options.fonts?.length) {
+    if (!env.IMAGE_BUCKET) {
+      return 'Font storage is not configured';
+    }
+    const { css, missing } = await buildFontFaceCss(env.IMAGE_BUCKET, options.fonts);
+    if (missing.length > 0) {
+      return `Fonts not found: ${missing.join(', ')} - upload them with POST /fonts`;
+    }
+    options.fontCss = css;
+  }
+
+  return null;
+}
+
+/**
+ * Build the render context of a request: the caller's key (scopes), resource policy,
+ * output size limit and the usage ID its renders are counted against (null for internal calls)
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @returns {Object} { key, resourcePolicy, outputLimit, usageId }
+ */
+function getRenderContext(request, env) {
+  const { key = null, usageId = null } = getRequestContext(request);
+  return {
+    key,
+    resourcePolicy: getResourcePolicy(request, env),
+    outputLimit: getOutputLimit(key),
+    usageId
+  };
+}
+
+/**
+ * Batch rendering endpoint - renders all items through one browser session
+ * Each item is { template|html|templateId, variables, width, height, format, ... };
+ * top-level "defaults" are merged into every item. Failed items don't fail the batch.
+ */
+async function handleBatchRender(request, env) {
+  try {
+    const body = await readJsonBody(request);
+    const { items, defaults = {} } = body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', 'items must be a non-empty array'));
+    }
+
+    if (items.length > MAX_BATCH_ITEMS) {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', `Too many items - a batch can render at most ${MAX_BATCH_ITEMS}`));
+    }
+
+    if (!env.IMAGE_BUCKET) {
+      return createErrorResponse(new ApiError('NOT_CONFIGURED', 'Batch rendering requires R2 storage'));
+    }
+
+    const context = getRenderContext(request, env);
+    const completed = [];
+    let lease = null;
+    let renders = 0;
+    const results = [];
+
+    try {
+      for (let index = 0; index < items.length; index++) {
+        const item = { ...defaults, ...items[index] };
+
+        try {
+          const prepared = await prepareBatchItem(item, env, context);
+          if (prepared.error) {
+            results.push({ index, success: false, error: prepared.error.message, code: prepared.error.code, details: prepared.error.details });
+            continue;
+          }
+
+          const { html, options, prefix, cache } = prepared;
+
+          const stored = await renderToR2(env, html, options, prefix, cache, async () => {
+            const inlined = await inlineRenderAssets(html, options, env);
+
+            // Acquire lazily (cache hits need no browser) and replace the session if a previous item crashed it
+            if (lease && !lease.browser.isConnected()) {
+              await lease.release({ crashed: true, renders });
+              lease = null;
+            }
+            if (!lease) {
+              lease = await acquireBrowser(env);
+              renders = 0;
+            }
+
+            const rendered = await renderPage(lease.browser, inlined.html, inlined.options);
+            renders++;
+            return rendered;
+          });
+          completed.push({ ...stored, deviceScaleFactor: options.deviceScaleFactor });
+
+          results.push({
+            index,
+            success: true,
+            url: stored.publicUrl,
+            filename: stored.filename,
+            size: stored.size,
+            format: options.format,
+            dimensions: stored.dimensions,
+            blockedRequests: stored.blockedRequests,
+            cache: stored.cache
+          });
+        } catch (error) {
+          const itemError = toRenderError(error);
+          console.error('[handleBatchRender] Item failed:', { index, code: itemError.code, message: itemError.message });
+          results.push({ index, success: false, error: itemError.message, code: itemError.code, details: itemError.details });
+        }
+      }
+    } finally {
+      if (lease) {
+        await lease.release({ renders }).catch(error => console.error('[handleBatchRender] Browser release failed:', error));
+      }
+    }
+
+    await recordRenderUsage(env, context.usageId, completed);
+
+    const succeeded = results.filter(result => result.success).length;
+
+    return createSuccessResponse({
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      items: results
+    });
   } catch (error) {
-    console.error('Puppeteer error details:', {
+    console.error('Batch render error:', error);
+    return createErrorResponse(toApiError(error, 'INVALID_REQUEST'));
+  }
+}
+
+/**
+ * Resolve one batch item to HTML and render options
+ * @param {Object} item - Batch item merged with defaults
+ * @param {Object} env - Environment bindings
+ * @param {Object} context - Render context of the caller (see getRenderContext)
+ * @returns {Promise<Object>} { error } (an ApiError) or { html, options, prefix, cache }
+ */
+async function prepareBatchItem(item, env, context) {
+  const { html, template, templateId, version, variables = {}, partials, locale, timezone, sanitize = true } = item;
+
+  const itemError = validateRequestBody(item, 'BatchItem');
+  if (itemError) {
+    return { error: itemError };
+  }
+
+  // Batch results are always uploaded, so returnUrl doesn't apply
+  const { cache, returnUrl, ...renderOptions } = normalizeRenderOptions(item, 'BatchItem');
+  const { width, height, format, deviceScaleFactor } = renderOptions;
+
+  const formatError = validateOutputFormat(renderOptions);
+  if (formatError) {
+    return { error: new ApiError('INVALID_OPTION', formatError) };
+  }
+
+  if (!isValidCacheMode(cache)) {
+    return { error: new ApiError('INVALID_OPTION', `cache must be one of: ${CACHE_MODES.join(', ')}`) };
+  }
+
+  const scopeError = checkRenderScope(context.key, { format, width, height, deviceScaleFactor, templateId });
+  if (scopeError) {
+    return { error: new ApiError('FORBIDDEN', scopeError) };
+  }
+
+  const options = {
+    ...renderOptions,
+    resourcePolicy: context.resourcePolicy,
+    outputLimit: context.outputLimit
+  };
+
+  const documentError = await resolveDocumentOptions(env, options);
+  if (documentError) {
+    return { error: new ApiError('INVALID_OPTION', documentError) };
+  }
+
+  if (html && !template && !templateId) {
+    return { html, options, prefix: 'batch', cache };
+  }
+
+  let templateHtml = template;
+  let prefix = 'batch-template';
+
+  if (templateId) {
+    const selector = parseVersionSelector(version);
+    if (!isValidTemplateId(templateId) || selector === null) {
+      return { error: new ApiError('INVALID_REQUEST', 'Invalid templateId or version') };
+    }
+    const record = await getTemplateVersion(env.IMAGE_BUCKET, templateId, selector);
+    if (!record) {
+      return { error: new ApiError('NOT_FOUND', `Template "${templateId}" (version ${selector}) not found`) };
+    }
+    templateHtml = record.template;
+    prefix = `batch-template-${templateId}`;
+  }
+
+  if (!templateHtml) {
+    return { error: new ApiError('INVALID_REQUEST', 'Each item needs html, template or templateId') };
+  }
+
+  const prepared = prepareTemplate(templateHtml, variables, { sanitize, partials, locale, timezone });
+  if (prepared.error) {
+    return { error: prepared.error };
+  }
+
+  return { html: prepared.processedHtml, options, prefix, cache };
+}
+
+/**
+ * Custom fonts: GET /fonts lists uploaded families, POST /fonts uploads a font file
+ * Upload as multipart/form-data with fields file, family, weight (default 400) and style (normal|italic)
+ */
+async function handleFonts(request, env) {
+  if (!env.IMAGE_BUCKET) {
+    return createErrorResponse(new ApiError('NOT_CONFIGURED', 'Font storage is not configured'));
+  }
+
+  try {
+    if (request.method === 'GET') {
+      return createSuccessResponse({ fonts: await listFonts(env.IMAGE_BUCKET) });
+    }
+
+    if (!request.headers.get('Content-Type')?.includes('multipart/form-data')) {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', 'Upload fonts as multipart/form-data with a "file" field'));
+    }
+
+    const form = await request.formData();
+    const file = form.get('file');
+    if (!file || typeof file === 'string') {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', 'file is required'));
+    }
+
+    const font = await saveFont(env.IMAGE_BUCKET, {
+      family: form.get('family'),
+      weight: form.get('weight') ?? undefined,
+      style: form.get('style') ?? undefined,
+      data: await file.arrayBuffer()
+    });
+
+    console.log('[fonts] Uploaded font:', font.key);
+    return createSuccessResponse(font, 201);
+  } catch (error) {
+    console.error('Font upload error:', error);
+    return createErrorResponse(toApiError(error, 'INVALID_REQUEST'));
+  }
+}
+
+/**
+ * Stored document shell routes: GET/PUT/DELETE /shells/:name
+ */
+async function handleShellRoute(request, env, name) {
+  if (!isValidShellName(name)) {
+    return createErrorResponse(new ApiError('NOT_FOUND', 'Endpoint not found'));
+  }
+
+  if (!env.IMAGE_BUCKET) {
+    return createErrorResponse(new ApiError('NOT_CONFIGURED', 'Shell storage is not configured'));
+  }
+
+  try {
+    switch (request.method) {
+      case 'GET': {
+        const record = await getStoredShell(env.IMAGE_BUCKET, name);
+        return record
+          ? createSuccessResponse(record)
+          : createErrorResponse(new ApiError('NOT_FOUND', `Shell "${name}" not found`));
+      }
+      case 'PUT': {
+        const { html, description } = await readJsonBody(request);
+        const record = await saveStoredShell(env.IMAGE_BUCKET, name, { html, description });
+        return createSuccessResponse(record);
+      }
+      case 'DELETE': {
+        const deleted = await deleteStoredShell(env.IMAGE_BUCKET, name);
+        return deleted
+          ? createSuccessResponse({ name, deleted: true })
+          : createErrorResponse(new ApiError('NOT_FOUND', `Shell "${name}" not found`));
+      }
+    }
+  } catch (error) {
+    console.error('Shell route error:', error);
+    return createErrorResponse(toApiError(error, 'INVALID_REQUEST'));
+  }
+}
+
+/**
+ * Get a stored template (latest version)
+ */
+async function handleGetTemplate(env, id) {
+  try {
+    const record = await getStoredTemplate(env.IMAGE_BUCKET, id);
+    if (!record) {
+      return createErrorResponse(new ApiError('NOT_FOUND', `Template "${id}" not found`));
+    }
+    return createSuccessResponse(record);
+  } catch (error) {
+    console.error('Template get error:', error);
+    return createErrorResponse(error);
+  }
+}
+
+/**
+ * Create (POST) or update (PUT) a stored template
+ * Every save creates a new immutable version and promotes it to latest
+ */
+async function handleSaveTemplate(request, env, id, isUpdate) {
+  try {
+    const body = await readJsonBody(request);
+    const bodyError = validateRequestBody(body, 'TemplateSaveRequest');
+    if (bodyError) {
+      return createErrorResponse(bodyError);
+    }
+    const { template, name, description, note } = body;
+
+    if (!template || typeof template !== 'string') {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', 'Template HTML is required'));
+    }
+
+    const existing = await getStoredTemplate(env.IMAGE_BUCKET, id);
+    if (isUpdate && !existing) {
+      return createErrorResponse(new ApiError('NOT_FOUND', `Template "${id}" not found`));
+    }
+    if (!isUpdate && existing) {
+      return createErrorResponse(new ApiError('CONFLICT', `Template "${id}" already exists - use PUT to update it`));
+    }
+
+    const { head } = await createTemplateVersion(
+      env.IMAGE_BUCKET,
+      id,
+      { template, name, description, note },
+      { promote: true }
+    );
+
+    return createSuccessResponse(head, isUpdate ? 200 : 201);
+  } catch (error) {
+    console.error('Template save error:', error);
+    return createErrorResponse(toApiError(error, 'INVALID_REQUEST'));
+  }
+}
+
+/**
+ * Delete a stored template with all its versions
+ */
+async function handleDeleteTemplate(env, id) {
+  try {
+    const deleted = await deleteStoredTemplate(env.IMAGE_BUCKET, id);
+    if (!deleted) {
+      return createErrorResponse(new ApiError('NOT_FOUND', `Template "${id}" not found`));
+    }
+    return createSuccessResponse({ id, deleted: true });
+  } catch (error) {
+    console.error('Template delete error:', error);
+    return createErrorResponse(error);
+  }
+}
+
+/**
+ * List versions of a stored template
+ */
+async function handleListTemplateVersions(env, id) {
+  try {
+    const versions = await listTemplateVersions(env.IMAGE_BUCKET, id);
+    if (!versions) {
+      return createErrorResponse(new ApiError('NOT_FOUND', `Template "${id}" not found`));
+    }
+    return createSuccessResponse({ id, versions });
+  } catch (error) {
+    console.error('Template versions error:', error);
+    return createErrorResponse(error);
+  }
+}
+
+/**
+ * Create a new version without promoting it (unless promote: true)
+ */
+async function handleCreateTemplateVersion(request, env, id) {
+  try {
+    const body = await readJsonBody(request);
+    const bodyError = validateRequestBody(body, 'TemplateVersionRequest');
+    if (bodyError) {
+      return createErrorResponse(bodyError);
+    }
+    const { template, note, promote = false } = body;
+
+    if (!template || typeof template !== 'string') {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', 'Template HTML is required'));
+    }
+
+    if (!(await getStoredTemplate(env.IMAGE_BUCKET, id))) {
+      return createErrorResponse(new ApiError('NOT_FOUND', `Template "${id}" not found`));
+    }
+
+    const { head, version } = await createTemplateVersion(
+      env.IMAGE_BUCKET,
+      id,
+      { template, note },
+      { promote: promote === true }
+    );
+
+    return createSuccessResponse({ ...version, latest: head.version === version.version }, 201);
+  } catch (error) {
+    console.error('Template version create error:', error);
+    return createErrorResponse(toApiError(error, 'INVALID_REQUEST'));
+  }
+}
+
+/**
+ * Get a specific template version
+ */
+async function handleGetTemplateVersion(env, id, version) {
+  try {
+    const record = await getTemplateVersion(env.IMAGE_BUCKET, id, version);
+    if (!record) {
+      return createErrorResponse(new ApiError('NOT_FOUND', `Version ${version} of template "${id}" not found`));
+    }
+    return createSuccessResponse(record);
+  } catch (error) {
+    console.error('Template version get error:', error);
+    return createErrorResponse(error);
+  }
+}
+
+/**
+ * Promote a version to latest
+ */
+async function handlePromoteTemplateVersion(env, id, version) {
+  try {
+    const head = await promoteTemplateVersion(env.IMAGE_BUCKET, id, version);
+    if (!head) {
+      return createErrorResponse(new ApiError('NOT_FOUND', `Version ${version} of template "${id}" not found`));
+    }
+    return createSuccessResponse(head);
+  } catch (error) {
+    console.error('Template promote error:', error);
+    return createErrorResponse(error);
+  }
+}
+
+/**
+ * Diff variable sets of two versions: GET /templates/:id/diff?from=2&to=3
+ * "to" defaults to latest
+ */
+async function handleTemplateDiff(env, id, searchParams) {
+  try {
+    // "from" is required - parseVersionSelector would read a missing value as "latest"
+    const fromParam = searchParams.get('from');
+    const fromVersion = fromParam === null ? null : parseVersionSelector(fromParam);
+    const toVersion = parseVersionSelector(searchParams.get('to') ?? 'latest');
+
+    if (fromVersion === null || toVersion === null) {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', 'Query parameters "from" (required) and "to" must be a version number or "latest"'));
+    }
+
+    const [from, to] = await Promise.all([
+      getTemplateVersion(env.IMAGE_BUCKET, id, fromVersion),
+      getTemplateVersion(env.IMAGE_BUCKET, id, toVersion)
+    ]);
+
+    if (!from || !to) {
+      return createErrorResponse(new ApiError('NOT_FOUND', `Version ${!from ? fromVersion : toVersion} of template "${id}" not found`));
+    }
+
+    return createSuccessResponse({ id, ...diffTemplateVersions(from, to) });
+  } catch (error) {
+    console.error('Template diff error:', error);
+    return createErrorResponse(error);
+  }
+}
+
+/**
+ * Render a stored template - body carries only variables and render options
+ * Pin a version with "version": 3, or follow "latest" (default)
+ */
+async function handleStoredTemplateRender(request, env, id) {
+  try {
+    const body = await readJsonBody(request);
+    const bodyError = validateRequestBody(body, 'StoredTemplateRenderRequest');
+    if (bodyError) {
+      return createErrorResponse(bodyError);
+    }
+    const version = parseVersionSelector(body.version);
+
+    if (version === null) {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', 'version must be a positive integer or "latest"'));
+    }
+
+    const record = await getTemplateVersion(env.IMAGE_BUCKET, id, version);
+    if (!record) {
+      return createErrorResponse(new ApiError(
+        'NOT_FOUND',
+        version === 'latest' ? `Template "${id}" not found` : `Version ${version} of template "${id}" not found`
+      ));
+    }
+
+    return await renderTemplateBody({ ...body, template: record.template }, env, record, getRenderContext(request, env));
+  } catch (error) {
+    console.error('Stored template render error:', {
       message: error.message,
       stack: error.stack,
-      name: error.name,
-      code: error.code
+      name: error.name
     });
+    return createErrorResponse(toApiError(error, 'RENDER_FAILED'));
+  }
+}
 
-    // Throw the error with more context instead of returning mock data
-    throw new Error(`Browser rendering failed: ${error.message} (code: ${error.code || 'unknown'})`);
+/**
+ * Create a signed GET /og/:templateId URL for use in og:image tags
+ * Body: { variables, version, width, height, format } - the URL is checked to render before it is signed
+ */
+async function handleCreateOgUrl(request, env, id) {
+  try {
+    const body = await readJsonBody(request);
+    const { variables = {}, version, width, height, format } = body;
+
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', 'variables must be an object'));
+    }
+
+    const params = {};
+    for (const [name, value] of Object.entries(variables)) {
+      if (OG_RESERVED_PARAMS.includes(name) || name === 'sig') {
+        return createErrorResponse(new ApiError('INVALID_REQUEST', `Variable "${name}" clashes with a reserved og URL parameter`));
+      }
+      if (value !== null && typeof value === 'object') {
+        return createErrorResponse(new ApiError('INVALID_REQUEST', `Variable "${name}" must be a string or number in og URLs`));
+      }
+      params[name] = String(value ?? '');
+    }
+    for (const [name, value] of Object.entries({ version, width, height, format })) {
+      if (value !== undefined) {
+        params[name] = String(value);
+      }
+    }
+
+    const resolved = await resolveOgRender(env, id, new URLSearchParams(params));
+    if (resolved.error) {
+      return createErrorResponse(resolved.error);
+    }
+
+    const url = await createSignedOgUrl(env, new URL(request.url).origin, id, params);
+    if (!url) {
+      return createErrorResponse(new ApiError('NOT_CONFIGURED', 'URL signing is not configured (API_KEYS is missing)'));
+    }
+
+    return createSuccessResponse({
+      url,
+      template: { id, version: version ?? 'latest', resolvedVersion: resolved.record.version },
+      dimensions: { width: resolved.options.width, height: resolved.options.height },
+      format: resolved.options.format
+    });
+  } catch (error) {
+    console.error('OG URL signing error:', error);
+    return createErrorResponse(error);
+  }
+}
+
+/**
+ * Public signed render URL: GET /og/:templateId?<variables>&version=&width=&height=&format=&sig=
+ * Serves the image from the render cache with long-lived cache headers
+ */
+async function handleOgImage(request, env, id) {
+  try {
+    const url = new URL(request.url);
+
+    if (!isValidTemplateId(id)) {
+      return createErrorResponse(new ApiError('NOT_FOUND', 'Endpoint not found'));
+    }
+
+    if (!(await verifyOgSignature(env, id, url.searchParams))) {
+      console.warn('[og] Invalid signature:', { id });
+      return createErrorResponse(new ApiError('FORBIDDEN', 'Invalid or missing signature'));
+    }
+
+    if (!env.IMAGE_BUCKET) {
+      return createErrorResponse(new ApiError('NOT_CONFIGURED', 'Template storage is not configured'));
+    }
+
+    // og URLs are public, so this is the "default" resource policy
+    const resolved = await resolveOgRender(env, id, url.searchParams, getResourcePolicy(request, env));
+    if (resolved.error) {
+      return createErrorResponse(resolved.error);
+    }
+    const { html, options, pinned } = resolved;
+
+    const cacheKey = await computeRenderCacheKey(html, options);
+    const etag = `"${cacheKey.slice(cacheKey.indexOf('/') + 1, cacheKey.lastIndexOf('.'))}"`;
+    const headers = {
+      // Pinned versions never change; "latest" may be promoted, so keep it short-lived
+      'Cache-Control': pinned ? 'public, max-age=31536000, immutable' : 'public, max-age=3600',
+      'ETag': etag
+    };
+
+    if (request.headers.get('If-None-Match') === etag) {
+      return new Response(null, { status: 304, headers });
+    }
+
+    const cached = await env.IMAGE_BUCKET.get(cacheKey);
+    if (cached) {
+      console.log('[og] Cache hit:', cacheKey);
+      return createImageResponse(cached.body, options.format, { ...headers, 'X-Cache': 'HIT' });
+    }
+
+    const rendered = await generateImage(html, options, env);
+    await uploadImageToR2(env.IMAGE_BUCKET, rendered.buffer, cacheKey, options.format, renderMetadata(rendered));
+    console.log('[og] Rendered and cached:', cacheKey);
+
+    return createImageResponse(rendered.buffer, options.format, { ...headers, 'X-Cache': 'MISS' });
+  } catch (error) {
+    console.error('OG image error:', {
+      message: error.message,
+      stack: error.stack,
+      name: error.name
+    });
+    return createErrorResponse(toApiError(error, 'RENDER_FAILED'));
+  }
+}
+
+/**
+ * Resolve the template, variables and render options of an og URL
+ * Reserved parameters (version, width, height, format) are render options, everything else is a variable
+ * @returns {Promise<Object>} { error } (an ApiError) or { record, html, options, pinned }
+ */
+async function resolveOgRender(env, id, params, resourcePolicy) {
+  const version = parseVersionSelector(params.get('version'));
+  if (version === null) {
+    return { error: new ApiError('INVALID_REQUEST', 'version must be a positive integer or "latest"') };
+  }
+
+  const width = Number(params.get('width') ?? OG_DEFAULT_WIDTH);
+  const height = Number(params.get('height') ?? OG_DEFAULT_HEIGHT);
+  if (![width, height].every(value => Number.isInteger(value) && value > 0 && value <= OG_MAX_DIMENSION)) {
+    return { error: new ApiError('INVALID_OPTION', `width and height must be integers between 1 and ${OG_MAX_DIMENSION}`) };
+  }
+
+  const format = params.get('format') ?? 'png';
+  const formatError = format === 'pdf' ? 'og URLs render images - pdf is not supported' : validateOutputFormat({ format });
+  if (formatError) {
+    return { error: new ApiError('INVALID_OPTION', formatError) };
+  }
+
+  const record = await getTemplateVersion(env.IMAGE_BUCKET, id, version);
+  if (!record) {
+    return {
+      error: new ApiError(
+        'NOT_FOUND',
+        version === 'latest' ? `Template "${id}" not found` : `Version ${version} of template "${id}" not found`
+      )
+    };
+  }
+
+  const variables = {};
+  for (const [name, value] of params.entries()) {
+    if (!OG_RESERVED_PARAMS.includes(name) && name !== 'sig') {
+      variables[name] = value;
+    }
+  }
+
+  const prepared = prepareTemplate(record.template, variables, { sanitize: true });
+  if (prepared.error) {
+    return { error: prepared.error };
+  }
+
+  // Built like /template/render options (og callers have no key, so no output limit),
+  // so an equal render there shares the cache entry
+  const { cache, returnUrl, ...renderOptions } = normalizeRenderOptions({ width, height, format }, 'TemplateRenderRequest');
+  const options = {
+    ...renderOptions,
+    resourcePolicy,
+    outputLimit: null
+  };
+
+  return { record, html: prepared.processedHtml, options, pinned: typeof version === 'number' };
+}
+
+/**
+ * Queue an asynchronous render job
+ * Body is the same as /template/render (or templateId + version), plus optional callbackUrl
+ */
+async function handleCreateJob(request, env, ctx) {
+  try {
+    if (!env.IMAGE_BUCKET) {
+      return createErrorResponse(new ApiError('NOT_CONFIGURED', 'Render jobs require R2 storage'));
+    }
+
+    const body = await readJsonBody(request);
+    const bodyError = validateRequestBody(body, 'JobRequest');
+    if (bodyError) {
+      return createErrorResponse(bodyError);
+    }
+    const { callbackUrl, returnUrl, ...renderRequest } = body;
+    const { template, templateId } = renderRequest;
+    // The job stores the request as sent; these are only checked here and applied when it renders
+    const renderOptions = normalizeRenderOptions(renderRequest, 'JobRequest');
+    const { width, height, format, deviceScaleFactor } = renderOptions;
+
+    if (!template && !templateId) {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', 'Template HTML or templateId is required'));
+    }
+
+    const formatError = validateOutputFormat(renderOptions)
+      || validateShellOptions(renderOptions)
+      || validateFontsOption(renderOptions.fonts)
+      || validateWaitOptions(renderOptions.waitFor, renderOptions.timeout)
+      || validateInlineAssetsOption(renderOptions.inlineAssets)
+      || validatePartialsOption(renderRequest.partials)
+      || validateLocaleOptions(renderRequest);
+    if (formatError) {
+      return createErrorResponse(new ApiError('INVALID_OPTION', formatError));
+    }
+
+    const context = getRenderContext(request, env);
+    const scopeError = checkRenderScope(context.key, { format, width, height, deviceScaleFactor, templateId });
+    if (scopeError) {
+      return createErrorResponse(new ApiError('FORBIDDEN', scopeError));
+    }
+
+    if (callbackUrl !== undefined) {
+      const callbackError = validateCallbackUrl(callbackUrl, env);
+      if (callbackError) {
+        return createErrorResponse(new ApiError('INVALID_OPTION', callbackError));
+      }
+    }
+
+    // Resolve "latest" now so retries render the same template version
+    if (templateId) {
+      const version = parseVersionSelector(renderRequest.version);
+      if (!isValidTemplateId(templateId) || version === null) {
+        return createErrorResponse(new ApiError('INVALID_REQUEST', 'Invalid templateId or version'));
+      }
+      const record = await getTemplateVersion(env.IMAGE_BUCKET, templateId, version);
+      if (!record) {
+        return createErrorResponse(new ApiError('NOT_FOUND', `Template "${templateId}" (version ${version}) not found`));
+      }
+      renderRequest.version = record.version;
+    }
+
+    const job = await createJob(env.IMAGE_BUCKET, renderRequest, callbackUrl || null, context);
+    await enqueueRenderJob(job.id, env, ctx);
+
+    return createSuccessResponse({
+      ...getJobSummary(job),
+      statusUrl: `${JOB_ROUTE_PREFIX}${job.id}`
+    }, 202);
+  } catch (error) {
+    console.error('Job create error:', error);
+    return createErrorResponse(toApiError(error, 'INVALID_REQUEST'));
+  }
+}
+
+/**
+ * Get job status: GET /jobs/:id
+ * Jobs of other keys are reported as not found
+ */
+async function handleGetJob(request, env, id) {
+  try {
+    const job = await getJob(env.IMAGE_BUCKET, id);
+    if (!job || !canAccessJob(job, getRequestContext(request))) {
+      return createErrorResponse(new ApiError('NOT_FOUND', `Job "${id}" not found`));
+    }
+    return createSuccessResponse(getJobSummary(job));
+  } catch (error) {
+    console.error('Job get error:', error);
+    return createErrorResponse(error);
+  }
+}
+
+/**
+ * Re-queue a failed job, or a finished job whose webhook was not delivered
+ */
+async function handleRetryJob(request, env, ctx, id) {
+  try {
+    let job = await getJob(env.IMAGE_BUCKET, id);
+    if (!job || !canAccessJob(job, getRequestContext(request))) {
+      return createErrorResponse(new ApiError('NOT_FOUND', `Job "${id}" not found`));
+    }
+
+    const webhookPending = job.webhook && !job.webhook.delivered;
+
+    if (job.status === JOB_STATUS.FAILED) {
+      job = await updateJob(env.IMAGE_BUCKET, job, {
+        status: JOB_STATUS.QUEUED,
+        attempts: 0,
+        error: null,
+        completedAt: null,
+        webhook: job.webhook && { ...job.webhook, delivered: false }
+      });
+    } else if (!(job.status === JOB_STATUS.COMPLETED && webhookPending)) {
+      return createErrorResponse(new ApiError('CONFLICT', `Job "${id}" is ${job.status} and cannot be retried`));
+    }
+
+    await enqueueRenderJob(job.id, env, ctx);
+    return createSuccessResponse(getJobSummary(job), 202);
+  } catch (error) {
+    console.error('Job retry error:', error);
+    return createErrorResponse(error);
+  }
+}
+
+/**
+ * Send a job to the render queue
+ * Without a queue binding, the job is processed after the response via waitUntil
+ */
+async function enqueueRenderJob(jobId, env, ctx) {
+  if (env.RENDER_QUEUE) {
+    await env.RENDER_QUEUE.send({ jobId });
+    return;
+  }
+
+  console.warn('[jobs] RENDER_QUEUE not configured - processing job in waitUntil');
+  ctx.waitUntil((async () => {
+    let outcome;
+    do {
+      outcome = await processRenderJob(jobId, env);
+    } while (outcome.retry);
+  })().catch(error => console.error('[jobs] Inline job processing failed:', error)));
+}
+
+/**
+ * Process one attempt of a render job, reusing the /template/render pipeline
+ * @param {string} jobId - Job ID
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} { retry, attempts } - retry is true when the attempt should be re-queued
+ */
+async function processRenderJob(jobId, env) {
+  const bucket = env.IMAGE_BUCKET;
+  let job = await getJob(bucket, jobId);
+
+  if (!job) {
+    console.error('[jobs] Job not found:', jobId);
+    return { retry: false, attempts: 0 };
+  }
+
+  // Finished jobs only need a pending webhook delivered
+  if (job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED) {
+    if (job.webhook && !job.webhook.delivered) {
+      await notifyJobWebhook(job, env);
+    }
+    return { retry: false, attempts: job.attempts };
+  }
+
+  const now = new Date().toISOString();
+  job = await updateJob(bucket, job, {
+    status: JOB_STATUS.PROCESSING,
+    attempts: job.attempts + 1,
+    startedAt: job.startedAt || now
+  });
+
+  let result = null;
+  let error = null;
+  let errorCode = null;
+  let permanent = false;
+
+  try {
+    const response = await renderJobRequest(job.request, env, { resourcePolicy: job.resourcePolicy, outputLimit: job.outputLimit, usageId: job.usageId });
+    const payload = await response.json();
+
+    if (response.ok) {
+      result = payload.data;
+    } else {
+      error = payload.error;
+      errorCode = payload.code;
+      // Validation errors won't go away on retry
+      permanent = response.status < 500;
+    }
+  } catch (renderError) {
+    ({ message: error, code: errorCode } = toApiError(renderError, 'RENDER_FAILED'));
+  }
+
+  if (result) {
+    job = await updateJob(bucket, job, {
+      status: JOB_STATUS.COMPLETED,
+      result,
+      error: null,
+      errorCode: null,
+      completedAt: new Date().toISOString()
+    });
+  } else if (!permanent && job.attempts < JOB_MAX_ATTEMPTS) {
+    await updateJob(bucket, job, { status: JOB_STATUS.QUEUED, error, errorCode });
+    return { retry: true, attempts: job.attempts };
+  } else {
+    job = await updateJob(bucket, job, {
+      status: JOB_STATUS.FAILED,
+      error,
+      errorCode,
+      completedAt: new Date().toISOString()
+    });
+  }
+
+  if (job.webhook) {
+    await notifyJobWebhook(job, env);
+  }
+
+  return { retry: false, attempts: job.attempts };
+}
+
+/**
+ * Render a stored job request through the template render pipeline
+ */
+async function renderJobRequest(renderRequest, env, context) {
+  const body = { ...renderRequest, returnUrl: true };
+
+  if (renderRequest.templateId) {
+    const record = await getTemplateVersion(env.IMAGE_BUCKET, renderRequest.templateId, renderRequest.version);
+    if (!record) {
+      return createErrorResponse(new ApiError('NOT_FOUND', `Template "${renderRequest.templateId}" (version ${renderRequest.version}) not found`));
+    }
+    return await renderTemplateBody({ ...body, template: record.template }, env, record, context);
+  }
+
+  return await renderTemplateBody(body, env, null, context);
+}
+
+/**
+ * Deliver the job webhook and record the delivery attempt
+ */
+async function notifyJobWebhook(job, env) {
+  const payload = {
+    event: job.status === JOB_STATUS.COMPLETED ? 'job.completed' : 'job.failed',
+    job: getJobSummary(job)
+  };
+
+  const delivery = await deliverWebhook(job.callbackUrl, payload, env.WEBHOOK_SECRET);
+
+  return await updateJob(env.IMAGE_BUCKET, job, {
+    webhook: {
+      delivered: delivery.ok,
+      attempts: job.webhook.attempts + 1,
+      lastStatus: delivery.status,
+      lastError: delivery.error,
+      deliveredAt: delivery.ok ? new Date().toISOString() : null
+    }
+  });
+}
+
+/**
+ * Template preview endpoint - returns processed HTML without rendering image
+ */
+async function handleTemplatePreview(request) {
+  try {
+    const body = await readJsonBody(request);
+    const bodyError = validateRequestBody(body, 'TemplateSource');
+    if (bodyError) {
+      return createErrorResponse(bodyError);
+    }
+    const { template, variables: rawVariables = {}, sanitize = true, partials, locale, timezone } = body;
+
+    // Parse variables if passed as JSON string
+    let variables = rawVariables;
+    if (typeof rawVariables === 'string') {
+      try {
+        variables = JSON.parse(rawVariables);
+      } catch (e) {
+        return createErrorResponse(new ApiError('INVALID_REQUEST', 'Invalid variables format - must be a JSON object'));
+      }
+    }
+
+    if (!template) {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', 'Template HTML is required'));
+    }
+
+    const optionError = validatePartialsOption(partials) || validateLocaleOptions({ locale, timezone });
+    if (optionError) {
+      return createErrorResponse(new ApiError('INVALID_OPTION', optionError));
+    }
+
+    // Extract and validate variables
+    const templateVars = extractTemplateVariables(template, { partials });
+    const validation = validateTemplateVariables(variables, templateVars);
+
+    // Process template (sanitizing HTML-escapes {{variable}} output, {{{variable}}} stays raw)
+    const processedHtml = processTemplate(template, variables, { escape: sanitize, partials, locale, timezone });
+    
+    // Get processing summary
+    const summary = getTemplateSummary(template, variables, { partials });
+
+    return createSuccessResponse({
+      processedHtml,
+      summary,
+      validation
+    });
+  } catch (error) {
+    console.error('Template preview error:', error);
+    return createErrorResponse(toApiError(error, 'INVALID_REQUEST'));
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Template variables extraction endpoint
+ */
+async function handleTemplateVariables(request) {
+  try {
+    const body = await readJsonBody(request);
+    const bodyError = validateRequestBody(body, 'TemplateSource');
+    if (bodyError) {
+      return createErrorResponse(bodyError);
+    }
+    const { template, partials } = body;
+
+    if (!template) {
+      return createErrorResponse(new ApiError('INVALID_REQUEST', 'Template HTML is required'));
+    }
+
+    const partialsError = validatePartialsOption(partials);
+    if (partialsError) {
+      return createErrorResponse(new ApiError('INVALID_OPTION', partialsError));
+    }
+
+    const variables = extractTemplateVariables(template, { partials });
+    const summary = getTemplateSummary(template, {}, { partials });
+
+    return createSuccessResponse({
+      variables,
+      count: variables.length,
+      summary
+    });
+  } catch (error) {
+    console.error('Template variables error:', error);
+    return createErrorResponse(toApiError(error, 'INVALID_REQUEST'));
+  }
+}
+
+/**
+ * Validate cookies and extra headers for URL renders
+ * @param {Array<Object>} cookies - [{ name, value, domain, path, ... }]
+ * @param {Object} headers - Header name to value
+ * @returns {string|null} Error message or null if valid
+ */
+function validatePageRequestOptions(cookies, headers) {
+  if (!Array.isArray(cookies) || cookies.length > MAX_URL_COOKIES) {
+    return `cookies must be an array of at most ${MAX_URL_COOKIES} cookies`;
+  }
+  if (!cookies.every(cookie => cookie && typeof cookie.name === 'string' && cookie.name && typeof cookie.value === 'string')) {
+    return 'Each cookie needs a string name and value';
+  }
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    return 'headers must be an object';
+  }
+  if (!Object.values(headers).every(value => typeof value === 'string')) {
+    return 'Header values must be strings';
+  }
+  return null;
+}
+
+/**
+ * Validate requested output format, encoder and capture options
+ * @param {Object} options - Render options (see normalizeRenderOptions): format, lossless, effort,
+ *   selector, fullPage and omitBackground are checked
+ * @returns {string|null} Error message or null if valid
+ */
+function validateOutputFormat(options) {
+  const { format } = options;
+  if (!isSupportedFormat(format)) {
+    return unsupportedFormatMessage(format);
+  }
+  return validateEncoderOptions(format, options) || validateCaptureOptions(format, options);
+}
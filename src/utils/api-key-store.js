@@ -0,0 +1,283 @@
+/**
+ * Scoped API keys stored in Workers KV (API_KEY_STORE binding)
+ * Keys are never stored - records are keyed by the SHA-256 hash of the key, so a
+ * lookup never compares secrets. An ID index maps record IDs to hashes for /admin/keys.
+ *
+ * Layout:
+ *   keys/<sha256 of key>  - key record (JSON)
+ *   key-ids/<id>          - sha256 of the key
+ *
+ * Record fields (null means unrestricted):
+ *   { id, name, prefix, enabled, expiresAt, routes, formats, maxWidth, maxHeight, templates, createdAt, updatedAt }
+ */
+
+import { isSupportedFormat } from './output-formats.js';
+import { isValidTemplateId } from './template-store.js';
+
+const KEY_PREFIX = 'keys/';
+const KEY_ID_PREFIX = 'key-ids/';
+const KEY_NAME_PATTERN = /^[A-Za-z0-9 ._-]{1,64}$/;
+const ROUTE_PATTERN = /^\/[A-Za-z0-9/_.:-]*\*?$/;
+const MAX_SCOPE_ENTRIES = 100;
+
+// Fields an admin can set when creating or updating a key
+const EDITABLE_FIELDS = ['name', 'enabled', 'expiresAt', 'routes', 'formats', 'maxWidth', 'maxHeight', 'templates'];
+
+/**
+ * Hashes an API key
+ * @param {string} apiKey - API key
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+export async function hashApiKey(apiKey) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Validates key record fields sent to /admin/keys
+ * @param {Object} data - Record fields
+ * @param {boolean} partial - True for updates (name not required)
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateKeyRecordInput(data, partial = false) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return 'Request body must be a JSON object';
+  }
+
+  const unknown = Object.keys(data).filter(field => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return `Unknown fields: ${unknown.join(', ')} (allowed: ${EDITABLE_FIELDS.join(', ')})`;
+  }
+
+  const { name, enabled, expiresAt, routes, formats, maxWidth, maxHeight, templates } = data;
+
+  if ((!partial || name !== undefined) && !(typeof name === 'string' && KEY_NAME_PATTERN.test(name))) {
+    return 'name must be 1-64 letters, digits, spaces, dots, dashes or underscores';
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+  if (expiresAt !== undefined && expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) {
+    return 'expiresAt must be an ISO date or null';
+  }
+
+  const listError = validateList('routes', routes, route => ROUTE_PATTERN.test(route))
+    || validateList('formats', formats, isSupportedFormat)
+    || validateList('templates', templates, isValidTemplateId);
+  if (listError) {
+    return listError;
+  }
+
+  for (const [field, value] of [['maxWidth', maxWidth], ['maxHeight', maxHeight]]) {
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+      return `${field} must be a positive integer or null`;
+    }
+  }
+
+  return null;
+}
+
+function validateList(field, value, isValid) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Array.isArray(value) || value.length > MAX_SCOPE_ENTRIES || !value.every(entry => typeof entry === 'string' && isValid(entry))) {
+    return `${field} must be null or an array of up to ${MAX_SCOPE_ENTRIES} valid entries`;
+  }
+  return null;
+}
+
+/**
+ * Creates a key with a random secret
+ * @param {KVNamespace} kv - Key store
+ * @param {Object} data - Record fields (validated)
+ * @returns {Promise<Object>} { apiKey, record } - the key is only returned here
+ */
+export async function createApiKey(kv, data) {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  const apiKey = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  const hash = await hashApiKey(apiKey);
+  const now = new Date().toISOString();
+
+  const record = {
+    id: `key_${hash.slice(0, 12)}`,
+    name: data.name,
+    prefix: apiKey.slice(0, 8),
+    enabled: data.enabled ?? true,
+    expiresAt: data.expiresAt ?? null,
+    routes: data.routes ?? null,
+    formats: data.formats ?? null,
+    maxWidth: data.maxWidth ?? null,
+    maxHeight: data.maxHeight ?? null,
+    templates: data.templates ?? null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await kv.put(`${KEY_PREFIX}${hash}`, JSON.stringify(record));
+  await kv.put(`${KEY_ID_PREFIX}${record.id}`, hash);
+
+  return { apiKey, record };
+}
+
+/**
+ * Loads the record of a key by its hash (used for authentication)
+ * @param {KVNamespace} kv - Key store
+ * @param {string} hash - SHA-256 of the key
+ * @returns {Promise<Object|null>} Key record or null
+ */
+export async function getKeyRecordByHash(kv, hash) {
+  return await kv.get(`${KEY_PREFIX}${hash}`, 'json');
+}
+
+/**
+ * Loads a key record by ID
+ * @param {KVNamespace} kv - Key store
+ * @param {string} id - Key ID
+ * @returns {Promise<Object|null>} Key record or null
+ */
+export async function getKeyRecord(kv, id) {
+  const hash = await kv.get(`${KEY_ID_PREFIX}${id}`);
+  return hash ? await getKeyRecordByHash(kv, hash) : null;
+}
+
+/**
+ * Lists all key records
+ * @param {KVNamespace} kv - Key store
+ * @returns {Promise<Array>} Key records, oldest first
+ */
+export async function listKeyRecords(kv) {
+  const records = [];
+  let cursor;
+
+  do {
+    const page = await kv.list({ prefix: KEY_PREFIX, cursor });
+    const loaded = await Promise.all(page.keys.map(({ name }) => kv.get(name, 'json')));
+    records.push(...loaded.filter(Boolean));
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Updates a key record
+ * @param {KVNamespace} kv - Key store
+ * @param {string} id - Key ID
+ * @param {Object} data - Fields to change (validated)
+ * @returns {Promise<Object|null>} Updated record or null if not found
+ */
+export async function updateKeyRecord(kv, id, data) {
+  const hash = await kv.get(`${KEY_ID_PREFIX}${id}`);
+  const existing = hash ? await getKeyRecordByHash(kv, hash) : null;
+  if (!existing) {
+    return null;
+  }
+
+  const record = { ...existing, ...data, updatedAt: new Date().toISOString() };
+  await kv.put(`${KEY_PREFIX}${hash}`, JSON.stringify(record));
+  return record;
+}
+
+/**
+ * Deletes (revokes) a key
+ * @param {KVNamespace} kv - Key store
+ * @param {string} id - Key ID
+ * @returns {Promise<boolean>} True if the key existed
+ */
+export async function deleteKeyRecord(kv, id) {
+  const hash = await kv.get(`${KEY_ID_PREFIX}${id}`);
+  if (!hash) {
+    return false;
+  }
+  await kv.delete(`${KEY_PREFIX}${hash}`);
+  await kv.delete(`${KEY_ID_PREFIX}${id}`);
+  return true;
+}
+
+/**
+ * Checks whether a key may call a route
+ * Route scopes are paths ("/render") or prefixes ending in * ("/templates/*")
+ * @param {Object} key - Key identity from the request context
+ * @param {string} pathname - Request pathname
+ * @returns {boolean} True if allowed
+ */
+export function isRouteAllowed(key, pathname) {
+  if (!key?.routes) {
+    return true;
+  }
+  return key.routes.some(route =>
+    route.endsWith('*') ? pathname.startsWith(route.slice(0, -1)) : pathname === route
+  );
+}
+
+/**
+ * Checks render options against a key's scopes
+ * The size is checked as the image the request asks for: the viewport multiplied by
+ * deviceScaleFactor. fullPage and selector captures are checked again by the renderer
+ * once their size is known (see getOutputLimit).
+ * @param {Object} key - Key identity from the request context (no key = unrestricted)
+ * @param {Object} render - { format, width, height, deviceScaleFactor, templateId }
+ * @returns {string|null} Error message or null if allowed
+ */
+export function checkRenderScope(key, { format, width, height, deviceScaleFactor = 1, templateId }) {
+  if (!key) {
+    return null;
+  }
+  if (key.formats && format !== undefined && !key.formats.includes(format)) {
+    return `API key is not allowed to render ${format} (allowed: ${key.formats.join(', ')})`;
+  }
+  const sizeError = checkOutputSize(getOutputLimit(key), { width, height, deviceScaleFactor });
+  if (sizeError) {
+    return sizeError;
+  }
+  if (templateId !== undefined && !isTemplateAllowed(key, templateId)) {
+    return `API key is not allowed to use template "${templateId}"`;
+  }
+  return null;
+}
+
+/**
+ * Gets the output size limit of a key
+ * Carried in the render options (and stored with jobs) so the renderer can check the
+ * captured size without the key.
+ * @param {Object} key - Key identity from the request context
+ * @returns {Object|null} { maxWidth, maxHeight } or null if the key has no size limit
+ */
+export function getOutputLimit(key) {
+  if (!key?.maxWidth && !key?.maxHeight) {
+    return null;
+  }
+  return { maxWidth: key.maxWidth || null, maxHeight: key.maxHeight || null };
+}
+
+/**
+ * Checks the size of an output image against a key's limit
+ * @param {Object|null} limit - { maxWidth, maxHeight } from getOutputLimit
+ * @param {Object} size - { width, height, deviceScaleFactor } in CSS pixels
+ * @returns {string|null} Error message or null if allowed
+ */
+export function checkOutputSize(limit, { width, height, deviceScaleFactor = 1 }) {
+  if (!limit) {
+    return null;
+  }
+  const outputWidth = Math.ceil(width * deviceScaleFactor);
+  const outputHeight = Math.ceil(height * deviceScaleFactor);
+  if (limit.maxWidth && outputWidth > limit.maxWidth) {
+    return `API key is limited to a width of ${limit.maxWidth}px (the image would be ${outputWidth}px wide)`;
+  }
+  if (limit.maxHeight && outputHeight > limit.maxHeight) {
+    return `API key is limited to a height of ${limit.maxHeight}px (the image would be ${outputHeight}px high)`;
+  }
+  return null;
+}
+
+/**
+ * Checks whether a key may use a stored template
+ * @param {Object} key - Key identity from the request context
+ * @param {string} templateId - Template ID
+ * @returns {boolean} True if allowed
+ */
+export function isTemplateAllowed(key, templateId) {
+  return !key?.templates || key.templates.includes(templateId);
+}
@@ -0,0 +1,433 @@
+/**
+ * API description
+ * API_ROUTES lists every endpoint once - method, path, summary, body and response.
+ * The OpenAPI document (/openapi.json), the docs explorer (/docs), the examples page
+ * and the health check all read it, so they can't drift apart.
+ *
+ * index.js registers each route with the router (router.js) by operationId. Paths use the
+ * router's ":param" syntax. Route fields:
+ *   auth     - 'apiKey' (default), 'admin', 'public' or 'signature' (signed og URLs)
+ *   render   - counts against the render quotas (see rate-limit.js)
+ *   body     - request schema name (see request-schema.js and SCHEMAS below)
+ *   response - 'render' (JSON with the R2 URL or the image), 'image', 'html', 'document',
+ *              or the schema name of `data` in the success envelope
+ *   status   - success status (200 by default)
+ */
+
+import { getRequestSchemas, REQUEST_LIMITS } from './request-schema.js';
+import { ERROR_CODES } from './errors.js';
+import { OUTPUT_FORMATS } from './output-formats.js';
+import { OG_RESERVED_PARAMS } from './signed-url.js';
+import { JOB_STATUS } from './job-store.js';
+
+export const API_VERSION = '1.0.0';
+
+const MAX_BATCH_ITEMS = REQUEST_LIMITS.maxBatchItems;
+
+const TEMPLATE_EXAMPLE = '<div style="padding: 40px; background: #FF6B6B; color: white;"><h1>{{title}}</h1><p>{{message}}</p></div>';
+
+export const API_ROUTES = [
+  // Service
+  { method: 'GET', path: '/', operationId: 'getServiceInfo', tag: 'Service', auth: 'public', summary: 'Service overview with example requests' },
+  { method: 'GET', path: '/health', operationId: 'getHealth', tag: 'Service', auth: 'public', summary: 'Service health check' },
+  { method: 'GET', path: '/openapi.json', operationId: 'getOpenApiDocument', tag: 'Service', auth: 'public', response: 'document', summary: 'OpenAPI 3.1 description of this API' },
+  { method: 'GET', path: '/docs', operationId: 'getDocs', tag: 'Service', auth: 'public', response: 'html', summary: 'Interactive API explorer' },
+  { method: 'GET', path: '/usage', operationId: 'getUsage', tag: 'Service', summary: 'Rate limits and current usage of your API key' },
+
+  // Rendering
+  {
+    method: 'POST', path: '/render', operationId: 'renderHtml', render: true, tag: 'Rendering', body: 'HtmlRenderRequest', response: 'render',
+    summary: 'Generate image from plain HTML',
+    example: { html: '<div style="padding: 40px; background: #007bff; color: white;"><h1>Simple HTML</h1></div>', width: 400, height: 200, format: 'png' }
+  },
+  {
+    method: 'POST', path: '/html-to-image', operationId: 'renderHtmlLegacy', render: true, tag: 'Rendering', body: 'HtmlRenderRequest', response: 'render',
+    summary: 'Alias of POST /render (backward compatibility)', deprecated: true
+  },
+  {
+    method: 'POST', path: '/render/url', operationId: 'renderUrl', render: true, tag: 'Rendering', body: 'UrlRenderRequest', response: 'render',
+    summary: 'Screenshot an existing page by URL (SSRF-protected)',
+    example: { url: 'https://example.com', width: 1280, height: 800, format: 'png' }
+  },
+  {
+    method: 'POST', path: '/render/batch', operationId: 'renderBatch', render: true, tag: 'Rendering', body: 'BatchRequest', response: 'BatchResult',
+    summary: `Render up to ${MAX_BATCH_ITEMS} items through one browser session (carousels)`,
+    example: {
+      defaults: { template: TEMPLATE_EXAMPLE, width: 1080, height: 1080, format: 'png' },
+      items: [{ variables: { title: 'Slide 1', message: 'First' } }, { variables: { title: 'Slide 2', message: 'Second' } }]
+    }
+  },
+  {
+    method: 'POST', path: '/template/render', operationId: 'renderTemplate', render: true, tag: 'Rendering', body: 'TemplateRenderRequest', response: 'render',
+    summary: 'Generate image from a template with variables',
+    example: { template: TEMPLATE_EXAMPLE, variables: { title: 'Hello World!', message: 'Generated with API' }, width: 400, height: 250, format: 'png' }
+  },
+  {
+    method: 'POST', path: '/template/preview', operationId: 'previewTemplate', tag: 'Rendering', body: 'TemplateSource',
+    summary: 'Preview processed template HTML without rendering',
+    example: { template: TEMPLATE_EXAMPLE, variables: { title: 'Hello World!', message: 'Generated with API' } }
+  },
+  {
+    method: 'POST', path: '/template/variables', operationId: 'extractTemplateVariables', tag: 'Rendering', body: 'TemplateSource',
+    summary: 'Extract all variables from a template',
+    example: { template: TEMPLATE_EXAMPLE }
+  },
+
+  // Jobs
+  {
+    method: 'POST', path: '/jobs', operationId: 'createJob', render: true, tag: 'Jobs', body: 'JobRequest', response: 'Job', status: 202,
+    summary: 'Queue an asynchronous render job (optional signed callbackUrl webhook)',
+    example: { template: TEMPLATE_EXAMPLE, variables: { title: 'Queued', message: 'Rendered later' }, width: 1080, height: 1080 }
+  },
+  { method: 'GET', path: '/jobs/:id', operationId: 'getJob', tag: 'Jobs', response: 'Job', summary: 'Get job status and result URL' },
+  { method: 'POST', path: '/jobs/:id/retry', operationId: 'retryJob', render: true, tag: 'Jobs', response: 'Job', status: 202, summary: 'Retry a failed job or redeliver its webhook' },
+
+  // Stored templates
+  {
+    method: 'POST', path: '/templates/:id', operationId: 'createTemplate', tag: 'Templates', body: 'TemplateSaveRequest', status: 201,
+    summary: 'Store a template under an ID',
+    example: { template: TEMPLATE_EXAMPLE, name: 'Hello card' }
+  },
+  { method: 'GET', path: '/templates/:id', operationId: 'getTemplate', tag: 'Templates', summary: 'Get a stored template with its variables' },
+  { method: 'PUT', path: '/templates/:id', operationId: 'updateTemplate', tag: 'Templates', body: 'TemplateSaveRequest', summary: 'Update a stored template' },
+  { method: 'DELETE', path: '/templates/:id', operationId: 'deleteTemplate', tag: 'Templates', summary: 'Delete a stored template' },
+  {
+    method: 'POST', path: '/templates/:id/render', operationId: 'renderStoredTemplate', render: true, tag: 'Templates', body: 'StoredTemplateRenderRequest', response: 'render',
+    summary: 'Render a stored template with variables (pin "version" or follow latest)',
+    example: { version: 'latest', variables: { title: 'Hello World!', message: 'From a stored template' }, format: 'png' }
+  },
+  { method: 'GET', path: '/templates/:id/versions', operationId: 'listTemplateVersions', tag: 'Templates', summary: 'List template versions' },
+  {
+    method: 'POST', path: '/templates/:id/versions', operationId: 'createTemplateVersion', tag: 'Templates', body: 'TemplateVersionRequest', status: 201,
+    summary: 'Create an immutable version (promote: true to make it latest)'
+  },
+  { method: 'GET', path: '/templates/:id/versions/:version', operationId: 'getTemplateVersion', tag: 'Templates', summary: 'Get a specific template version' },
+  { method: 'POST', path: '/templates/:id/versions/:version/promote', operationId: 'promoteTemplateVersion', tag: 'Templates', summary: 'Promote a version to latest' },
+  {
+    method: 'GET', path: '/templates/:id/diff', operationId: 'diffTemplateVersions', tag: 'Templates',
+    summary: 'Diff variables of two versions and flag breaking changes',
+    query: [
+      { name: 'from', required: true, description: 'Version number or "latest"' },
+      { name: 'to', description: 'Version number or "latest" (default)' }
+    ]
+  },
+  {
+    method: 'POST', path: '/templates/:id/og-url', operationId: 'createOgUrl', tag: 'Templates', body: 'OgUrlRequest',
+    summary: 'Create a signed GET URL for og:image tags',
+    example: { variables: { title: 'Hello World!' }, width: 1200, height: 630 }
+  },
+  {
+    method: 'GET', path: '/og/:id', operationId: 'renderOgImage', tag: 'Templates', auth: 'signature', response: 'image',
+    summary: 'Public signed render URL (no API key, served from the render cache)',
+    query: [
+      { name: 'sig', required: true, description: 'Signature from POST /templates/:id/og-url' },
+      ...OG_RESERVED_PARAMS.map(name => ({ name, description: 'Render option (part of the signature)' }))
+    ]
+  },
+
+  // Document shells and fonts
+  { method: 'GET', path: '/shells/:name', operationId: 'getShell', tag: 'Shells and fonts', summary: 'Get a stored document shell' },
+  { method: 'PUT', path: '/shells/:name', operationId: 'saveShell', tag: 'Shells and fonts', body: 'ShellRequest', summary: 'Store a document shell (use with "shell": "<name>")' },
+  { method: 'DELETE', path: '/shells/:name', operationId: 'deleteShell', tag: 'Shells and fonts', summary: 'Delete a stored document shell' },
+  { method: 'GET', path: '/fonts', operationId: 'listFonts', tag: 'Shells and fonts', summary: 'List uploaded font families' },
+  { method: 'POST', path: '/fonts', operationId: 'uploadFont', tag: 'Shells and fonts', body: 'FontUpload', status: 201, summary: 'Upload a WOFF2/WOFF/TTF/OTF font (use with "fonts": ["Family"])' },
+
+  // Admin
+  { method: 'GET', path: '/admin/keys', operationId: 'listApiKeys', tag: 'Admin', auth: 'admin', summary: 'List scoped API keys' },
+  {
+    method: 'POST', path: '/admin/keys', operationId: 'createApiKey', tag: 'Admin', auth: 'admin', body: 'ApiKeyRequest', status: 201,
+    summary: 'Create a scoped API key (the key is only returned once)',
+    example: { name: 'cms', routes: ['/templates/*'], formats: ['png', 'webp'] }
+  },
+  { method: 'GET', path: '/admin/keys/:id', operationId: 'getApiKey', tag: 'Admin', auth: 'admin', summary: 'Read a scoped API key' },
+  { method: 'PATCH', path: '/admin/keys/:id', operationId: 'updateApiKey', tag: 'Admin', auth: 'admin', body: 'ApiKeyRequest', summary: 'Change scopes, name, enabled or expiresAt of a key' },
+  { method: 'DELETE', path: '/admin/keys/:id', operationId: 'deleteApiKey', tag: 'Admin', auth: 'admin', summary: 'Revoke a scoped API key' },
+  { method: 'GET', path: '/admin/browser-pool', operationId: 'getBrowserPool', tag: 'Admin', auth: 'admin', summary: 'Browser pool stats with the warm sessions' }
+];
+
+/**
+ * Body and response schemas that aren't render options (those come from request-schema.js)
+ */
+const SCHEMAS = {
+  BatchRequest: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: { type: 'array', minItems: 1, maxItems: MAX_BATCH_ITEMS, items: { $ref: '#/components/schemas/BatchItem' } },
+      defaults: { $ref: '#/components/schemas/BatchItem', description: 'Options shared by every item' }
+    }
+  },
+  OgUrlRequest: {
+    type: 'object',
+    properties: {
+      variables: { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean', 'null'] } },
+      version: { type: ['integer', 'string'] },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      format: { type: 'string', enum: Object.keys(OUTPUT_FORMATS) }
+    }
+  },
+  ShellRequest: {
+    type: 'object',
+    required: ['html'],
+    properties: {
+      html: { type: 'string', description: 'Document with a {{content}} placeholder' },
+      description: { type: 'string' }
+    }
+  },
+  FontUpload: {
+    type: 'object',
+    required: ['file', 'family'],
+    properties: {
+      file: { type: 'string', format: 'binary' },
+      family: { type: 'string' },
+      weight: { type: 'integer', minimum: 1, maximum: 1000, default: 400 },
+      style: { type: 'string', enum: ['normal', 'italic'], default: 'normal' }
+    }
+  },
+  ApiKeyRequest: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', pattern: '^[A-Za-z0-9 ._-]{1,64}$' },
+      enabled: { type: 'boolean', default: true },
+      expiresAt: { type: ['string', 'null'], format: 'date-time' },
+      routes: { type: ['array', 'null'], items: { type: 'string' }, description: 'Allowed paths, or prefixes ending in *' },
+      formats: { type: ['array', 'null'], items: { type: 'string', enum: Object.keys(OUTPUT_FORMATS) } },
+      templates: { type: ['array', 'null'], items: { type: 'string' } },
+      maxWidth: { type: ['integer', 'null'], minimum: 1 },
+      maxHeight: { type: ['integer', 'null'], minimum: 1 }
+    }
+  },
+  Dimensions: {
+    type: 'object',
+    properties: { width: { type: 'integer' }, height: { type: 'integer' } }
+  },
+  RenderResult: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', format: 'uri' },
+      filename: { type: 'string' },
+      size: { type: 'integer' },
+      format: { type: 'string', enum: Object.keys(OUTPUT_FORMATS) },
+      dimensions: { $ref: '#/components/schemas/Dimensions' },
+      blockedRequests: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  BatchResult: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer' },
+            success: { type: 'boolean' },
+            url: { type: 'string', format: 'uri' },
+            error: { type: 'string' },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            details: { type: 'object' }
+          }
+        }
+      }
+    }
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      status: { type: 'string', enum: Object.values(JOB_STATUS) },
+      attempts: { type: 'integer' },
+      result: { type: ['object', 'null'] },
+      error: { type: ['string', 'null'] },
+      errorCode: { type: ['string', 'null'], enum: [...Object.keys(ERROR_CODES), null] },
+      callbackUrl: { type: ['string', 'null'], format: 'uri' },
+      webhook: { type: ['object', 'null'], description: 'Webhook delivery state (jobs with a callbackUrl)' },
+      templateId: { type: 'string' },
+      statusUrl: { type: 'string', description: 'Returned when the job is created' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      startedAt: { type: ['string', 'null'], format: 'date-time' },
+      completedAt: { type: ['string', 'null'], format: 'date-time' }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['success', 'error', 'code', 'timestamp'],
+    properties: {
+      success: { const: false },
+      error: { type: 'string', description: 'Human-readable message' },
+      code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Stable error code - branch on this, not on the message' },
+      details: { type: 'object', description: 'Machine-readable details (e.g. fields, missing, limit)' },
+      requestId: { type: 'string', description: 'Same as the X-Request-Id response header' },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+/**
+ * Shared error responses
+ */
+const ERROR_RESPONSES = {
+  BadRequest: 'Invalid request body or option',
+  Unauthorized: 'Missing or invalid API key',
+  Forbidden: 'The API key is not allowed to do this',
+  NotFound: 'Resource not found',
+  RateLimited: 'Rate limit or quota exceeded',
+  Error: 'Error'
+};
+
+const RENDER_MIME_TYPES = Object.values(OUTPUT_FORMATS).map(({ mimeType }) => mimeType);
+
+/**
+ * Lists endpoints for the examples page and health check
+ * @returns {Object} { "POST /render": "Generate image from plain HTML", ... }
+ */
+export function describeEndpoints() {
+  return Object.fromEntries(API_ROUTES.map(({ method, path, summary }) => [`${method} ${path}`, summary]));
+}
+
+/**
+ * Builds the OpenAPI 3.1 document
+ * @param {string} origin - Server URL the document describes (the request origin)
+ * @returns {Object} OpenAPI document
+ */
+export function buildOpenApiDocument(origin) {
+  const paths = {};
+  for (const route of API_ROUTES) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method.toLowerCase()]: buildOperation(route) };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'HTML to Image API',
+      version: API_VERSION,
+      description: 'Render HTML, templates and web pages to PNG, JPEG, WebP, AVIF and PDF. '
+        + `Request bodies are limited to ${REQUEST_LIMITS.maxBodyBytes / 1024 / 1024} MB. `
+        + 'Every response carries an X-Request-Id header; errors have a stable `code` (see the Error schema).'
+    },
+    servers: [{ url: origin }],
+    tags: [...new Set(API_ROUTES.map(route => route.tag))].map(name => ({ name })),
+    security: [{ ApiKeyHeader: [] }, { BearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        BearerAuth: { type: 'http', scheme: 'bearer', description: 'The API key as a bearer token' }
+      },
+      schemas: { ...getRequestSchemas(), ...SCHEMAS },
+      responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([name, description]) => [name, {
+        description,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+        ...(name === 'RateLimited' && { headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the limit resets' } } })
+      }]))
+    }
+  };
+}
+
+/**
+ * "/templates/:id" -> "/templates/{id}"
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Builds the operation object of one route
+ */
+function buildOperation(route) {
+  const { method, path, operationId, tag, summary, body, query = [], auth = 'apiKey', status = 200, deprecated, example } = route;
+
+  const parameters = [
+    ...[...path.matchAll(/:(\w+)/g)].map(([, name]) => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+    ...query.map(({ name, required = false, description }) => ({ name, in: 'query', required, description, schema: { type: 'string' } }))
+  ];
+
+  const operation = {
+    operationId,
+    tags: [tag],
+    summary,
+    ...(auth === 'admin' && { description: 'Requires the admin API key (ADMIN_API_KEY).' }),
+    ...(deprecated && { deprecated: true }),
+    ...((auth === 'public' || auth === 'signature') && { security: [] }),
+    ...(parameters.length > 0 && { parameters })
+  };
+
+  if (body) {
+    const mediaType = body === 'FontUpload' ? 'multipart/form-data' : 'application/json';
+    operation.requestBody = {
+      required: true,
+      content: { [mediaType]: { schema: { $ref: `#/components/schemas/${body}` }, ...(example && { example }) } }
+    };
+  }
+
+  operation.responses = { [status]: buildSuccessResponse(route) };
+  if (body || parameters.length > 0) {
+    operation.responses[400] = { $ref: '#/components/responses/BadRequest' };
+  }
+  if (auth === 'apiKey' || auth === 'admin') {
+    operation.responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    operation.responses[403] = { $ref: '#/components/responses/Forbidden' };
+    operation.responses[429] = { $ref: '#/components/responses/RateLimited' };
+  }
+  if (auth === 'signature') {
+    operation.responses[403] = { $ref: '#/components/responses/Forbidden' };
+  }
+  if (path.includes(':')) {
+    operation.responses[404] = { $ref: '#/components/responses/NotFound' };
+  }
+  operation.responses.default = { $ref: '#/components/responses/Error' };
+
+  return operation;
+}
+
+/**
+ * Builds the success response of one route
+ */
+function buildSuccessResponse({ response, status = 200 }) {
+  const binary = { schema: { type: 'string', format: 'binary' } };
+
+  switch (response) {
+    case 'render':
+      return {
+        description: 'JSON with the R2 URL (returnUrl, the default) or the rendered file itself',
+        content: {
+          'application/json': { schema: successEnvelope({ $ref: '#/components/schemas/RenderResult' }) },
+          ...Object.fromEntries(RENDER_MIME_TYPES.map(mimeType => [mimeType, binary]))
+        }
+      };
+    case 'image':
+      return { description: 'Rendered file', content: Object.fromEntries(RENDER_MIME_TYPES.map(mimeType => [mimeType, binary])) };
+    case 'html':
+      return { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } };
+    case 'document':
+      return { description: 'OpenAPI document', content: { 'application/json': { schema: { type: 'object' } } } };
+    default:
+      return {
+        description: status === 201 ? 'Created' : status === 202 ? 'Accepted' : 'OK',
+        content: {
+          'application/json': { schema: successEnvelope(response ? { $ref: `#/components/schemas/${response}` } : { type: 'object' }) }
+        }
+      };
+  }
+}
+
+/**
+ * Wraps a data schema in the { success, data, timestamp } envelope
+ */
+function successEnvelope(data) {
+  return {
+    type: 'object',
+    required: ['success', 'data', 'timestamp'],
+    properties: {
+      success: { const: true },
+      data,
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  };
+}
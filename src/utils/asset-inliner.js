@@ -0,0 +1,458 @@
+/**
+ * Remote asset inlining (inlineAssets render option)
+ * Images and stylesheets referenced by the render payload are fetched by the worker
+ * before the browser loads the page, cached in R2 under assets/<sha256 of URL> and
+ * rewritten to data: URIs (mode "data") or to their cached R2 URL (mode "url").
+ * A slow or failing CDN therefore can't time out a render: images that can't be
+ * fetched are replaced with a placeholder and failing stylesheets are dropped.
+ *
+ * Handled references (absolute http(s) or protocol-relative URLs only):
+ *   <img src="...">
+ *   <link rel="stylesheet" href="..."> - replaced with a <style> element
+ *   url(...) in <style>, style attributes, the css option and fetched stylesheets
+ */
+
+import { checkUrl } from './url-policy.js';
+import { checkResource, DEFAULT_PLACEHOLDER_PNG } from './resource-policy.js';
+import { generateR2PublicUrl } from './r2-storage.js';
+
+export const ASSET_PREFIX = 'assets/';
+export const INLINE_MODES = ['data', 'url'];
+
+const DEFAULT_ASSET_MAX_BYTES = 2 * 1024 * 1024;
+const MAX_ASSET_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_ASSET_TIMEOUT_MS = 5000;
+const MAX_ASSET_TIMEOUT_MS = 10000;
+const MIN_ASSET_TIMEOUT_MS = 500;
+
+// Data URIs make the document itself large - cap what a single render inlines
+const MAX_INLINE_TOTAL_BYTES = 10 * 1024 * 1024;
+const MAX_ASSETS_PER_RENDER = 50;
+
+// Cached assets are refetched after a day; a stale copy is used if the refetch fails
+const ASSET_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// url() references may point at images or fonts
+const ASSET_CONTENT_TYPES = ['image/', 'font/', 'application/font', 'application/x-font', 'application/vnd.ms-fontobject', 'application/octet-stream'];
+
+// Redirects are followed by hand so every hop goes through checkUrl
+const MAX_ASSET_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// SSRF checks only - URL_ALLOWED_HOSTS / URL_DENIED_HOSTS are for POST /render/url
+const OPEN_URL_POLICY = { allowedHosts: [], deniedHosts: [] };
+
+const IMG_SRC_PATTERN = /(<img\b[^>]*?\bsrc\s*=\s*)(["'])(.*?)\2/gi;
+const LINK_PATTERN = /<link\b[^>]*>/gi;
+const CSS_URL_PATTERN = /url\(\s*(["']?)([^"')]+)\1\s*\)/gi;
+
+/**
+ * Normalizes the inlineAssets option
+ * @param {boolean|Object} value - true, false or { mode, placeholder, maxBytes, timeout }
+ * @returns {Object|null} Settings, or null when inlining is off
+ */
+function resolveInlineSettings(value) {
+  if (!value) {
+    return null;
+  }
+
+  const { mode = 'data', placeholder, maxBytes = DEFAULT_ASSET_MAX_BYTES, timeout = DEFAULT_ASSET_TIMEOUT_MS } = value === true ? {} : value;
+  return {
+    mode,
+    placeholder: placeholder === undefined ? `data:image/png;base64,${DEFAULT_PLACEHOLDER_PNG}` : placeholder,
+    maxBytes,
+    timeout
+  };
+}
+
+/**
+ * Validates the inlineAssets render option
+ * @param {boolean|Object} value - inlineAssets option
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateInlineAssetsOption(value) {
+  if (value === undefined || typeof value === 'boolean') {
+    return null;
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'inlineAssets must be true, false or { mode, placeholder, maxBytes, timeout }';
+  }
+
+  const { mode, placeholder, maxBytes, timeout } = resolveInlineSettings(value);
+  if (!INLINE_MODES.includes(mode)) {
+    return `inlineAssets.mode must be one of: ${INLINE_MODES.join(', ')}`;
+  }
+  if (placeholder !== false && !(typeof placeholder === 'string' && /^(data:image\/|https:\/\/)/.test(placeholder))) {
+    return 'inlineAssets.placeholder must be a data:image/... URI, an https URL or false';
+  }
+  if (!Number.isInteger(maxBytes) || maxBytes < 1 || maxBytes > MAX_ASSET_MAX_BYTES) {
+    return `inlineAssets.maxBytes must be an integer between 1 and ${MAX_ASSET_MAX_BYTES}`;
+  }
+  if (!Number.isInteger(timeout) || timeout < MIN_ASSET_TIMEOUT_MS || timeout > MAX_ASSET_TIMEOUT_MS) {
+    return `inlineAssets.timeout must be an integer between ${MIN_ASSET_TIMEOUT_MS} and ${MAX_ASSET_TIMEOUT_MS} ms`;
+  }
+  return null;
+}
+
+/**
+ * Inlines the remote assets of a render payload when options.inlineAssets is set
+ * The payload, headHtml and css are rewritten; everything else is left untouched
+ * @param {string} html - Render payload
+ * @param {Object} options - Rendering options (inlineAssets, headHtml, css, resourcePolicy)
+ * @param {Object} env - Environment bindings (IMAGE_BUCKET, R2_PUBLIC_DOMAIN)
+ * @returns {Promise<Object>} { html, options } ready for renderPage
+ */
+export async function inlineRenderAssets(html, options, env) {
+  const settings = resolveInlineSettings(options.inlineAssets);
+  if (!settings) {
+    return { html, options };
+  }
+
+  const inliner = createInliner(settings, options.resourcePolicy, env);
+  const parts = [html, options.headHtml || '', options.css || ''];
+
+  // Stylesheets first - their url() references join the asset list
+  const stylesheets = new Map();
+  for (const part of parts) {
+    for (const href of findStylesheets(part)) {
+      stylesheets.set(href, null);
+    }
+  }
+  await Promise.all([...stylesheets.keys()].map(async href => {
+    const css = await inliner.fetchStylesheet(href);
+    stylesheets.set(href, css === null ? null : absolutizeCssUrls(css, href));
+  }));
+
+  const withStyles = parts.map(part => replaceStylesheets(part, stylesheets));
+
+  // References past the per-render limit are left for the browser to load
+  const urls = [...new Set(withStyles.flatMap(findAssetUrls))].slice(0, MAX_ASSETS_PER_RENDER);
+  const assets = new Map(await Promise.all(urls.map(async url => [url, await inliner.resolveAsset(url)])));
+
+  const [inlinedHtml, headHtml, css] = withStyles.map(part => replaceAssetUrls(part, assets, settings.placeholder));
+
+  if (inliner.failed.length > 0) {
+    console.warn('[inlineAssets] Assets not inlined:', inliner.failed);
+  }
+  console.log('[inlineAssets] Inlined assets:', { stylesheets: stylesheets.size, assets: assets.size, failed: inliner.failed.length });
+
+  return {
+    html: inlinedHtml,
+    options: {
+      ...options,
+      headHtml: options.headHtml === undefined ? undefined : headHtml,
+      css: options.css === undefined ? undefined : css
+    }
+  };
+}
+
+/**
+ * Creates the fetch/cache helpers for one render
+ * @returns {Object} { fetchStylesheet, resolveAsset, failed }
+ */
+function createInliner({ mode, maxBytes, timeout }, resourcePolicy, env) {
+  const failed = [];
+  let budget = resourcePolicy?.maxBytes ? Math.min(resourcePolicy.maxBytes, MAX_INLINE_TOTAL_BYTES) : MAX_INLINE_TOTAL_BYTES;
+
+  const load = async (url, acceptsType) => {
+    const reason = checkUrl(url, OPEN_URL_POLICY) || (resourcePolicy ? checkResource(url, resourcePolicy) : null);
+    if (reason) {
+      throw new Error(reason);
+    }
+
+    const asset = await loadCachedAsset(env.IMAGE_BUCKET, url, { maxBytes, timeout, acceptsType });
+    if (mode === 'data' || acceptsType === isStylesheetType) {
+      budget -= asset.data.byteLength;
+      if (budget < 0) {
+        throw new Error('inline size budget of the render exhausted');
+      }
+    }
+    return asset;
+  };
+
+  return {
+    failed,
+
+    async fetchStylesheet(url) {
+      try {
+        const { data } = await load(url, isStylesheetType);
+        return new TextDecoder().decode(data);
+      } catch (error) {
+        failed.push({ url, reason: error.message });
+        return null;
+      }
+    },
+
+    async resolveAsset(url) {
+      try {
+        const { key, data, contentType } = await load(url, isAssetType);
+        if (mode === 'url' && env.IMAGE_BUCKET) {
+          return generateR2PublicUrl(env.IMAGE_BUCKET.name || 'html-images', key, env.R2_PUBLIC_DOMAIN);
+        }
+        return `data:${contentType};base64,${toBase64(data)}`;
+      } catch (error) {
+        failed.push({ url, reason: error.message });
+        return null;
+      }
+    }
+  };
+}
+
+/**
+ * Loads an asset from the R2 cache, fetching it when missing or stale
+ * Without R2 the asset is fetched on every render
+ * @param {R2Bucket} bucket - R2 bucket instance (optional)
+ * @param {string} url - Asset URL
+ * @param {Object} limits - { maxBytes, timeout, acceptsType }
+ * @returns {Promise<Object>} { key, data, contentType }
+ */
+async function loadCachedAsset(bucket, url, { maxBytes, timeout, acceptsType }) {
+  const key = await getAssetKey(url);
+  const cached = bucket ? await bucket.get(key) : null;
+
+  if (cached) {
+    const fetchedAt = Date.parse(cached.customMetadata?.fetchedAt || '');
+    const contentType = cached.httpMetadata?.contentType || 'application/octet-stream';
+    if (Date.now() - fetchedAt < ASSET_CACHE_TTL_MS && cached.size <= maxBytes && acceptsType(contentType)) {
+      return { key, data: await cached.arrayBuffer(), contentType };
+    }
+  }
+
+  let fetched;
+  try {
+    fetched = await fetchAsset(url, { maxBytes, timeout, acceptsType });
+  } catch (error) {
+    // A stale copy beats a broken image
+    if (cached && cached.size <= maxBytes && acceptsType(cached.httpMetadata?.contentType || '')) {
+      console.warn('[inlineAssets] Refetch failed, using stale copy:', { url, message: error.message });
+      return { key, data: await cached.arrayBuffer(), contentType: cached.httpMetadata.contentType };
+    }
+    throw error;
+  }
+
+  if (bucket) {
+    await bucket.put(key, fetched.data, {
+      httpMetadata: {
+        contentType: fetched.contentType,
+        cacheControl: 'public, max-age=86400'
+      },
+      customMetadata: {
+        sourceUrl: url.slice(0, 1024),
+        fetchedAt: new Date().toISOString(),
+        generatedBy: 'html-to-image-worker'
+      }
+    });
+  }
+
+  return { key, ...fetched };
+}
+
+/**
+ * Fetches an asset with a timeout and a size limit
+ * Each redirect target is checked against the SSRF rules before it is requested.
+ * @returns {Promise<Object>} { data, contentType }
+ */
+async function fetchAsset(url, { maxBytes, timeout, acceptsType }) {
+  const signal = AbortSignal.timeout(timeout);
+  let response;
+  let currentUrl = url;
+  for (let redirects = 0; ; redirects++) {
+    try {
+      response = await fetch(currentUrl, {
+        redirect: 'manual',
+        signal,
+        headers: { 'User-Agent': 'html-to-image-worker (asset inlining)' }
+      });
+    } catch (error) {
+      throw new Error(error.name === 'TimeoutError' ? `timeout after ${timeout}ms` : `fetch failed: ${error.message}`);
+    }
+
+    const location = REDIRECT_STATUSES.includes(response.status) ? response.headers.get('location') : null;
+    if (!location) {
+      break;
+    }
+    await response.body?.cancel();
+
+    if (redirects >= MAX_ASSET_REDIRECTS) {
+      throw new Error(`more than ${MAX_ASSET_REDIRECTS} redirects`);
+    }
+    currentUrl = new URL(location, currentUrl).href;
+    const redirectReason = checkUrl(currentUrl, OPEN_URL_POLICY);
+    if (redirectReason) {
+      throw new Error(`redirect blocked: ${redirectReason}`);
+    }
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!acceptsType(contentType)) {
+    throw new Error(`unexpected content type ${contentType || '(none)'}`);
+  }
+
+  const declaredLength = Number(response.headers.get('content-length'));
+  if (declaredLength > maxBytes) {
+    throw new Error(`larger than ${maxBytes} bytes`);
+  }
+
+  const chunks = [];
+  let total = 0;
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) {
+      await reader.cancel();
+      throw new Error(`larger than ${maxBytes} bytes`);
+    }
+    chunks.push(value);
+  }
+
+  const data = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+
+  return { data: data.buffer, contentType };
+}
+
+function isStylesheetType(contentType) {
+  return contentType === 'text/css';
+}
+
+function isAssetType(contentType) {
+  return ASSET_CONTENT_TYPES.some(prefix => contentType.startsWith(prefix));
+}
+
+/**
+ * Gets the R2 key for a cached asset
+ * @param {string} url - Asset URL
+ * @returns {Promise<string>} R2 object key
+ */
+async function getAssetKey(url) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(url));
+  const hash = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${ASSET_PREFIX}${hash}`;
+}
+
+/**
+ * Turns a reference from markup into an absolute http(s) URL
+ * Escaped template variables leave &amp; in attribute values
+ * @returns {string|null} Absolute URL, or null for relative, data: and other references
+ */
+function toRemoteUrl(reference) {
+  const value = reference.trim().replace(/&amp;/g, '&');
+  if (value.startsWith('//')) {
+    return `https:${value}`;
+  }
+  return /^https?:\/\//i.test(value) ? value : null;
+}
+
+/**
+ * Lists stylesheet URLs referenced with <link rel="stylesheet">
+ */
+function findStylesheets(markup) {
+  const urls = [];
+  for (const [tag] of markup.matchAll(LINK_PATTERN)) {
+    const href = getStylesheetHref(tag);
+    if (href) urls.push(href);
+  }
+  return urls;
+}
+
+function getStylesheetHref(tag) {
+  if (!/\brel\s*=\s*(["']?)stylesheet\1/i.test(tag)) {
+    return null;
+  }
+  const href = /\bhref\s*=\s*(["'])(.*?)\1/i.exec(tag);
+  return href ? toRemoteUrl(href[2]) : null;
+}
+
+/**
+ * Replaces <link rel="stylesheet"> tags with the fetched CSS (failed stylesheets are dropped)
+ */
+function replaceStylesheets(markup, stylesheets) {
+  return markup.replace(LINK_PATTERN, tag => {
+    const href = getStylesheetHref(tag);
+    if (!href || !stylesheets.has(href)) {
+      return tag;
+    }
+    const css = stylesheets.get(href);
+    return css === null ? '' : `<style>${css.replace(/<\/style/gi, '<\\/style')}</style>`;
+  });
+}
+
+/**
+ * Resolves url() references of a fetched stylesheet against the stylesheet URL
+ */
+function absolutizeCssUrls(css, baseUrl) {
+  return css.replace(CSS_URL_PATTERN, (match, quote, reference) => {
+    if (/^(data:|#)/i.test(reference.trim())) {
+      return match;
+    }
+    try {
+      return `url(${quote}${new URL(reference.trim(), baseUrl).href}${quote})`;
+    } catch (e) {
+      return match;
+    }
+  });
+}
+
+/**
+ * Lists remote image and url() references
+ */
+function findAssetUrls(markup) {
+  const urls = [];
+  for (const match of markup.matchAll(IMG_SRC_PATTERN)) {
+    const url = toRemoteUrl(match[3]);
+    if (url) urls.push(url);
+  }
+  for (const match of markup.matchAll(CSS_URL_PATTERN)) {
+    const url = toRemoteUrl(match[2]);
+    if (url) urls.push(url);
+  }
+  return urls;
+}
+
+/**
+ * Rewrites references to their inlined form; failed ones get the placeholder
+ * (or keep their original URL when the placeholder is disabled)
+ */
+function replaceAssetUrls(markup, assets, placeholder) {
+  const rewrite = reference => {
+    const url = toRemoteUrl(reference);
+    if (!url || !assets.has(url)) {
+      return null;
+    }
+    return assets.get(url) ?? (placeholder || null);
+  };
+
+  return markup
+    .replace(IMG_SRC_PATTERN, (match, prefix, quote, reference) => {
+      const inlined = rewrite(reference);
+      return inlined ? `${prefix}${quote}${inlined}${quote}` : match;
+    })
+    .replace(CSS_URL_PATTERN, (match, quote, reference) => {
+      const inlined = rewrite(reference);
+      return inlined ? `url(${quote}${inlined}${quote})` : match;
+    });
+}
+
+/**
+ * Base64-encodes binary data (chunked to stay under the argument limit of fromCharCode)
+ * @param {ArrayBuffer} buffer - Binary data
+ * @returns {string} Base64 string
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
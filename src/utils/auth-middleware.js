@@ -1,29 +1,53 @@
 /**
  * Authentication Middleware
- * Provides API key validation for protected endpoints
+ * Provides API key validation and rate limiting for protected endpoints, and the
+ * router middleware applying them (routes declare their auth mode, see api-spec.js)
  */
 
+import { getRateLimits, getRateLimiter, rateLimitHeaders } from './rate-limit.js';
+import { hashApiKey, getKeyRecordByHash, isRouteAllowed } from './api-key-store.js';
+import { getRequestContext, setRequestContext } from './request-context.js';
+import { authenticateInternalCall } from './internal-auth.js';
+import { createErrorResponse } from './response-utils.js';
+import { ApiError } from './errors.js';
+
+// Routes with these auth modes need no API key - signed og URLs check their own signature
+const PUBLIC_AUTH_MODES = ['public', 'signature'];
+
 /**
- * Validate API key from request headers
+ * Extract the API key from request headers (supports multiple formats)
  * @param {Request} request - Incoming request
- * @param {Object} env - Environment variables
- * @returns {Object} - { isValid: boolean, error?: string }
+ * @returns {string|null} API key or null if none was sent
  */
-export function validateApiKey(request, env) {
-  // Allow internal service binding calls (worker-to-worker)
-  // Service bindings use "http://internal/*" URLs and can only come from
-  // other workers in the same Cloudflare account - this is secure
-  const url = new URL(request.url);
-  if (url.hostname === 'internal') {
-    console.log('[AUTH] Internal service binding call - authenticated');
-    return { isValid: true, isInternal: true };
-  }
-
-  // Extract API key from headers (supports multiple formats)
-  const apiKey =
+export function getApiKey(request) {
+  return (
     request.headers.get('X-API-Key') ||
     request.headers.get('Authorization')?.replace('Bearer ', '') ||
-    request.headers.get('Api-Key');
+    request.headers.get('Api-Key')
+  );
+}
+
+/**
+ * Validate API key from request headers
+ * Service-binding callers authenticate with their shared secret (see internal-auth.js).
+ * Keys are looked up in the key store (API_KEY_STORE) by hash, then compared
+ * against API_KEYS and ADMIN_API_KEY in constant time.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - { isValid: boolean, error?: string, isInternal?, isAdmin?, key?, usageId? }
+ *   key is the caller's identity and scopes (see api-key-store.js), usageId the hash rate limits count against
+ */
+export async function validateApiKey(request, env) {
+  // Service binding calls (worker-to-worker) carry a caller name and shared secret
+  const internal = await authenticateInternalCall(request, env);
+  if (internal) {
+    if (!internal.isValid) {
+      return internal;
+    }
+    return { isValid: true, isInternal: true, key: { id: `internal:${internal.caller}`, name: internal.caller } };
+  }
+
+  const apiKey = getApiKey(request);
 
   // Check if API key is provided
   if (!apiKey) {
@@ -33,50 +57,178 @@ export function validateApiKey(request, env) {
     };
   }
 
+  const hash = await hashApiKey(apiKey);
+
+  // Scoped keys from the key store
+  const record = env.API_KEY_STORE ? await getKeyRecordByHash(env.API_KEY_STORE, hash) : null;
+  if (record) {
+    if (!record.enabled) {
+      return { isValid: false, error: 'API key is disabled' };
+    }
+    if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+      return { isValid: false, error: 'API key has expired' };
+    }
+    return { isValid: true, key: toKeyIdentity(record), usageId: hash };
+  }
+
+  if (env.ADMIN_API_KEY && await matchesAnyKey(hash, [env.ADMIN_API_KEY]) >= 0) {
+    return { isValid: true, isAdmin: true, key: { id: 'admin', name: 'admin' }, usageId: hash };
+  }
+
   // Get allowed API keys from environment (comma-separated for multiple keys)
-  const allowedKeys = env.API_KEYS?.split(',').map(key => key.trim()) || [];
+  const allowedKeys = env.API_KEYS?.split(',').map(key => key.trim()).filter(Boolean) || [];
 
   // Development fallback - allow default key if no keys configured
   if (allowedKeys.length === 0 && env.ENVIRONMENT === 'development') {
     console.warn('No API keys configured - using development mode');
-    return { isValid: true };
+    return { isValid: true, key: { id: 'development', name: 'development' }, usageId: hash };
   }
 
   // Check if provided key matches any allowed key
-  const isValid = allowedKeys.includes(apiKey);
+  const index = await matchesAnyKey(hash, allowedKeys);
 
-  if (!isValid) {
+  if (index < 0) {
     return {
       isValid: false,
       error: 'Invalid API key'
     };
   }
 
-  return { isValid: true };
+  // API_KEYS entries are unrestricted
+  return { isValid: true, key: { id: `env_${hash.slice(0, 12)}`, name: `API_KEYS #${index + 1}` }, usageId: hash };
 }
 
 /**
- * Check if endpoint is public (doesn't require auth)
- * @param {string} pathname - Request pathname
- * @returns {boolean} - True if endpoint is public
+ * Compares a key hash against candidate keys in constant time
+ * Every candidate is compared (no early exit), so timing doesn't reveal which one matched
+ * @param {string} hash - SHA-256 of the presented key
+ * @param {Array<string>} candidates - Allowed keys
+ * @returns {Promise<number>} Index of the matching key or -1
  */
-export function isPublicEndpoint(pathname) {
-  const publicEndpoints = [
-    '/',           // Examples page
-    '/health',     // Health check
-  ];
+async function matchesAnyKey(hash, candidates) {
+  const encoder = new TextEncoder();
+  const presented = encoder.encode(hash);
+  let match = -1;
+
+  for (const [index, candidate] of candidates.entries()) {
+    const expected = encoder.encode(await hashApiKey(candidate));
+    if (crypto.subtle.timingSafeEqual(presented, expected) && match < 0) {
+      match = index;
+    }
+  }
+
+  return match;
+}
 
-  return publicEndpoints.includes(pathname);
+/**
+ * Identity and scopes of a stored key, as attached to the request context
+ */
+function toKeyIdentity({ id, name, routes, formats, maxWidth, maxHeight, templates }) {
+  return { id, name, routes, formats, maxWidth, maxHeight, templates };
 }
 
 /**
- * Rate limiting helper (optional - simple in-memory tracking)
+ * Messages for exceeded limits
+ */
+const LIMIT_ERRORS = {
+  requestsPerMinute: limit => `Rate limit exceeded: ${limit} requests per minute`,
+  rendersPerDay: limit => `Daily render quota exceeded: ${limit} renders per day`,
+  megapixelsPerMonth: limit => `Monthly render quota exceeded: ${limit} megapixels per month`
+};
+
+/**
+ * Rate limiting and quotas per API key (see rate-limit.js)
+ * Every request counts against the per-minute limit; render requests are also
+ * refused once the key's daily render or monthly megapixel quota is used up.
+ * Requests are allowed when the RATE_LIMITER binding is missing or unreachable.
  * @param {Request} request - Incoming request
  * @param {Object} env - Environment variables
- * @returns {Object} - { allowed: boolean, error?: string }
+ * @param {Object} options - { render: boolean } - true for requests that render
+ * @returns {Promise<Object>} - { allowed: boolean, error?: string, exceeded?: string, headers: Object }
  */
-export function checkRateLimit(request, env) {
-  // TODO: Implement proper rate limiting with KV storage
-  // For now, just allow all requests
-  return { allowed: true };
+export async function checkRateLimit(request, env, { render = false } = {}) {
+  const { key, usageId } = getRequestContext(request);
+  const limiter = getRateLimiter(env, usageId);
+  if (!limiter) {
+    return { allowed: true, headers: {} };
+  }
+
+  const limits = getRateLimits(key?.id, env);
+  let result;
+  try {
+    result = await limiter.admit(limits, { render });
+  } catch (error) {
+    console.error('[RATE LIMIT] Limiter unavailable - allowing request:', error.message);
+    return { allowed: true, headers: {} };
+  }
+
+  if (!result.allowed) {
+    return {
+      allowed: false,
+      error: LIMIT_ERRORS[result.exceeded](limits[result.exceeded]),
+      exceeded: result.exceeded,
+      headers: {
+        ...rateLimitHeaders(result.usage, result.exceeded),
+        'Retry-After': String(result.retryAfter)
+      }
+    };
+  }
+
+  return { allowed: true, headers: rateLimitHeaders(result.usage) };
+}
+
+/**
+ * Router middleware: authenticates the caller and attaches the request context
+ * Unmatched paths need a key too, so they don't reveal which routes exist.
+ */
+export async function authMiddleware({ request, env, url, route }, next) {
+  if (route && PUBLIC_AUTH_MODES.includes(route.auth)) {
+    return next();
+  }
+
+  console.log('[REQUEST] Has X-API-Key header:', !!request.headers.get('X-API-Key'));
+  const authResult = await validateApiKey(request, env);
+  console.log('[AUTH] Validation result:', { isValid: authResult.isValid, hasError: !!authResult.error });
+  if (!authResult.isValid) {
+    console.error('[AUTH] Authentication failed:', authResult.error);
+    return createErrorResponse(new ApiError('UNAUTHORIZED', authResult.error));
+  }
+  console.log('[AUTH] Authentication successful:', { keyId: authResult.key.id, name: authResult.key.name, internal: !!authResult.isInternal });
+
+  const { key, usageId, isAdmin = false, isInternal = false } = authResult;
+  setRequestContext(request, { key, usageId, isAdmin, isInternal });
+
+  if (route?.auth === 'admin' && !isAdmin) {
+    return createErrorResponse(new ApiError('FORBIDDEN', 'Admin API key required'));
+  }
+
+  if (!isRouteAllowed(key, url.pathname)) {
+    console.warn('[AUTH] Route not allowed for key:', { keyId: key.id, pathname: url.pathname });
+    return createErrorResponse(new ApiError('FORBIDDEN', `API key is not allowed to use ${url.pathname}`));
+  }
+
+  return next();
+}
+
+/**
+ * Router middleware: applies the caller's rate limits (render routes also count against the quotas)
+ * Public requests and internal service binding calls aren't rate limited.
+ */
+export async function rateLimitMiddleware({ request, env, route }, next) {
+  const { key, isInternal } = getRequestContext(request);
+  if (!key || isInternal) {
+    return next();
+  }
+
+  const rateLimit = await checkRateLimit(request, env, { render: Boolean(route?.render) });
+  if (!rateLimit.allowed) {
+    console.warn('[RATE LIMIT] Request refused:', rateLimit.error);
+    return createErrorResponse(new ApiError('RATE_LIMITED', rateLimit.error, { limit: rateLimit.exceeded }), rateLimit.headers);
+  }
+
+  const response = await next();
+  for (const [name, value] of Object.entries(rateLimit.headers)) {
+    response.headers.set(name, value);
+  }
+  return response;
 }
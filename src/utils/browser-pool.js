@@ -0,0 +1,313 @@
+/**
+ * Browser session pool
+ * A Durable Object keeps track of warm Browser Rendering sessions (by session ID)
+ * and leases them to worker requests, which connect with puppeteer.connect()
+ * and disconnect (instead of closing) when they are done.
+ */
+
+import { DurableObject } from 'cloudflare:workers';
+import puppeteer from '@cloudflare/puppeteer';
+import { ApiError } from './errors.js';
+import { REQUEST_LIMITS } from './request-schema.js';
+import { MAX_RENDER_TIMEOUT_MS } from './wait-for.js';
+
+// Idle sessions are kept alive by Browser Rendering for this long
+export const SESSION_KEEP_ALIVE_MS = 10 * 60 * 1000;
+
+// Drop idle sessions a bit before Browser Rendering closes them
+const IDLE_MARGIN_MS = 30 * 1000;
+
+// Time a render may need on top of its timeout (screenshot, encoding, uploads)
+const CAPTURE_ALLOWANCE_MS = 30 * 1000;
+
+// Leases not released within this time are treated as crashed. A batch holds its lease
+// through every item, each of which may use the longest render timeout; sessions of
+// requests that really crashed disappear from puppeteer.sessions() and reconcile()
+// drops them long before this
+const LEASE_TIMEOUT_MS = REQUEST_LIMITS.maxBatchItems * (MAX_RENDER_TIMEOUT_MS + CAPTURE_ALLOWANCE_MS);
+
+// How often acquire() reconciles the pool with puppeteer.sessions()
+const RECONCILE_INTERVAL_MS = 30 * 1000;
+
+const DEFAULT_MAX_SESSIONS = 4;
+
+/**
+ * Durable Object that owns the pool of warm browser session IDs
+ */
+export class BrowserPool extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    this.sessions = new Map();
+    this.counters = { launches: 0, reuses: 0, recycled: 0, overflow: 0 };
+    this.lastReconcileAt = 0;
+
+    ctx.blockConcurrencyWhile(async () => {
+      const stored = await ctx.storage.get(['sessions', 'counters']);
+      for (const session of stored.get('sessions') || []) {
+        this.sessions.set(session.sessionId, session);
+      }
+      this.counters = { ...this.counters, ...(stored.get('counters') || {}) };
+    });
+  }
+
+  get maxSessions() {
+    const configured = parseInt(this.env.BROWSER_POOL_MAX_SESSIONS, 10);
+    return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_MAX_SESSIONS;
+  }
+
+  /**
+   * Lease an idle warm session
+   * @returns {Promise<Object>} { sessionId } for a warm session, or { sessionId: null, canRegister }
+   */
+  async acquire() {
+    this.prune();
+
+    if (Date.now() - this.lastReconcileAt > RECONCILE_INTERVAL_MS) {
+      await this.reconcile();
+    }
+
+    const idle = [...this.sessions.values()]
+      .filter(session => !session.leasedAt)
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)[0];
+
+    if (idle) {
+      idle.leasedAt = Date.now();
+      this.counters.reuses++;
+      await this.persist();
+      return { sessionId: idle.sessionId };
+    }
+
+    const canRegister = this.sessions.size < this.maxSessions;
+    if (!canRegister) {
+      this.counters.overflow++;
+      await this.persist();
+    }
+    return { sessionId: null, canRegister };
+  }
+
+  /**
+   * Add a newly launched session to the pool (leased by the caller)
+   * @param {string} sessionId - Browser Rendering session ID
+   * @returns {Promise<boolean>} False if the pool is full
+   */
+  async register(sessionId) {
+    this.counters.launches++;
+
+    if (this.sessions.size >= this.maxSessions) {
+      this.counters.overflow++;
+      await this.persist();
+      return false;
+    }
+
+    const now = Date.now();
+    this.sessions.set(sessionId, { sessionId, createdAt: now, lastUsedAt: now, leasedAt: now, renders: 0 });
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Return a leased session to the pool
+   * @param {string} sessionId - Browser Rendering session ID
+   * @param {Object} options - { crashed: boolean, renders: number }
+   * @returns {Promise<void>}
+   */
+  async release(sessionId, options = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    if (options.crashed) {
+      this.sessions.delete(sessionId);
+      this.counters.recycled++;
+    } else {
+      session.leasedAt = null;
+      session.lastUsedAt = Date.now();
+      session.renders += options.renders || 0;
+    }
+    await this.persist();
+  }
+
+  /**
+   * Pool statistics for /health and /admin/browser-pool
+   * @returns {Promise<Object>} Pool stats, with per-session detail
+   */
+  async stats() {
+    this.prune();
+    await this.persist();
+
+    const sessions = [...this.sessions.values()];
+    return {
+      enabled: true,
+      maxSessions: this.maxSessions,
+      size: sessions.length,
+      leased: sessions.filter(session => session.leasedAt).length,
+      idle: sessions.filter(session => !session.leasedAt).length,
+      ...this.counters,
+      sessions: sessions.map(session => ({
+        sessionId: session.sessionId,
+        state: session.leasedAt ? 'leased' : 'idle',
+        ageMs: Date.now() - session.createdAt,
+        idleMs: session.leasedAt ? 0 : Date.now() - session.lastUsedAt,
+        renders: session.renders
+      }))
+    };
+  }
+
+  /**
+   * Drop sessions that expired while idle or whose lease was never released
+   */
+  prune() {
+    const now = Date.now();
+    for (const [sessionId, session] of this.sessions) {
+      const expired = !session.leasedAt && now - session.lastUsedAt > SESSION_KEEP_ALIVE_MS - IDLE_MARGIN_MS;
+      const leaseTimedOut = session.leasedAt && now - session.leasedAt > LEASE_TIMEOUT_MS;
+      if (expired || leaseTimedOut) {
+        this.sessions.delete(sessionId);
+        this.counters.recycled++;
+      }
+    }
+  }
+
+  /**
+   * Drop pooled sessions that Browser Rendering no longer reports as active
+   */
+  async reconcile() {
+    this.lastReconcileAt = Date.now();
+    try {
+      const active = new Set((await puppeteer.sessions(this.env.BROWSER)).map(session => session.sessionId));
+      for (const sessionId of this.sessions.keys()) {
+        if (!active.has(sessionId)) {
+          this.sessions.delete(sessionId);
+          this.counters.recycled++;
+        }
+      }
+    } catch (error) {
+      console.error('[BrowserPool] Session reconcile failed:', error);
+    }
+  }
+
+  async persist() {
+    await this.ctx.storage.put({
+      sessions: [...this.sessions.values()],
+      counters: this.counters
+    });
+  }
+}
+
+/**
+ * Gets the pool Durable Object stub
+ * @param {Object} env - Environment bindings
+ * @returns {Object|null} Stub or null if the pool is not configured
+ */
+function getPool(env) {
+  if (!env.BROWSER_POOL) {
+    return null;
+  }
+  return env.BROWSER_POOL.get(env.BROWSER_POOL.idFromName('default'));
+}
+
+/**
+ * Acquire a browser for rendering - a warm pooled session when available
+ * Falls back to launching a browser that is closed after use when the pool
+ * is not configured or is full.
+ * @param {Object} env - Environment bindings (BROWSER, optional BROWSER_POOL)
+ * @returns {Promise<Object>} Lease: { browser, pooled, reused, release({ crashed, renders }) }
+ * @throws {ApiError} BROWSER_UNAVAILABLE when no browser can be launched or connected
+ */
+export async function acquireBrowser(env) {
+  try {
+    return await leaseBrowser(env);
+  } catch (error) {
+    console.error('[BrowserPool] No browser available:', error.message);
+    throw new ApiError('BROWSER_UNAVAILABLE', `Browser unavailable: ${error.message}`);
+  }
+}
+
+async function leaseBrowser(env) {
+  const pool = getPool(env);
+
+  if (!pool) {
+    const browser = await puppeteer.launch(env.BROWSER);
+    return {
+      browser,
+      pooled: false,
+      reused: false,
+      release: async () => {
+        await browser.close();
+      }
+    };
+  }
+
+  let lease = await pool.acquire();
+
+  if (lease.sessionId) {
+    try {
+      const browser = await puppeteer.connect(env.BROWSER, lease.sessionId);
+      console.log('[BrowserPool] Reusing warm session:', lease.sessionId);
+      return createPooledLease(pool, browser, lease.sessionId, true);
+    } catch (error) {
+      console.warn('[BrowserPool] Warm session unavailable, recycling:', lease.sessionId, error.message);
+      await pool.release(lease.sessionId, { crashed: true });
+      lease = { sessionId: null, canRegister: true };
+    }
+  }
+
+  const browser = await puppeteer.launch(env.BROWSER, { keep_alive: SESSION_KEEP_ALIVE_MS });
+  const sessionId = browser.sessionId();
+
+  if (lease.canRegister && await pool.register(sessionId)) {
+    console.log('[BrowserPool] Launched pooled session:', sessionId);
+    return createPooledLease(pool, browser, sessionId, false);
+  }
+
+  return {
+    browser,
+    pooled: false,
+    reused: false,
+    release: async () => {
+      await browser.close();
+    }
+  };
+}
+
+/**
+ * Wrap a pooled browser in a lease
+ * Healthy sessions are disconnected (kept warm), crashed ones are closed and recycled
+ */
+function createPooledLease(pool, browser, sessionId, reused) {
+  return {
+    browser,
+    pooled: true,
+    reused,
+    release: async ({ crashed = false, renders = 0 } = {}) => {
+      const healthy = !crashed && browser.isConnected();
+      try {
+        if (healthy) {
+          await browser.disconnect();
+        } else {
+          await browser.close();
+        }
+      } catch (error) {
+        console.warn('[BrowserPool] Session cleanup failed:', sessionId, error.message);
+      }
+      await pool.release(sessionId, { crashed: !healthy, renders });
+    }
+  };
+}
+
+/**
+ * Gets browser pool statistics
+ * Session IDs are only included with detailed - they let anyone connect to the session
+ * @param {Object} env - Environment bindings
+ * @param {Object} options - { detailed: boolean } - include the per-session list
+ * @returns {Promise<Object>} Pool stats ({ enabled: false } when not configured)
+ */
+export async function getBrowserPoolStats(env, { detailed = false } = {}) {
+  const pool = getPool(env);
+  if (!pool) {
+    return { enabled: false };
+  }
+  const { sessions, ...totals } = await pool.stats();
+  return detailed ? { ...totals, sessions } : totals;
+}
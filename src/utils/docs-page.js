@@ -0,0 +1,177 @@
+/**
+ * API explorer served at /docs
+ * A single self-contained page: it loads /openapi.json, lists the operations by tag
+ * and sends requests with the API key entered on the page. The key stays in
+ * sessionStorage of the browser tab and is only sent to this worker.
+ */
+
+/**
+ * Renders the explorer page
+ * @param {string} specUrl - URL of the OpenAPI document
+ * @returns {string} HTML page
+ */
+export function renderDocsPage(specUrl = '/openapi.json') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>HTML to Image API - Docs</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { margin: 0; font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; color: #1f2933; background: #f5f7fa; }
+    header { position: sticky; top: 0; z-index: 1; display: flex; gap: 16px; align-items: center; padding: 12px 24px; background: #1f2933; color: #fff; }
+    header h1 { margin: 0; font-size: 18px; flex: 1; }
+    header input { width: 320px; padding: 6px 8px; border: 0; border-radius: 4px; font: inherit; }
+    header a { color: #9fb3c8; }
+    main { max-width: 1000px; margin: 0 auto; padding: 24px; }
+    h2 { margin: 32px 0 8px; font-size: 16px; text-transform: uppercase; letter-spacing: .05em; color: #52606d; }
+    details { margin: 6px 0; background: #fff; border: 1px solid #d9e2ec; border-radius: 6px; }
+    summary { display: flex; gap: 12px; align-items: center; padding: 8px 12px; cursor: pointer; }
+    .method { min-width: 64px; padding: 2px 6px; border-radius: 4px; color: #fff; font-weight: 600; font-size: 12px; text-align: center; }
+    .GET { background: #2f80ed; } .POST { background: #27ae60; } .PUT { background: #f2994a; } .PATCH { background: #9b51e0; } .DELETE { background: #eb5757; }
+    .path { font-family: ui-monospace, Menlo, monospace; font-weight: 600; }
+    .deprecated .path { text-decoration: line-through; }
+    .muted { color: #7b8794; }
+    .operation { padding: 0 12px 12px; border-top: 1px solid #d9e2ec; }
+    label { display: block; margin: 8px 0 2px; font-weight: 600; }
+    input.param { width: 100%; padding: 6px 8px; border: 1px solid #cbd2d9; border-radius: 4px; font: inherit; }
+    textarea { width: 100%; min-height: 160px; padding: 8px; border: 1px solid #cbd2d9; border-radius: 4px; font: 12px/1.4 ui-monospace, Menlo, monospace; }
+    button { margin-top: 10px; padding: 6px 16px; border: 0; border-radius: 4px; background: #1f2933; color: #fff; font: inherit; cursor: pointer; }
+    pre { overflow: auto; max-height: 400px; padding: 10px; background: #f5f7fa; border-radius: 4px; font-size: 12px; }
+    .result img { max-width: 100%; border: 1px solid #d9e2ec; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>HTML to Image API</h1>
+    <input id="api-key" type="password" placeholder="API key (X-API-Key)" autocomplete="off">
+    <a href="${specUrl}">openapi.json</a>
+  </header>
+  <main id="operations"><p class="muted">Loading...</p></main>
+  <script>
+    const SPEC_URL = ${JSON.stringify(specUrl)};
+    const keyInput = document.getElementById('api-key');
+    keyInput.value = sessionStorage.getItem('apiKey') || '';
+    keyInput.addEventListener('input', () => sessionStorage.setItem('apiKey', keyInput.value));
+
+    function el(tag, attributes = {}, ...children) {
+      const element = document.createElement(tag);
+      for (const [name, value] of Object.entries(attributes)) {
+        if (name === 'class') element.className = value;
+        else element.setAttribute(name, value);
+      }
+      element.append(...children.filter(child => child !== null && child !== undefined));
+      return element;
+    }
+
+    // Example body: the route's example, or the required fields of the schema
+    function exampleBody(spec, content) {
+      const media = content['application/json'];
+      if (!media) return null;
+      if (media.example) return media.example;
+      const schema = spec.components.schemas[media.schema.$ref.split('/').pop()];
+      return Object.fromEntries((schema.required || []).map(name => [name, schema.properties[name].default ?? '']));
+    }
+
+    async function send(spec, path, method, operation, form, output) {
+      let url = path;
+      const query = new URLSearchParams();
+      for (const parameter of operation.parameters || []) {
+        const value = form.querySelector('[name="' + parameter.name + '"]').value;
+        if (parameter.in === 'path') url = url.replace('{' + parameter.name + '}', encodeURIComponent(value));
+        else if (value !== '') query.set(parameter.name, value);
+      }
+      if (query.size > 0) url += '?' + query;
+
+      const headers = {};
+      if (keyInput.value) headers['X-API-Key'] = keyInput.value;
+      const init = { method, headers };
+      const body = form.querySelector('textarea');
+      if (body) {
+        headers['Content-Type'] = 'application/json';
+        init.body = body.value;
+      }
+
+      output.replaceChildren(el('p', { class: 'muted' }, 'Sending...'));
+      try {
+        const response = await fetch(url, init);
+        const type = response.headers.get('Content-Type') || '';
+        const status = el('p', {}, el('strong', {}, response.status + ' ' + response.statusText),
+          el('span', { class: 'muted' }, '  X-Request-Id: ' + (response.headers.get('X-Request-Id') || '-')));
+        let result;
+        if (type.startsWith('image/')) {
+          result = el('img', { src: URL.createObjectURL(await response.blob()), alt: 'Rendered image' });
+        } else if (type.startsWith('application/pdf')) {
+          result = el('a', { href: URL.createObjectURL(await response.blob()), target: '_blank' }, 'Open PDF');
+        } else if (type.includes('json')) {
+          result = el('pre', {}, JSON.stringify(await response.json(), null, 2));
+        } else {
+          result = el('pre', {}, await response.text());
+        }
+        output.replaceChildren(status, result);
+      } catch (error) {
+        output.replaceChildren(el('pre', {}, String(error)));
+      }
+    }
+
+    function renderOperation(spec, path, method, operation) {
+      const form = el('form', { class: 'operation' });
+      if (operation.description) form.append(el('p', {}, operation.description));
+      if (operation.security && operation.security.length === 0) form.append(el('p', { class: 'muted' }, 'No API key needed.'));
+
+      for (const parameter of operation.parameters || []) {
+        form.append(
+          el('label', {}, parameter.name + (parameter.required ? ' *' : ''), el('span', { class: 'muted' }, ' (' + parameter.in + ') ' + (parameter.description || ''))),
+          el('input', { class: 'param', name: parameter.name })
+        );
+      }
+
+      const content = operation.requestBody && operation.requestBody.content;
+      const example = content ? exampleBody(spec, content) : null;
+      if (example) {
+        const schemaName = content['application/json'].schema.$ref.split('/').pop();
+        const textarea = el('textarea', { spellcheck: 'false' });
+        textarea.value = JSON.stringify(example, null, 2);
+        form.append(el('label', {}, 'Body ', el('span', { class: 'muted' }, '(' + schemaName + ')')), textarea);
+      } else if (content) {
+        form.append(el('p', { class: 'muted' }, 'Send this request as ' + Object.keys(content).join(', ') + ' with curl or an SDK.'));
+      }
+
+      const output = el('div', { class: 'result' });
+      if (!content || example) form.append(el('button', { type: 'submit' }, 'Send'));
+      form.append(output);
+      form.addEventListener('submit', event => {
+        event.preventDefault();
+        send(spec, path, method.toUpperCase(), operation, form, output);
+      });
+
+      return el('details', { class: operation.deprecated ? 'deprecated' : '' },
+        el('summary', {},
+          el('span', { class: 'method ' + method.toUpperCase() }, method.toUpperCase()),
+          el('span', { class: 'path' }, path),
+          el('span', { class: 'muted' }, operation.summary)),
+        form);
+    }
+
+    async function load() {
+      const container = document.getElementById('operations');
+      try {
+        const spec = await (await fetch(SPEC_URL)).json();
+        const sections = new Map(spec.tags.map(({ name }) => [name, el('section', {}, el('h2', {}, name))]));
+        for (const [path, methods] of Object.entries(spec.paths)) {
+          for (const [method, operation] of Object.entries(methods)) {
+            sections.get(operation.tags[0]).append(renderOperation(spec, path, method, operation));
+          }
+        }
+        container.replaceChildren(el('p', { class: 'muted' }, spec.info.description), ...sections.values());
+      } catch (error) {
+        container.replaceChildren(el('p', {}, 'Could not load ' + SPEC_URL + ': ' + error));
+      }
+    }
+
+    load();
+  </script>
+</body>
+</html>`;
+}
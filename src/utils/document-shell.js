@@ -0,0 +1,216 @@
+/**
+ * Document shells
+ * A shell is the HTML document a render payload is placed into. Built-in shells are
+ * "default" (padded, centered, #f5f5f5 background) and "none" (payload used as-is);
+ * named shells are stored in R2 under shells/<name>.json and contain a {{content}} slot
+ */
+
+import { ApiError } from './errors.js';
+
+export const SHELL_PREFIX = 'shells/';
+export const SHELL_CONTENT_PLACEHOLDER = '{{content}}';
+export const BUILT_IN_SHELLS = ['default', 'none'];
+
+const SHELL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const DEFAULT_SHELL = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>
+          body {
+            margin: 0;
+            padding: 20px;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+            background: #f5f5f5;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+            box-sizing: border-box;
+          }
+          * { box-sizing: border-box; }
+          @media print {
+            body {
+              padding: 0;
+              background: none;
+              display: block;
+              min-height: 0;
+            }
+          }
+        </style>
+      </head>
+      <body>
+        ${SHELL_CONTENT_PLACEHOLDER}
+      </body>
+      </html>
+    `;
+
+// Minimal document for shell "none" when the payload is a fragment
+const BARE_SHELL = `<!DOCTYPE html><html><head><meta charset="utf-8"></head><body>${SHELL_CONTENT_PLACEHOLDER}</body></html>`;
+
+/**
+ * Validates a stored shell name
+ * @param {string} name - Shell name
+ * @returns {boolean} True if name is valid and not a built-in shell
+ */
+export function isValidShellName(name) {
+  return typeof name === 'string' && SHELL_NAME_PATTERN.test(name) && !BUILT_IN_SHELLS.includes(name);
+}
+
+/**
+ * Validates the shell, headHtml and css render options
+ * @param {Object} options - { shell, headHtml, css }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateShellOptions({ shell = 'default', headHtml, css } = {}) {
+  if (!BUILT_IN_SHELLS.includes(shell) && !isValidShellName(shell)) {
+    return `shell must be ${BUILT_IN_SHELLS.map(name => `"${name}"`).join(', ')} or the name of a stored shell`;
+  }
+  if (headHtml !== undefined && typeof headHtml !== 'string') {
+    return 'headHtml must be a string';
+  }
+  if (css !== undefined && typeof css !== 'string') {
+    return 'css must be a string';
+  }
+  return null;
+}
+
+/**
+ * Builds the document that is loaded into the page
+ * @param {string} html - Render payload (fragment or full document)
+ * @param {Object} options - Document options
+ * @param {string} options.shell - 'default', 'none' or a stored shell name
+ * @param {string} options.shellHtml - HTML of the stored shell (resolved by the caller)
+ * @param {string} options.headHtml - Markup injected into <head> (fonts, meta tags, ...)
+ * @param {string} options.css - CSS injected as a <style> element after the shell styles
+ * @param {string} options.fontCss - @font-face rules for uploaded fonts (resolved by the caller)
+ * @param {boolean} options.omitBackground - Force a transparent page background
+ * @returns {string} Full HTML document
+ */
+export function buildDocument(html, { shell = 'default', shellHtml, headHtml, css, fontCss, omitBackground = false } = {}) {
+  let documentHtml;
+
+  if (shell === 'none') {
+    documentHtml = /<html[\s>]/i.test(html) ? html : fillShell(BARE_SHELL, html);
+  } else {
+    documentHtml = fillShell(shell === 'default' ? DEFAULT_SHELL : shellHtml, html);
+  }
+
+  const headContent = [
+    fontCss && `<style>${fontCss}</style>`,
+    headHtml,
+    css && `<style>${css}</style>`,
+    omitBackground && '<style>html, body { background: transparent !important; }</style>'
+  ].filter(Boolean).join('\n');
+
+  return injectHead(documentHtml, headContent);
+}
+
+/**
+ * Places the payload into a shell's {{content}} slot
+ */
+function fillShell(shellHtml, html) {
+  // Function replacement so "$&"-style sequences in the payload are kept literally
+  return shellHtml.replace(SHELL_CONTENT_PLACEHOLDER, () => html);
+}
+
+/**
+ * Inserts markup at the end of <head>, creating the head if the document has none
+ * @param {string} documentHtml - Full HTML document
+ * @param {string} headContent - Markup to insert
+ * @returns {string} Document with the markup injected
+ */
+function injectHead(documentHtml, headContent) {
+  if (!headContent) {
+    return documentHtml;
+  }
+
+  const headClose = /<\/head\s*>/i.exec(documentHtml);
+  if (headClose) {
+    return documentHtml.slice(0, headClose.index) + headContent + documentHtml.slice(headClose.index);
+  }
+
+  const htmlOpen = /<html[^>]*>/i.exec(documentHtml);
+  if (htmlOpen) {
+    const end = htmlOpen.index + htmlOpen[0].length;
+    return `${documentHtml.slice(0, end)}<head>${headContent}</head>${documentHtml.slice(end)}`;
+  }
+
+  return headContent + documentHtml;
+}
+
+/**
+ * Gets the R2 key for a stored shell
+ * @param {string} name - Shell name
+ * @returns {string} R2 object key
+ */
+export function getShellKey(name) {
+  return `${SHELL_PREFIX}${name}.json`;
+}
+
+/**
+ * Loads a stored shell
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {string} name - Shell name
+ * @returns {Promise<Object|null>} { name, description, html, createdAt, updatedAt } or null if not found
+ */
+export async function getStoredShell(bucket, name) {
+  const object = await bucket.get(getShellKey(name));
+  return object ? await object.json() : null;
+}
+
+/**
+ * Creates or replaces a stored shell
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {string} name - Shell name
+ * @param {Object} data - { html, description }
+ * @returns {Promise<Object>} Saved shell record
+ */
+export async function saveStoredShell(bucket, name, { html, description = '' }) {
+  if (typeof html !== 'string' || !html.includes(SHELL_CONTENT_PLACEHOLDER)) {
+    throw new ApiError('INVALID_REQUEST', `Shell html must contain the ${SHELL_CONTENT_PLACEHOLDER} placeholder`);
+  }
+
+  const existing = await getStoredShell(bucket, name);
+  const now = new Date().toISOString();
+  const record = {
+    name,
+    description,
+    html,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  const object = await bucket.put(getShellKey(name), JSON.stringify(record), {
+    httpMetadata: {
+      contentType: 'application/json'
+    },
+    customMetadata: {
+      generatedBy: 'html-to-image-worker'
+    }
+  });
+
+  if (!object) {
+    throw new ApiError('R2_UPLOAD_FAILED', 'Failed to save shell to R2 storage');
+  }
+
+  return record;
+}
+
+/**
+ * Deletes a stored shell
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {string} name - Shell name
+ * @returns {Promise<boolean>} True if the shell existed
+ */
+export async function deleteStoredShell(bucket, name) {
+  const existing = await bucket.head(getShellKey(name));
+  if (!existing) {
+    return false;
+  }
+  await bucket.delete(getShellKey(name));
+  return true;
+}
@@ -0,0 +1,68 @@
+/**
+ * Typed API errors
+ * Every error response carries a stable code, and the HTTP status comes from the code,
+ * so clients can branch on `code` instead of parsing messages:
+ *   { success: false, error: "<message>", code: "RENDER_TIMEOUT", details: {...}, requestId, timestamp }
+ */
+
+export const ERROR_CODES = Object.freeze({
+  // Request problems (4xx)
+  INVALID_REQUEST: 400,
+  INVALID_OPTION: 400,
+  TEMPLATE_MISSING_VARIABLES: 400,
+  TEMPLATE_INVALID: 400,
+  URL_NOT_ALLOWED: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  SELECTOR_NOT_FOUND: 422,
+  RATE_LIMITED: 429,
+
+  // Server and upstream problems (5xx)
+  INTERNAL_ERROR: 500,
+  RENDER_FAILED: 500,
+  NOT_CONFIGURED: 501,
+  PAGE_LOAD_FAILED: 502,
+  R2_UPLOAD_FAILED: 502,
+  BROWSER_UNAVAILABLE: 503,
+  RENDER_TIMEOUT: 504
+});
+
+/**
+ * Error with a stable code (see ERROR_CODES) and optional details
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} code - Error code (key of ERROR_CODES)
+   * @param {string} message - Human-readable message
+   * @param {Object} details - Extra machine-readable information (e.g. { missing: [...] })
+   */
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code in ERROR_CODES ? code : 'INTERNAL_ERROR';
+    this.status = ERROR_CODES[this.code];
+    this.details = details;
+  }
+}
+
+/**
+ * Converts any thrown value to an ApiError
+ * ApiErrors pass through, invalid JSON bodies become INVALID_REQUEST and
+ * everything else gets the fallback code.
+ * @param {any} error - Thrown value
+ * @param {string} fallbackCode - Code for untyped errors
+ * @returns {ApiError} Typed error
+ */
+export function toApiError(error, fallbackCode = 'INTERNAL_ERROR') {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error instanceof SyntaxError) {
+    return new ApiError('INVALID_REQUEST', `Request body must be valid JSON: ${error.message}`);
+  }
+  return new ApiError(fallbackCode, error instanceof Error ? error.message : String(error));
+}
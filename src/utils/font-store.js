@@ -0,0 +1,211 @@
+/**
+ * Custom web fonts backed by R2
+ * Fonts are stored as fonts/<family-slug>/<weight>-<style>.<ext> and injected into
+ * rendered documents as @font-face rules with data: URLs, so the remote browser
+ * never has to fetch them cross-origin
+ *
+ * Layout:
+ *   fonts/inter/400-normal.woff2
+ *   fonts/inter/800-italic.ttf
+ */
+
+import { ApiError } from './errors.js';
+
+export const FONT_PREFIX = 'fonts/';
+export const MAX_FONT_BYTES = 5 * 1024 * 1024;
+export const MAX_FONTS_PER_RENDER = 10;
+
+const FONT_FAMILY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _-]{0,63}$/;
+const FONT_STYLES = ['normal', 'italic'];
+
+/**
+ * Supported font files, detected from their leading bytes
+ */
+const FONT_FORMATS = {
+  woff2: { mimeType: 'font/woff2', cssFormat: 'woff2', signature: 'wOF2' },
+  woff: { mimeType: 'font/woff', cssFormat: 'woff', signature: 'wOFF' },
+  ttf: { mimeType: 'font/ttf', cssFormat: 'truetype', signature: '\u0000\u0001\u0000\u0000' },
+  otf: { mimeType: 'font/otf', cssFormat: 'opentype', signature: 'OTTO' }
+};
+
+/**
+ * Validates a font family name
+ * @param {string} family - Font family (e.g. "Inter", "Brand Sans")
+ * @returns {boolean} True if the family name is valid
+ */
+export function isValidFontFamily(family) {
+  return typeof family === 'string' && FONT_FAMILY_PATTERN.test(family);
+}
+
+/**
+ * Validates the fonts render option
+ * @param {Array<string>} fonts - Font families to inject
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateFontsOption(fonts) {
+  if (fonts === undefined) {
+    return null;
+  }
+  if (!Array.isArray(fonts) || !fonts.every(isValidFontFamily)) {
+    return 'fonts must be an array of font family names';
+  }
+  if (fonts.length > MAX_FONTS_PER_RENDER) {
+    return `A render can use at most ${MAX_FONTS_PER_RENDER} fonts`;
+  }
+  return null;
+}
+
+/**
+ * Detects the font format from the file's leading bytes
+ * @param {ArrayBuffer} data - Font file
+ * @returns {string|null} 'woff2', 'woff', 'ttf', 'otf' or null if unsupported
+ */
+export function detectFontFormat(data) {
+  const signature = String.fromCharCode(...new Uint8Array(data.slice(0, 4)));
+  if (signature === 'true') {
+    return 'ttf';
+  }
+  return Object.keys(FONT_FORMATS).find(format => FONT_FORMATS[format].signature === signature) || null;
+}
+
+/**
+ * Gets the R2 prefix for a font family
+ * @param {string} family - Font family
+ * @returns {string} R2 key prefix
+ */
+function getFamilyPrefix(family) {
+  return `${FONT_PREFIX}${family.trim().toLowerCase().replace(/[\s_]+/g, '-')}/`;
+}
+
+/**
+ * Stores a font file
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {Object} font - { family, weight, style, data }
+ * @returns {Promise<Object>} Stored font record { family, weight, style, format, size, key }
+ */
+export async function saveFont(bucket, { family, weight = 400, style = 'normal', data }) {
+  if (!isValidFontFamily(family)) {
+    throw new ApiError('INVALID_REQUEST', 'family must be 1-64 letters, digits, spaces, dashes or underscores');
+  }
+
+  const numericWeight = Number(weight);
+  if (!Number.isInteger(numericWeight) || numericWeight < 1 || numericWeight > 1000) {
+    throw new ApiError('INVALID_REQUEST', 'weight must be an integer between 1 and 1000');
+  }
+
+  if (!FONT_STYLES.includes(style)) {
+    throw new ApiError('INVALID_REQUEST', `style must be one of: ${FONT_STYLES.join(', ')}`);
+  }
+
+  if (data.byteLength > MAX_FONT_BYTES) {
+    throw new ApiError('INVALID_REQUEST', `Font files can be at most ${MAX_FONT_BYTES / (1024 * 1024)} MB`);
+  }
+
+  const format = detectFontFormat(data);
+  if (!format) {
+    throw new ApiError('INVALID_REQUEST', 'Unsupported font file - upload WOFF2, WOFF, TTF or OTF');
+  }
+
+  const key = `${getFamilyPrefix(family)}${numericWeight}-${style}.${format}`;
+
+  // One file per weight/style - drop a previous upload in another format
+  const { objects } = await bucket.list({ prefix: `${getFamilyPrefix(family)}${numericWeight}-${style}.` });
+  await Promise.all(objects.filter(object => object.key !== key).map(object => bucket.delete(object.key)));
+
+  const object = await bucket.put(key, data, {
+    httpMetadata: {
+      contentType: FONT_FORMATS[format].mimeType
+    },
+    customMetadata: {
+      family,
+      weight: String(numericWeight),
+      style,
+      format,
+      uploadedAt: new Date().toISOString(),
+      generatedBy: 'html-to-image-worker'
+    }
+  });
+
+  if (!object) {
+    throw new ApiError('R2_UPLOAD_FAILED', 'Failed to save font to R2 storage');
+  }
+
+  return { family, weight: numericWeight, style, format, size: data.byteLength, key };
+}
+
+/**
+ * Lists stored fonts grouped by family
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @returns {Promise<Array>} [{ family, variants: [{ weight, style, format, size }] }]
+ */
+export async function listFonts(bucket) {
+  const families = new Map();
+  let cursor;
+
+  do {
+    const page = await bucket.list({ prefix: FONT_PREFIX, cursor, include: ['customMetadata'] });
+    for (const object of page.objects) {
+      const { family, weight, style, format } = object.customMetadata || {};
+      if (!family) continue;
+      if (!families.has(family)) {
+        families.set(family, { family, variants: [] });
+      }
+      families.get(family).variants.push({ weight: Number(weight), style, format, size: object.size });
+    }
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+
+  return [...families.values()];
+}
+
+/**
+ * Builds @font-face rules for the requested families
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {Array<string>} families - Font families
+ * @returns {Promise<Object>} { css, missing } - missing lists families with no stored files
+ */
+export async function buildFontFaceCss(bucket, families) {
+  const rules = [];
+  const missing = [];
+
+  for (const family of families) {
+    const { objects } = await bucket.list({ prefix: getFamilyPrefix(family), include: ['customMetadata'] });
+    if (objects.length === 0) {
+      missing.push(family);
+      continue;
+    }
+
+    for (const { key, customMetadata = {} } of objects) {
+      const object = await bucket.get(key);
+      if (!object) continue;
+
+      const { weight = '400', style = 'normal', format } = customMetadata;
+      const { mimeType, cssFormat } = FONT_FORMATS[format] || FONT_FORMATS.woff2;
+      const base64 = toBase64(await object.arrayBuffer());
+
+      rules.push(`@font-face {
+  font-family: "${family}";
+  src: url(data:${mimeType};base64,${base64}) format("${cssFormat}");
+  font-weight: ${weight};
+  font-style: ${style};
+  font-display: block;
+}`);
+    }
+  }
+
+  return { css: rules.join('\n'), missing };
+}
+
+/**
+ * Base64-encodes binary data (chunked to stay under the argument limit of fromCharCode)
+ * @param {ArrayBuffer} buffer - Binary data
+ * @returns {string} Base64 string
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
@@ -0,0 +1,115 @@
+/**
+ * Image encoding utilities for formats Chrome can't encode with the options we need
+ * Uses the jSquash WebAssembly codecs (libwebp, libavif) inside the worker
+ */
+
+import { decode as decodePng, init as initPngDecoder } from '@jsquash/png/decode.js';
+import encodeWebp, { init as initWebpEncoder } from '@jsquash/webp/encode.js';
+import encodeAvif, { init as initAvifEncoder } from '@jsquash/avif/encode.js';
+import PNG_DECODER_WASM from '@jsquash/png/codec/pkg/squoosh_png_bg.wasm';
+import WEBP_ENCODER_WASM from '@jsquash/webp/codec/enc/webp_enc_simd.wasm';
+import AVIF_ENCODER_WASM from '@jsquash/avif/codec/enc/avif_enc.wasm';
+
+// Encoder effort ranges (higher = slower, smaller output)
+export const EFFORT_RANGES = {
+  webp: { min: 0, max: 6, default: 4 },
+  avif: { min: 0, max: 10, default: 4 }
+};
+
+let codecsReady = null;
+
+/**
+ * Initializes the WebAssembly codecs once per isolate
+ * @returns {Promise<void>}
+ */
+function initCodecs() {
+  if (!codecsReady) {
+    codecsReady = Promise.all([
+      initPngDecoder(PNG_DECODER_WASM),
+      initWebpEncoder(WEBP_ENCODER_WASM),
+      initAvifEncoder(AVIF_ENCODER_WASM)
+    ]).catch(error => {
+      codecsReady = null;
+      throw error;
+    });
+  }
+  return codecsReady;
+}
+
+/**
+ * Checks whether a format has to be encoded in the worker
+ * AVIF is never produced by Chrome; WebP only needs it for lossless output or a custom effort
+ * @param {string} format - Output format
+ * @param {Object} options - Encoder options
+ * @param {boolean} options.lossless - Lossless encoding
+ * @param {number} options.effort - Encoder effort
+ * @returns {boolean} True if the screenshot must be re-encoded
+ */
+export function requiresEncoding(format, options = {}) {
+  if (format === 'avif') return true;
+  if (format === 'webp') return Boolean(options.lossless) || options.effort !== undefined;
+  return false;
+}
+
+/**
+ * Validates encoder options for a format
+ * @param {string} format - Output format
+ * @param {Object} options - Encoder options
+ * @param {number} options.effort - Encoder effort
+ * @returns {string|null} Error message or null if options are valid
+ */
+export function validateEncoderOptions(format, options = {}) {
+  const { effort } = options;
+  if (effort === undefined) return null;
+
+  const range = EFFORT_RANGES[format];
+  if (!range) {
+    return `effort is only supported for ${Object.keys(EFFORT_RANGES).join(', ')} output`;
+  }
+  if (!Number.isInteger(effort) || effort < range.min || effort > range.max) {
+    return `effort for ${format} must be an integer between ${range.min} and ${range.max}`;
+  }
+  return null;
+}
+
+/**
+ * Re-encodes a PNG screenshot into WebP or AVIF
+ * @param {ArrayBuffer|Uint8Array} pngBuffer - PNG screenshot
+ * @param {string} format - Target format (webp, avif)
+ * @param {Object} options - Encoder options
+ * @param {number} options.quality - Quality 0-100 (ignored when lossless)
+ * @param {boolean} options.lossless - Lossless encoding
+ * @param {number} options.effort - Encoder effort (see EFFORT_RANGES)
+ * @returns {Promise<ArrayBuffer>} Encoded image
+ */
+export async function encodeImage(pngBuffer, format, options = {}) {
+  const { quality = 90, lossless = false } = options;
+  const effort = options.effort ?? EFFORT_RANGES[format]?.default;
+
+  await initCodecs();
+
+  const buffer = pngBuffer instanceof ArrayBuffer
+    ? pngBuffer
+    : pngBuffer.buffer.slice(pngBuffer.byteOffset, pngBuffer.byteOffset + pngBuffer.byteLength);
+  const imageData = await decodePng(buffer);
+
+  switch (format) {
+    case 'webp':
+      return encodeWebp(imageData, {
+        quality: lossless ? 100 : quality,
+        lossless: lossless ? 1 : 0,
+        method: effort
+      });
+
+    case 'avif':
+      // libavif speed is the inverse of effort: 10 is fastest
+      return encodeAvif(imageData, {
+        quality,
+        lossless,
+        speed: EFFORT_RANGES.avif.max - effort
+      });
+
+    default:
+      throw new Error(`Encoding to ${format} is not supported`);
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Authentication of service-binding callers (worker-to-worker)
+ * Internal callers identify themselves with two headers instead of an API key:
+ *   X-Internal-Caller: <caller name>
+ *   X-Internal-Token:  <that caller's shared secret>
+ *
+ * The secrets come from the INTERNAL_CALLERS secret (JSON), one per caller:
+ *   { "billing-worker": "<secret>", "cms-worker": "<secret>" }
+ *
+ * The request URL and Host header play no part - a request to http://internal/...
+ * without a valid token is treated like any other request. Without INTERNAL_CALLERS
+ * no request is treated as internal.
+ */
+
+export const INTERNAL_CALLER_HEADER = 'X-Internal-Caller';
+export const INTERNAL_TOKEN_HEADER = 'X-Internal-Token';
+
+const CALLER_NAME_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Secrets shorter than this are ignored - they could be guessed
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Parses INTERNAL_CALLERS once per isolate
+ */
+let cachedSource = null;
+let cachedCallers = new Map();
+
+function loadCallers(env) {
+  if (env.INTERNAL_CALLERS === cachedSource) {
+    return cachedCallers;
+  }
+
+  cachedSource = env.INTERNAL_CALLERS;
+  cachedCallers = new Map();
+  if (!env.INTERNAL_CALLERS) {
+    return cachedCallers;
+  }
+
+  let configured;
+  try {
+    configured = JSON.parse(env.INTERNAL_CALLERS);
+  } catch (error) {
+    console.error('[internal-auth] INTERNAL_CALLERS is not valid JSON - internal calls disabled:', error.message);
+    return cachedCallers;
+  }
+
+  for (const [caller, secret] of Object.entries(configured || {})) {
+    if (!CALLER_NAME_PATTERN.test(caller) || typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+      console.error(`[internal-auth] Ignoring internal caller "${caller}" - names are 1-64 letters, digits, dots, dashes or underscores and secrets at least ${MIN_SECRET_LENGTH} characters`);
+      continue;
+    }
+    cachedCallers.set(caller, secret);
+  }
+  return cachedCallers;
+}
+
+/**
+ * SHA-256 of a value, so secrets of any length compare in constant time
+ */
+async function digest(value) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+}
+
+/**
+ * Authenticates a service-binding caller
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} null if the request doesn't claim to be internal,
+ *   otherwise { isValid: boolean, error?: string, isInternal?: true, caller?: string }
+ */
+export async function authenticateInternalCall(request, env) {
+  const caller = request.headers.get(INTERNAL_CALLER_HEADER);
+  const token = request.headers.get(INTERNAL_TOKEN_HEADER);
+  if (caller === null && token === null) {
+    return null;
+  }
+
+  if (!caller || !token) {
+    return { isValid: false, error: `Internal calls need both ${INTERNAL_CALLER_HEADER} and ${INTERNAL_TOKEN_HEADER}` };
+  }
+
+  const callers = loadCallers(env);
+
+  // Compare against a dummy secret for unknown callers, so timing doesn't reveal caller names
+  const expected = callers.get(caller);
+  const matches = crypto.subtle.timingSafeEqual(await digest(token), await digest(expected ?? `unknown:${token}`));
+
+  if (!expected || !matches) {
+    return { isValid: false, error: 'Invalid internal caller credentials' };
+  }
+
+  return { isValid: true, isInternal: true, caller };
+}
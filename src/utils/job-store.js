@@ -0,0 +1,143 @@
+/**
+ * Render job persistence backed by R2
+ * Jobs are saved as JSON objects under the jobs/ prefix
+ */
+
+import { ApiError } from './errors.js';
+
+export const JOB_PREFIX = 'jobs/';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Render attempts before a job is marked as failed
+export const JOB_MAX_ATTEMPTS = 3;
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Validates a job ID
+ * @param {string} id - Job ID from the URL
+ * @returns {boolean} True if ID is valid
+ */
+export function isValidJobId(id) {
+  return typeof id === 'string' && JOB_ID_PATTERN.test(id);
+}
+
+/**
+ * Gets the R2 key for a job
+ * @param {string} id - Job ID
+ * @returns {string} R2 object key
+ */
+export function getJobKey(id) {
+  return `${JOB_PREFIX}${id}.json`;
+}
+
+/**
+ * Creates and persists a new queued job
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {Object} request - Render request body (without callbackUrl)
+ * @param {string|null} callbackUrl - Webhook URL notified when the job finishes
+ * @param {Object} context - Render context of the caller: { key, resourcePolicy, outputLimit, usageId }
+ * @returns {Promise<Object>} Job record
+ */
+export async function createJob(bucket, request, callbackUrl = null, context = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: JOB_STATUS.QUEUED,
+    request,
+    keyId: context.key?.id || null,
+    resourcePolicy: context.resourcePolicy || null,
+    outputLimit: context.outputLimit || null,
+    usageId: context.usageId || null,
+    callbackUrl,
+    attempts: 0,
+    result: null,
+    error: null,
+    errorCode: null,
+    webhook: callbackUrl ? { delivered: false, attempts: 0, lastStatus: null, lastError: null, deliveredAt: null } : null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    completedAt: null
+  };
+
+  await saveJob(bucket, job);
+  return job;
+}
+
+/**
+ * Loads a job
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Job record or null if not found
+ */
+export async function getJob(bucket, id) {
+  const object = await bucket.get(getJobKey(id));
+  return object ? await object.json() : null;
+}
+
+/**
+ * Applies changes to a job and persists it
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {Object} job - Current job record
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object>} Updated job record
+ */
+export async function updateJob(bucket, job, changes) {
+  const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+  await saveJob(bucket, updated);
+  return updated;
+}
+
+/**
+ * Persists a job record
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {Object} job - Job record
+ * @returns {Promise<void>}
+ */
+async function saveJob(bucket, job) {
+  const object = await bucket.put(getJobKey(job.id), JSON.stringify(job), {
+    httpMetadata: {
+      contentType: 'application/json'
+    },
+    customMetadata: {
+      jobId: job.id,
+      status: job.status,
+      generatedBy: 'html-to-image-worker'
+    }
+  });
+
+  if (!object) {
+    throw new ApiError('R2_UPLOAD_FAILED', 'Failed to save job to R2 storage');
+  }
+}
+
+/**
+ * Checks whether a caller may read or retry a job: the key that created it, or the admin key
+ * Jobs saved before the owning key was recorded have no keyId and are admin-only.
+ * @param {Object} job - Job record
+ * @param {Object} caller - Request context: { key, isAdmin }
+ * @returns {boolean} True if the caller owns the job
+ */
+export function canAccessJob(job, { key, isAdmin } = {}) {
+  return Boolean(isAdmin) || (Boolean(job.keyId) && job.keyId === key?.id);
+}
+
+/**
+ * Builds the public view of a job (without the stored request body)
+ * @param {Object} job - Job record
+ * @returns {Object} Job status for API responses
+ */
+export function getJobSummary(job) {
+  const { request, keyId, resourcePolicy, outputLimit, usageId, ...summary } = job;
+  return {
+    ...summary,
+    ...(request.templateId && { templateId: request.templateId })
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * Global middleware for the router (see router.js)
+ * Authentication and rate limiting live in auth-middleware.js.
+ */
+
+import { resolveRequestId, runWithRequestId, getRequestId } from './request-context.js';
+import { createOptionsResponse } from './response-utils.js';
+
+/**
+ * Gives every request an ID (see request-context.js) and returns it as X-Request-Id
+ */
+export async function requestIdMiddleware({ request }, next) {
+  const requestId = resolveRequestId(request);
+  const response = await runWithRequestId(requestId, next);
+  response.headers.set('X-Request-Id', requestId);
+  return response;
+}
+
+/**
+ * Logs each request and its outcome, and reports the duration in Server-Timing
+ */
+export async function timingMiddleware({ request, url }, next) {
+  const started = Date.now();
+  console.log('[REQUEST] Pathname:', url.pathname, 'Method:', request.method, 'Request ID:', getRequestId());
+
+  const response = await next();
+
+  const duration = Date.now() - started;
+  response.headers.set('Server-Timing', `total;dur=${duration}`);
+  console.log('[RESPONSE] Status:', response.status, 'Duration:', `${duration}ms`);
+  return response;
+}
+
+/**
+ * Answers CORS preflight requests - other responses get their CORS headers from response-utils.js
+ */
+export async function corsMiddleware({ request }, next) {
+  if (request.method === 'OPTIONS') {
+    return createOptionsResponse();
+  }
+  return next();
+}
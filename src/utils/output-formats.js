@@ -0,0 +1,52 @@
+/**
+ * Output format registry shared by rendering, R2 storage and responses
+ */
+
+/**
+ * Supported output formats
+ * - screenshotType: type Chrome can encode directly in page.screenshot (null if it can't)
+ * - supportsQuality: whether page.screenshot accepts a quality option for this type
+ */
+export const OUTPUT_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png', screenshotType: 'png', supportsQuality: false },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpeg', screenshotType: 'jpeg', supportsQuality: true },
+  webp: { mimeType: 'image/webp', extension: 'webp', screenshotType: 'webp', supportsQuality: true },
+  avif: { mimeType: 'image/avif', extension: 'avif', screenshotType: null, supportsQuality: false },
+  pdf: { mimeType: 'application/pdf', extension: 'pdf', screenshotType: null, supportsQuality: false }
+};
+
+/**
+ * Checks whether a format is supported
+ * @param {string} format - Requested output format
+ * @returns {boolean} True if format is supported
+ */
+export function isSupportedFormat(format) {
+  return typeof format === 'string' && Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, format);
+}
+
+/**
+ * Gets the MIME type for an output format
+ * @param {string} format - Output format
+ * @returns {string} MIME type (defaults to image/png)
+ */
+export function getMimeType(format) {
+  return isSupportedFormat(format) ? OUTPUT_FORMATS[format].mimeType : 'image/png';
+}
+
+/**
+ * Gets the file extension for an output format
+ * @param {string} format - Output format
+ * @returns {string} File extension without dot
+ */
+export function getFileExtension(format) {
+  return isSupportedFormat(format) ? OUTPUT_FORMATS[format].extension : format;
+}
+
+/**
+ * Builds the error message for an unsupported format
+ * @param {string} format - Requested output format
+ * @returns {string} Error message listing supported formats
+ */
+export function unsupportedFormatMessage(format) {
+  return `Unsupported format "${format}". Supported formats: ${Object.keys(OUTPUT_FORMATS).join(', ')}`;
+}
@@ -2,16 +2,19 @@
  * R2 Storage utilities for image storage
  */
 
+import { getMimeType, getFileExtension } from './output-formats.js';
+import { ApiError } from './errors.js';
+
 /**
  * Generates a unique filename for the image
- * @param {string} format - Image format (png, jpeg)
+ * @param {string} format - Output format (png, jpeg, webp, avif, pdf)
  * @param {string} prefix - Optional prefix for filename
  * @returns {string} Unique filename
  */
 export function generateImageFilename(format = 'png', prefix = 'image') {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const randomId = Math.random().toString(36).substring(2, 15);
-  return `${prefix}-${timestamp}-${randomId}.${format}`;
+  return `${prefix}-${timestamp}-${randomId}.${getFileExtension(format)}`;
 }
 
 /**
@@ -19,26 +22,33 @@ export function generateImageFilename(format = 'png', prefix = 'image') {
  * @param {R2Bucket} bucket - R2 bucket instance
  * @param {ArrayBuffer} imageBuffer - Image data
  * @param {string} filename - Target filename
- * @param {string} format - Image format
+ * @param {string} format - Output format (png, jpeg, webp, avif, pdf)
+ * @param {Object} metadata - Extra custom metadata (e.g. captured width/height)
  * @returns {Promise<string>} Uploaded file key
  */
-export async function uploadImageToR2(bucket, imageBuffer, filename, format = 'png') {
-  const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+export async function uploadImageToR2(bucket, imageBuffer, filename, format = 'png', metadata = {}) {
+  const mimeType = getMimeType(format);
   
-  const object = await bucket.put(filename, imageBuffer, {
-    httpMetadata: {
-      contentType: mimeType,
-      cacheControl: 'public, max-age=31536000', // 1 year cache
-    },
-    customMetadata: {
-      uploadedAt: new Date().toISOString(),
-      generatedBy: 'html-to-image-worker',
-      format: format
-    }
-  });
+  let object;
+  try {
+    object = await bucket.put(filename, imageBuffer, {
+      httpMetadata: {
+        contentType: mimeType,
+        cacheControl: 'public, max-age=31536000', // 1 year cache
+      },
+      customMetadata: {
+        uploadedAt: new Date().toISOString(),
+        generatedBy: 'html-to-image-worker',
+        format: format,
+        ...metadata
+      }
+    });
+  } catch (error) {
+    throw new ApiError('R2_UPLOAD_FAILED', `Failed to upload image to R2 storage: ${error.message}`, { filename });
+  }
 
   if (!object) {
-    throw new Error('Failed to upload image to R2 storage');
+    throw new ApiError('R2_UPLOAD_FAILED', 'Failed to upload image to R2 storage', { filename });
   }
 
   return filename;
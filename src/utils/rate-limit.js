@@ -0,0 +1,248 @@
+/**
+ * Per-API-key rate limits and quotas
+ * Every API key gets its own RateLimiter Durable Object (named by the SHA-256 of the key),
+ * which counts requests per minute, renders per UTC day and output megapixels per
+ * UTC month. Renders served from the render cache don't count.
+ *
+ * Limits come from the RATE_LIMITS variable (JSON), keyed by key ID (never the key
+ * itself: "key_..." for stored keys, "env_" + first 12 hex characters of the SHA-256
+ * for API_KEYS entries, "admin"), with "default" applying to every other key; fields
+ * missing from an entry use DEFAULT_RATE_LIMITS and null disables a limit:
+ *   {
+ *     "default": { "requestsPerMinute": 60, "rendersPerDay": 1000, "megapixelsPerMonth": 10000 },
+ *     "key_1a2b3c4d5e6f": { "rendersPerDay": null }
+ *   }
+ */
+
+import { DurableObject } from 'cloudflare:workers';
+
+export const DEFAULT_RATE_LIMITS = Object.freeze({
+  requestsPerMinute: 120,
+  rendersPerDay: 5000,
+  megapixelsPerMonth: 50000
+});
+
+const LIMIT_NAMES = Object.keys(DEFAULT_RATE_LIMITS);
+
+/**
+ * Counter and window end of each limit
+ */
+const WINDOWS = {
+  requestsPerMinute: {
+    counter: 'requests',
+    resetAt: now => Math.floor(now / 60000) * 60000 + 60000
+  },
+  rendersPerDay: {
+    counter: 'renders',
+    resetAt: now => {
+      const date = new Date(now);
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+    }
+  },
+  megapixelsPerMonth: {
+    counter: 'megapixels',
+    resetAt: now => {
+      const date = new Date(now);
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    }
+  }
+};
+
+/**
+ * Durable Object holding the usage counters of one API key
+ */
+export class RateLimiter extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    this.usage = null;
+
+    ctx.blockConcurrencyWhile(async () => {
+      this.usage = (await ctx.storage.get('usage')) || null;
+    });
+  }
+
+  /**
+   * Admit a request: counts it against the per-minute limit and, for renders,
+   * checks the daily and monthly quotas
+   * @param {Object} limits - Resolved limits (see getRateLimits)
+   * @param {Object} options - { render: boolean }
+   * @returns {Promise<Object>} { allowed, exceeded, retryAfter, usage }
+   */
+  async admit(limits, { render = false } = {}) {
+    const now = Date.now();
+    const usage = this.current(now);
+
+    let exceeded = null;
+    if (limits.requestsPerMinute !== null && usage.requests.count >= limits.requestsPerMinute) {
+      exceeded = 'requestsPerMinute';
+    } else if (render && limits.rendersPerDay !== null && usage.renders.count >= limits.rendersPerDay) {
+      exceeded = 'rendersPerDay';
+    } else if (render && limits.megapixelsPerMonth !== null && usage.megapixels.count >= limits.megapixelsPerMonth) {
+      exceeded = 'megapixelsPerMonth';
+    }
+
+    if (exceeded) {
+      const { resetAt } = usage[WINDOWS[exceeded].counter];
+      return { allowed: false, exceeded, retryAfter: Math.max(1, Math.ceil((resetAt - now) / 1000)), usage: describeUsage(usage, limits) };
+    }
+
+    usage.requests.count++;
+    await this.persist();
+    return { allowed: true, exceeded: null, retryAfter: 0, usage: describeUsage(usage, limits) };
+  }
+
+  /**
+   * Record completed renders
+   * @param {Object} consumption - { renders, megapixels }
+   * @returns {Promise<void>}
+   */
+  async record({ renders = 0, megapixels = 0 }) {
+    const usage = this.current(Date.now());
+    usage.renders.count += renders;
+    usage.megapixels.count = Math.round((usage.megapixels.count + megapixels) * 1000) / 1000;
+    await this.persist();
+  }
+
+  /**
+   * Current consumption
+   * @param {Object} limits - Resolved limits (see getRateLimits)
+   * @returns {Promise<Object>} Usage per limit (see describeUsage)
+   */
+  async getUsage(limits) {
+    return describeUsage(this.current(Date.now()), limits);
+  }
+
+  /**
+   * Counters of the current windows - windows that have ended start again at zero
+   */
+  current(now) {
+    const usage = this.usage || {};
+    for (const { counter, resetAt: windowEnd } of Object.values(WINDOWS)) {
+      const resetAt = windowEnd(now);
+      if (!usage[counter] || usage[counter].resetAt !== resetAt) {
+        usage[counter] = { count: 0, resetAt };
+      }
+    }
+    this.usage = usage;
+    return usage;
+  }
+
+  async persist() {
+    await this.ctx.storage.put('usage', this.usage);
+  }
+}
+
+/**
+ * Shapes counters for responses
+ * @returns {Object} { requestsPerMinute: { used, limit, remaining, resetAt }, rendersPerDay, megapixelsPerMonth }
+ */
+function describeUsage(usage, limits) {
+  const described = {};
+  for (const name of LIMIT_NAMES) {
+    const { count, resetAt } = usage[WINDOWS[name].counter];
+    const limit = limits[name];
+    described[name] = {
+      used: count,
+      limit,
+      remaining: limit === null ? null : Math.max(0, Math.round((limit - count) * 1000) / 1000),
+      resetAt: new Date(resetAt).toISOString()
+    };
+  }
+  return described;
+}
+
+/**
+ * Parses RATE_LIMITS once per isolate
+ */
+let cachedSource = null;
+let cachedLimits = {};
+
+function loadLimits(env) {
+  if (env.RATE_LIMITS === cachedSource) {
+    return cachedLimits;
+  }
+
+  cachedSource = env.RATE_LIMITS;
+  try {
+    cachedLimits = env.RATE_LIMITS ? JSON.parse(env.RATE_LIMITS) : {};
+  } catch (error) {
+    console.error('[rate-limit] RATE_LIMITS is not valid JSON - using default limits:', error.message);
+    cachedLimits = {};
+  }
+  return cachedLimits;
+}
+
+/**
+ * Resolves the limits of an API key
+ * @param {string|null} keyId - Key ID from the request context
+ * @param {Object} env - Environment variables
+ * @returns {Object} { requestsPerMinute, rendersPerDay, megapixelsPerMonth } - null means unlimited
+ */
+export function getRateLimits(keyId, env) {
+  const configured = loadLimits(env);
+  const own = keyId && keyId !== 'default' ? configured[keyId] : null;
+  const entry = { ...(configured.default || {}), ...(own || {}) };
+
+  const limits = {};
+  for (const name of LIMIT_NAMES) {
+    const value = name in entry ? entry[name] : DEFAULT_RATE_LIMITS[name];
+    limits[name] = typeof value === 'number' && value >= 0 ? value : null;
+  }
+  return limits;
+}
+
+/**
+ * Gets the RateLimiter stub of a usage ID
+ * @param {Object} env - Environment bindings
+ * @param {string} usageId - Usage ID (SHA-256 of the API key, from the request context)
+ * @returns {Object|null} Stub or null if rate limiting is not configured
+ */
+export function getRateLimiter(env, usageId) {
+  if (!env.RATE_LIMITER || !usageId) {
+    return null;
+  }
+  return env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(usageId));
+}
+
+/**
+ * Records completed renders against a key's daily and monthly quotas
+ * Failures are logged - a finished render is never failed because of accounting
+ * @param {Object} env - Environment bindings
+ * @param {string} usageId - Usage ID of the API key (null for public and internal calls)
+ * @param {Array<Object>} renders - [{ dimensions, deviceScaleFactor, cache }]; cache hits are skipped
+ * @returns {Promise<void>}
+ */
+export async function recordRenderUsage(env, usageId, renders) {
+  const limiter = getRateLimiter(env, usageId);
+  const rendered = renders.filter(render => render && render.dimensions && render.cache !== 'HIT');
+  if (!limiter || rendered.length === 0) {
+    return;
+  }
+
+  const megapixels = rendered.reduce((total, { dimensions, deviceScaleFactor = 1 }) =>
+    total + (dimensions.width * deviceScaleFactor) * (dimensions.height * deviceScaleFactor) / 1e6, 0);
+
+  try {
+    await limiter.record({ renders: rendered.length, megapixels });
+  } catch (error) {
+    console.error('[rate-limit] Failed to record usage:', error.message);
+  }
+}
+
+/**
+ * Builds the X-RateLimit-* headers of one limit
+ * @param {Object} usage - Usage from RateLimiter.admit
+ * @param {string} name - Limit to describe (the per-minute request limit by default)
+ * @returns {Object} Response headers
+ */
+export function rateLimitHeaders(usage, name = 'requestsPerMinute') {
+  const { limit, remaining, resetAt } = usage[name];
+  if (limit === null) {
+    return {};
+  }
+  return {
+    'X-RateLimit-Limit': String(limit),
+    'X-RateLimit-Remaining': String(remaining),
+    'X-RateLimit-Reset': String(Math.floor(Date.parse(resetAt) / 1000))
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Content-addressed render cache
+ * Rendered images are stored under cache/<sha256>.<ext>, where the hash covers the
+ * processed HTML and every render option, so identical renders map to the same object
+ */
+
+import { getFileExtension } from './output-formats.js';
+
+export const CACHE_PREFIX = 'cache/';
+
+// Bump to invalidate all cached renders (e.g. when the document wrapper changes)
+const CACHE_VERSION = 'v2';
+
+export const CACHE_MODES = ['default', 'bypass', 'refresh'];
+
+/**
+ * Validates the cache option
+ * - default: return a cached render if present, otherwise render and cache
+ * - bypass: always render, don't read or write the cache
+ * - refresh: always render and overwrite the cached copy
+ * @param {string} mode - Requested cache mode
+ * @returns {boolean} True if mode is valid
+ */
+export function isValidCacheMode(mode) {
+  return CACHE_MODES.includes(mode);
+}
+
+/**
+ * Serializes a value with sorted object keys so equal options hash equally
+ * @param {any} value - Value to serialize
+ * @returns {string} Stable JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Computes the cache key for a render
+ * @param {string} html - Processed HTML
+ * @param {Object} options - Render options (width, height, format, quality, deviceScaleFactor, ...)
+ * @returns {Promise<string>} R2 object key
+ */
+export async function computeRenderCacheKey(html, options) {
+  const input = `${CACHE_VERSION}\n${stableStringify(options)}\n${html}`;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+  const hash = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${CACHE_PREFIX}${hash}.${getFileExtension(options.format)}`;
+}
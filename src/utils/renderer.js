@@ -0,0 +1,440 @@
+/**
+ * Browser rendering utilities (Cloudflare Puppeteer)
+ */
+
+import { OUTPUT_FORMATS } from './output-formats.js';
+import { requiresEncoding, encodeImage } from './image-encoder.js';
+import { acquireBrowser } from './browser-pool.js';
+import { buildDocument } from './document-shell.js';
+import { loadAndWait, DEFAULT_RENDER_TIMEOUT_MS } from './wait-for.js';
+import { checkUrl } from './url-policy.js';
+import { checkOutputSize } from './api-key-store.js';
+import { hasResourceRestrictions, checkResource, recordBlockedRequest } from './resource-policy.js';
+import { inlineRenderAssets } from './asset-inliner.js';
+import { ApiError } from './errors.js';
+
+/**
+ * Generate image (or PDF document) using Cloudflare Puppeteer
+ * Uses a warm session from the browser pool when configured - use
+ * acquireBrowser() + renderPage() when rendering several documents in one request
+ * Remote assets are inlined (options.inlineAssets) before a browser is acquired
+ * @param {string} html - HTML content to render
+ * @param {Object} options - Rendering options (see renderPage)
+ * @param {Object} env - Environment bindings (BROWSER, optional BROWSER_POOL, IMAGE_BUCKET)
+ * @returns {Promise<Object>} { buffer, dimensions, blockedRequests } (see renderPage)
+ */
+export async function generateImage(html, options, env) {
+  const inlined = await inlineRenderAssets(html, options, env);
+  return withBrowser(env, options, browser => renderPage(browser, inlined.html, inlined.options));
+}
+
+/**
+ * Screenshot (or print) a remote page using Cloudflare Puppeteer
+ * @param {string} url - Page URL (must pass the URL policy)
+ * @param {Object} options - Rendering options (see renderUrl)
+ * @param {Object} env - Environment bindings (BROWSER, optional BROWSER_POOL)
+ * @returns {Promise<Object>} { buffer, dimensions } (see renderPage)
+ */
+export async function generateUrlImage(url, options, env) {
+  return withBrowser(env, options, browser => renderUrl(browser, url, options));
+}
+
+/**
+ * Acquire a browser lease, run one render and release the lease
+ * @param {Object} env - Environment bindings
+ * @param {Object} options - Rendering options (logged)
+ * @param {Function} render - (browser) => Promise<Object>
+ * @returns {Promise<Object>} Render result
+ */
+async function withBrowser(env, options, render) {
+  const { width, height, format, deviceScaleFactor } = options;
+
+  console.log('[generateImage] Starting image generation');
+  console.log('[generateImage] Browser binding type:', typeof env.BROWSER);
+  console.log('[generateImage] Options:', { width, height, format, deviceScaleFactor });
+
+  try {
+    console.log('[generateImage] Acquiring browser...');
+    const lease = await acquireBrowser(env);
+    console.log('[generateImage] Browser ready:', { pooled: lease.pooled, reused: lease.reused });
+
+    let renders = 0;
+    try {
+      const rendered = await render(lease.browser);
+      renders++;
+      return rendered;
+    } finally {
+      await lease.release({ renders });
+    }
+  } catch (error) {
+    throw toRenderError(error);
+  }
+}
+
+/**
+ * Render HTML in a new page of an existing browser session
+ * @param {Object} puppeteerBrowser - Launched Puppeteer browser
+ * @param {string} html - HTML content to render
+ * @param {Object} options - Rendering options
+ * @param {number} options.width - Viewport width
+ * @param {number} options.height - Viewport height
+ * @param {string} options.format - Output format
+ * @param {number} options.quality - Quality for lossy formats
+ * @param {number} options.deviceScaleFactor - Device pixel ratio
+ * @param {boolean} options.lossless - Lossless WebP/AVIF encoding
+ * @param {number} options.effort - WebP/AVIF encoder effort
+ * @param {Object} options.pdf - PDF options, used only when format is 'pdf'
+ * @param {string} options.selector - Capture only the bounding box of the first matching element
+ * @param {boolean} options.fullPage - Capture the whole scrollable document instead of the viewport
+ * @param {boolean} options.omitBackground - Transparent background (PNG, WebP, AVIF)
+ * @param {string} options.shell - Document shell: 'default', 'none' or a stored shell name
+ * @param {string} options.shellHtml - Resolved HTML of a stored shell
+ * @param {string} options.headHtml - Markup injected into <head>
+ * @param {string} options.css - CSS injected into <head>
+ * @param {string} options.fontCss - @font-face rules for uploaded fonts
+ * @param {string|number|Object|Array} options.waitFor - Readiness conditions (see wait-for.js)
+ * @param {number} options.timeout - Budget in ms for loading the page and all waitFor conditions
+ * @param {Object} options.resourcePolicy - Resource policy of the caller (see resource-policy.js)
+ * @param {Object} options.outputLimit - { maxWidth, maxHeight } of the caller's key, checked against the captured image
+ * @returns {Promise<Object>} { buffer, dimensions: { width, height }, blockedRequests } - dimensions are the
+ *   captured area in CSS pixels (image pixels = dimensions x deviceScaleFactor); blockedRequests
+ *   lists requests dropped by the resource or URL policy
+ */
+export async function renderPage(puppeteerBrowser, html, options) {
+  const { shell = 'default', shellHtml, headHtml, css, fontCss, omitBackground = false } = options;
+
+  // Place the payload into its document shell
+  const fullHtml = buildDocument(html, { shell, shellHtml, headHtml, css, fontCss, omitBackground });
+
+  return capturePage(puppeteerBrowser, options, {}, (page, waitUntil, timeout) =>
+    page.setContent(fullHtml, { waitUntil, timeout })
+  );
+}
+
+/**
+ * Navigate to a remote page in a new page of an existing browser session
+ * Every request the page makes (including redirects) is checked against the URL policy
+ * @param {Object} puppeteerBrowser - Launched Puppeteer browser
+ * @param {string} url - Page URL
+ * @param {Object} options - Rendering options (see renderPage, except the document options)
+ * @param {Object} options.urlPolicy - { allowedHosts, deniedHosts } (see url-policy.js)
+ * @param {Array<Object>} options.cookies - Cookies to set before navigating ({ name, value, ... })
+ * @param {Object} options.headers - Extra request headers, sent to the page's own origin only
+ * @returns {Promise<Object>} { buffer, dimensions } (see renderPage)
+ */
+export async function renderUrl(puppeteerBrowser, url, options) {
+  const { urlPolicy, cookies = [], headers = {} } = options;
+  const requestRules = { urlPolicy, origin: new URL(url).origin, headers };
+
+  return capturePage(puppeteerBrowser, options, requestRules, async (page, waitUntil, timeout) => {
+    if (cookies.length > 0) {
+      await page.setCookie(...cookies.map(cookie => ({ url, ...cookie })));
+    }
+
+    const response = await page.goto(url, { waitUntil, timeout });
+    if (response && response.status() >= 400) {
+      throw new ApiError('PAGE_LOAD_FAILED', `Page responded with HTTP ${response.status()}`, { status: response.status() });
+    }
+  });
+}
+
+/**
+ * Load a page with the given loader, wait for readiness and capture it
+ * @param {Object} puppeteerBrowser - Launched Puppeteer browser
+ * @param {Object} options - Rendering options (see renderPage)
+ * @param {Object} requestRules - { urlPolicy, origin, headers } for URL renders
+ * @param {Function} load - (page, waitUntil, timeout) => Promise that loads the content
+ * @returns {Promise<Object>} { buffer, dimensions, blockedRequests }
+ */
+async function capturePage(puppeteerBrowser, options, requestRules, load) {
+  const {
+    width,
+    height,
+    format,
+    quality,
+    deviceScaleFactor,
+    lossless,
+    effort,
+    pdf = {},
+    selector,
+    fullPage = false,
+    omitBackground = false,
+    waitFor,
+    timeout = DEFAULT_RENDER_TIMEOUT_MS,
+    resourcePolicy,
+    outputLimit
+  } = options;
+
+  const page = await puppeteerBrowser.newPage();
+  console.log('[generateImage] New page created');
+
+  // Formats Chrome can't encode with the requested options are captured as PNG and re-encoded
+  const encodeInWorker = requiresEncoding(format, { lossless, effort });
+  let imageBuffer;
+  let clip;
+  const blockedRequests = [];
+
+  try {
+    // Set viewport dimensions
+    await page.setViewport({
+      width,
+      height,
+      deviceScaleFactor
+    });
+    
+    if (requestRules.urlPolicy || hasResourceRestrictions(resourcePolicy)) {
+      await interceptRequests(page, { ...requestRules, resourcePolicy }, blockedRequests);
+    }
+
+    if (resourcePolicy && !resourcePolicy.javaScript) {
+      await page.setJavaScriptEnabled(false);
+    }
+
+    // Load the content and wait until the requested readiness conditions hold
+    await loadAndWait(page, (waitUntil, loadTimeout) => load(page, waitUntil, loadTimeout), { waitFor, timeout });
+
+    // Make sure web fonts have loaded so the capture never shows fallback glyphs
+    await page.evaluate(() => document.fonts.ready.then(() => true));
+    
+    // Print to PDF instead of taking a screenshot (dimensions report the layout viewport)
+    if (format === 'pdf') {
+      const buffer = await page.pdf(buildPdfOptions(pdf));
+      return { buffer, dimensions: { width, height }, blockedRequests };
+    }
+
+    clip = await resolveClip(page, { width, height, selector, fullPage });
+
+    // fullPage and selector captures can be larger than the viewport the key's limit was checked against
+    const sizeError = checkOutputSize(outputLimit, { width: clip.width, height: clip.height, deviceScaleFactor });
+    if (sizeError) {
+      throw new ApiError('FORBIDDEN', sizeError);
+    }
+
+    const screenshotType = encodeInWorker ? 'png' : OUTPUT_FORMATS[format].screenshotType;
+
+    // Take screenshot
+    const screenshotOptions = {
+      type: screenshotType,
+      omitBackground,
+      clip
+    };
+    
+    // Add quality for lossy formats (JPEG, WebP)
+    if (OUTPUT_FORMATS[screenshotType].supportsQuality && quality) {
+      screenshotOptions.quality = quality;
+    }
+    
+    imageBuffer = await page.screenshot(screenshotOptions);
+  } finally {
+    // Clean up
+    await page.close();
+  }
+
+  if (encodeInWorker) {
+    imageBuffer = await encodeImage(imageBuffer, format, { quality, lossless, effort });
+  }
+
+  return { buffer: imageBuffer, dimensions: { width: clip.width, height: clip.height }, blockedRequests };
+}
+
+/**
+ * Intercept every request the page makes and apply the URL policy (SSRF) and the
+ * caller's resource policy; blocked requests are recorded in blockedRequests
+ * @param {Object} page - Puppeteer page
+ * @param {Object} rules - { urlPolicy, origin, headers, resourcePolicy }
+ * @param {Array} blockedRequests - Collects { url, resourceType, reason }
+ */
+async function interceptRequests(page, { urlPolicy, origin, headers = {}, resourcePolicy }, blockedRequests) {
+  let downloadedBytes = 0;
+
+  // Counted from the body chunks as they arrive, so chunked responses and responses
+  // without Content-Length count too; data: URLs are part of the document and don't
+  if (resourcePolicy?.maxBytes) {
+    const client = await page.createCDPSession();
+    const dataRequests = new Set();
+    client.on('Network.requestWillBeSent', event => {
+      if (event.request.url.startsWith('data:')) {
+        dataRequests.add(event.requestId);
+      }
+    });
+    client.on('Network.dataReceived', event => {
+      if (!dataRequests.has(event.requestId)) {
+        downloadedBytes += event.dataLength;
+      }
+    });
+    await client.send('Network.enable');
+  }
+
+  await page.setRequestInterception(true);
+  page.on('request', async request => {
+    const url = request.url();
+    const resourceType = request.resourceType();
+
+    let reason = urlPolicy ? checkUrl(url, urlPolicy) : null;
+    if (!reason && resourcePolicy) {
+      reason = checkResource(url, resourcePolicy);
+      if (!reason && resourcePolicy.maxBytes && downloadedBytes >= resourcePolicy.maxBytes && !url.startsWith('data:')) {
+        reason = `download limit of ${resourcePolicy.maxBytes} bytes reached`;
+      }
+    }
+
+    // respond/abort/continue reject once the page is closed (e.g. after a timeout) -
+    // the request is gone then, so there is nothing left to do
+    try {
+      if (reason) {
+        console.warn('[generateImage] Blocked request:', { url, resourceType, reason });
+        recordBlockedRequest(blockedRequests, { url, resourceType, reason });
+
+        const placeholder = resourcePolicy?.placeholderImage;
+        if (placeholder && resourceType === 'image') {
+          await request.respond({
+            status: 200,
+            contentType: placeholder.contentType,
+            body: Uint8Array.from(atob(placeholder.base64), char => char.charCodeAt(0))
+          });
+        } else {
+          await request.abort('blockedbyclient');
+        }
+        return;
+      }
+
+      // Credentials in extra headers must not leak to third-party hosts
+      const sameOrigin = origin && (url === origin || url.startsWith(`${origin}/`));
+      await request.continue(sameOrigin ? { headers: { ...request.headers(), ...headers } } : undefined);
+    } catch (error) {
+      console.warn('[generateImage] Could not settle intercepted request:', { url, error: error.message });
+    }
+  });
+}
+
+/**
+ * Work out the screenshot clip: an element's bounding box, the full document or the viewport
+ * @param {Object} page - Puppeteer page with content loaded
+ * @param {Object} capture - { width, height, selector, fullPage }
+ * @returns {Promise<Object>} Clip rectangle in CSS pixels
+ */
+async function resolveClip(page, { width, height, selector, fullPage }) {
+  if (selector) {
+    const element = await page.$(selector);
+    if (!element) {
+      throw new ApiError('SELECTOR_NOT_FOUND', `Selector "${selector}" did not match any element`, { selector });
+    }
+
+    const box = await element.boundingBox();
+    if (!box || box.width === 0 || box.height === 0) {
+      throw new ApiError('SELECTOR_NOT_FOUND', `Element matching "${selector}" is not visible`, { selector });
+    }
+
+    // Snap to whole pixels so anti-aliased edges aren't cut off
+    const x = Math.floor(box.x);
+    const y = Math.floor(box.y);
+    return {
+      x,
+      y,
+      width: Math.ceil(box.x + box.width) - x,
+      height: Math.ceil(box.y + box.height) - y
+    };
+  }
+
+  if (fullPage) {
+    const size = await page.evaluate(() => ({
+      width: document.documentElement.scrollWidth,
+      height: document.documentElement.scrollHeight
+    }));
+    return { x: 0, y: 0, width: Math.max(width, size.width), height: Math.max(height, size.height) };
+  }
+
+  return { x: 0, y: 0, width, height };
+}
+
+/**
+ * Validates selector/fullPage/omitBackground capture options
+ * @param {string} format - Output format
+ * @param {Object} capture - { selector, fullPage, omitBackground }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateCaptureOptions(format, { selector, fullPage, omitBackground } = {}) {
+  if (selector !== undefined && (typeof selector !== 'string' || !selector.trim())) {
+    return 'selector must be a non-empty CSS selector string';
+  }
+
+  if (selector && fullPage) {
+    return 'selector and fullPage cannot be combined';
+  }
+
+  if (format === 'pdf' && (selector || fullPage || omitBackground)) {
+    return 'selector, fullPage and omitBackground apply to image formats only';
+  }
+
+  if (omitBackground && format === 'jpeg') {
+    return 'omitBackground needs a format with transparency (png, webp or avif)';
+  }
+
+  return null;
+}
+
+/**
+ * Log a render failure and classify it
+ * Typed errors (timeouts from wait-for, R2, selectors) pass through; Puppeteer
+ * timeouts become RENDER_TIMEOUT and everything else RENDER_FAILED
+ * @param {Error} error - Original error
+ * @returns {ApiError} Typed error
+ */
+export function toRenderError(error) {
+  console.error('Puppeteer error details:', {
+    message: error.message,
+    stack: error.stack,
+    name: error.name,
+    code: error.code
+  });
+
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error.name === 'TimeoutError') {
+    return new ApiError('RENDER_TIMEOUT', error.message);
+  }
+  return new ApiError('RENDER_FAILED', error.message, error.code ? { cause: error.code } : undefined);
+}
+
+/**
+ * Build Puppeteer PDF options from request options
+ * @param {Object} pdf - PDF request options
+ * @param {string} pdf.pageSize - Paper format (A4, Letter, Legal, ...)
+ * @param {string} pdf.orientation - 'portrait' or 'landscape'
+ * @param {Object|string} pdf.margin - Margins object ({ top, right, bottom, left }) or one value for all sides
+ * @param {string} pdf.headerTemplate - HTML template for the print header
+ * @param {string} pdf.footerTemplate - HTML template for the print footer
+ * @param {boolean} pdf.printBackground - Print background graphics
+ * @returns {Object} Options for page.pdf()
+ */
+export function buildPdfOptions(pdf = {}) {
+  const {
+    pageSize = 'A4',
+    orientation = 'portrait',
+    margin = '10mm',
+    headerTemplate,
+    footerTemplate,
+    printBackground = true
+  } = pdf;
+
+  const margins = typeof margin === 'object' && margin !== null
+    ? margin
+    : { top: margin, right: margin, bottom: margin, left: margin };
+
+  const pdfOptions = {
+    format: pageSize,
+    landscape: orientation === 'landscape',
+    margin: margins,
+    printBackground
+  };
+
+  // Header/footer are only printed when at least one template is given
+  if (headerTemplate || footerTemplate) {
+    pdfOptions.displayHeaderFooter = true;
+    pdfOptions.headerTemplate = headerTemplate || '<span></span>';
+    pdfOptions.footerTemplate = footerTemplate || '<span></span>';
+  }
+
+  return pdfOptions;
+}
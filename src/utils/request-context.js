@@ -0,0 +1,63 @@
+/**
+ * Per-request context
+ * Authentication attaches the caller's identity to the request, so handlers can read
+ * it without every handler signature carrying it. Entries go away with the request.
+ * The request ID is tracked with AsyncLocalStorage instead, because it is needed where
+ * no request object is at hand (error responses built deep inside handlers).
+ *
+ * Context: { key: { id, name, routes, formats, maxWidth, maxHeight, templates }, usageId, isAdmin, isInternal }
+ * Service-binding callers get key { id: 'internal:<caller>', name: <caller> } and no usageId.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const contexts = new WeakMap();
+const requestIds = new AsyncLocalStorage();
+
+/**
+ * Attaches a context to a request
+ * @param {Request} request - Incoming request
+ * @param {Object} context - Request context
+ */
+export function setRequestContext(request, context) {
+  contexts.set(request, context);
+}
+
+/**
+ * Gets the context of a request
+ * @param {Request} request - Incoming request
+ * @returns {Object} Request context ({} for public requests)
+ */
+export function getRequestContext(request) {
+  return contexts.get(request) || {};
+}
+
+/**
+ * Picks the ID of a request: the caller's X-Request-Id when it is well-formed, a new UUID otherwise
+ * @param {Request} request - Incoming request
+ * @returns {string} Request ID
+ */
+export function resolveRequestId(request) {
+  const provided = request.headers.get('X-Request-Id');
+  return provided && REQUEST_ID_PATTERN.test(provided) ? provided : crypto.randomUUID();
+}
+
+/**
+ * Runs a callback with a request ID that getRequestId() returns while it runs
+ * @param {string} requestId - Request ID
+ * @param {Function} callback - () => Promise<any>
+ * @returns {Promise<any>} Result of the callback
+ */
+export function runWithRequestId(requestId, callback) {
+  return requestIds.run(requestId, callback);
+}
+
+/**
+ * Gets the ID of the request being handled
+ * @returns {string|undefined} Request ID (undefined outside a request, e.g. in the queue consumer)
+ */
+export function getRequestId() {
+  return requestIds.getStore();
+}
@@ -0,0 +1,287 @@
+/**
+ * Request validation schema
+ * One table describes every render option - type, bounds, default and description.
+ * validateRequestBody() checks request bodies against it and returns field-level errors,
+ * normalizeRenderOptions() applies its defaults, and getRequestSchemas() turns the same table
+ * into OpenAPI (JSON Schema) definitions.
+ *
+ * Options with richer structure (pdf, waitFor, fonts, inlineAssets, cookies, ...) are only
+ * type-checked here; their own modules validate them in depth. Unknown fields are ignored.
+ */
+
+import { OUTPUT_FORMATS } from './output-formats.js';
+import { EFFORT_RANGES } from './image-encoder.js';
+import { CACHE_MODES } from './render-cache.js';
+import { DEFAULT_RENDER_TIMEOUT_MS, MIN_RENDER_TIMEOUT_MS, MAX_RENDER_TIMEOUT_MS } from './wait-for.js';
+import { ApiError } from './errors.js';
+
+export const REQUEST_LIMITS = Object.freeze({
+  maxBodyBytes: 5 * 1024 * 1024,
+  maxTemplateLength: 1024 * 1024,
+  maxDimension: 8192,
+  // Output pixels: width x height x deviceScaleFactor^2 (about a 7000 x 7000 image)
+  maxPixels: 50_000_000,
+  minDeviceScaleFactor: 0.1,
+  maxDeviceScaleFactor: 4,
+  maxBatchItems: 20
+});
+
+const MAX_EFFORT = Math.max(...Object.values(EFFORT_RANGES).map(range => range.max));
+
+/**
+ * Field definitions (JSON Schema keywords, so they can be emitted as OpenAPI as they are)
+ */
+const FIELDS = {
+  html: { type: 'string', minLength: 1, maxLength: REQUEST_LIMITS.maxTemplateLength, description: 'Static HTML content' },
+  template: { type: 'string', minLength: 1, maxLength: REQUEST_LIMITS.maxTemplateLength, description: 'HTML template with {{variable}} placeholders' },
+  variables: { type: ['object', 'string'], default: {}, description: 'Values for the template placeholders (object, or the object as a JSON string)' },
+  partials: { type: 'object', description: 'Partial name to template, for {{> name}} tags' },
+  locale: { type: 'string', maxLength: 64, default: 'en-US', description: 'Locale of the formatting helpers (BCP 47, e.g. "cs-CZ")' },
+  timezone: { type: 'string', maxLength: 64, default: 'UTC', description: 'Time zone of the date helpers (IANA, e.g. "Europe/Prague")' },
+  templateId: { type: 'string', description: 'ID of a stored template' },
+  version: { type: ['integer', 'string'], nullable: true, default: 'latest', description: 'Stored template version number or "latest"' },
+  width: { type: 'integer', minimum: 1, maximum: REQUEST_LIMITS.maxDimension, default: 1200, description: 'Viewport width in CSS pixels' },
+  height: { type: 'integer', minimum: 1, maximum: REQUEST_LIMITS.maxDimension, default: 800, description: 'Viewport height in CSS pixels' },
+  format: { type: 'string', enum: Object.keys(OUTPUT_FORMATS), default: 'png', description: 'Output format' },
+  quality: { type: 'integer', minimum: 1, maximum: 100, default: 90, description: 'JPEG/WebP/AVIF quality' },
+  lossless: { type: 'boolean', default: false, description: 'Lossless WebP/AVIF encoding' },
+  effort: { type: 'integer', minimum: 0, maximum: MAX_EFFORT, description: 'WebP (0-6) / AVIF (0-10) encoder effort' },
+  deviceScaleFactor: {
+    type: 'number',
+    minimum: REQUEST_LIMITS.minDeviceScaleFactor,
+    maximum: REQUEST_LIMITS.maxDeviceScaleFactor,
+    default: 1,
+    description: 'Device pixel ratio'
+  },
+  pdf: { type: 'object', default: {}, description: 'PDF options (format "pdf" only)' },
+  selector: { type: 'string', minLength: 1, maxLength: 1000, description: 'Capture only the first element matching this CSS selector' },
+  fullPage: { type: 'boolean', default: false, description: 'Capture the whole scrollable document' },
+  omitBackground: { type: 'boolean', default: false, description: 'Transparent background (PNG, WebP, AVIF)' },
+  shell: { type: 'string', default: 'default', description: 'Document shell: "default", "none" or a stored shell name' },
+  headHtml: { type: 'string', maxLength: REQUEST_LIMITS.maxTemplateLength, description: 'Markup injected into <head>' },
+  css: { type: 'string', maxLength: REQUEST_LIMITS.maxTemplateLength, description: 'CSS injected into <head>' },
+  fonts: { type: 'array', items: { type: 'string' }, description: 'Uploaded font families to inject' },
+  waitFor: { type: ['string', 'number', 'object', 'array'], description: 'Readiness condition(s) to wait for before capturing' },
+  timeout: {
+    type: 'integer',
+    minimum: MIN_RENDER_TIMEOUT_MS,
+    maximum: MAX_RENDER_TIMEOUT_MS,
+    default: DEFAULT_RENDER_TIMEOUT_MS,
+    description: 'Budget in ms for loading the page and all waitFor conditions'
+  },
+  inlineAssets: { type: ['boolean', 'object'], default: false, description: 'Fetch and inline remote images and stylesheets' },
+  cache: { type: 'string', enum: CACHE_MODES, default: 'default', description: 'Render cache mode' },
+  sanitize: { type: 'boolean', default: true, description: 'HTML-escape {{variable}} output ({{{variable}}} is never escaped)' },
+  returnUrl: { type: 'boolean', default: true, description: 'Return an R2 URL instead of the binary' },
+  url: { type: 'string', format: 'uri', maxLength: 2048, description: 'http(s) URL of the page to render' },
+  cookies: { type: 'array', items: { type: 'object' }, default: [], description: 'Cookies to set before navigating' },
+  headers: { type: 'object', default: {}, description: 'Extra request headers, sent to the page origin only' },
+  callbackUrl: { type: 'string', format: 'uri', nullable: true, description: 'Webhook notified when the job finishes' },
+  name: { type: 'string', description: 'Display name' },
+  description: { type: 'string', description: 'Description' },
+  note: { type: 'string', description: 'Version note' },
+  promote: { type: 'boolean', default: false, description: 'Make the new version "latest"' }
+};
+
+const CAPTURE_FIELDS = [
+  'width', 'height', 'format', 'quality', 'lossless', 'effort', 'deviceScaleFactor', 'pdf',
+  'selector', 'fullPage', 'omitBackground', 'waitFor', 'timeout', 'cache', 'returnUrl'
+];
+const DOCUMENT_FIELDS = ['shell', 'headHtml', 'css', 'fonts', 'inlineAssets'];
+const TEMPLATE_FIELDS = ['template', 'variables', 'partials', 'locale', 'timezone', 'sanitize'];
+
+// Fields normalizeRenderOptions() picks from a body - how to capture, not what
+const RENDER_OPTION_FIELDS = [...CAPTURE_FIELDS, ...DOCUMENT_FIELDS, 'cookies', 'headers'];
+
+/**
+ * Request bodies: their fields and which of them are required
+ */
+export const REQUEST_SCHEMAS = {
+  HtmlRenderRequest: { fields: ['html', ...CAPTURE_FIELDS, ...DOCUMENT_FIELDS], required: ['html'] },
+  TemplateRenderRequest: { fields: [...TEMPLATE_FIELDS, ...CAPTURE_FIELDS, ...DOCUMENT_FIELDS], required: ['template'] },
+  StoredTemplateRenderRequest: { fields: ['version', 'variables', 'partials', 'locale', 'timezone', 'sanitize', ...CAPTURE_FIELDS, ...DOCUMENT_FIELDS], required: [] },
+  UrlRenderRequest: { fields: ['url', ...CAPTURE_FIELDS, 'cookies', 'headers'], required: ['url'] },
+  BatchItem: { fields: ['html', ...TEMPLATE_FIELDS, 'templateId', 'version', ...CAPTURE_FIELDS, ...DOCUMENT_FIELDS], required: [] },
+  JobRequest: { fields: [...TEMPLATE_FIELDS, 'templateId', 'version', ...CAPTURE_FIELDS, ...DOCUMENT_FIELDS, 'callbackUrl'], required: [] },
+  TemplateSource: { fields: ['template', 'variables', 'partials', 'locale', 'timezone', 'sanitize'], required: ['template'] },
+  TemplateSaveRequest: { fields: ['template', 'name', 'description', 'note'], required: ['template'] },
+  TemplateVersionRequest: { fields: ['template', 'note', 'promote'], required: ['template'] }
+};
+
+/**
+ * Checks a value against one JSON Schema type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validates one field value
+ * @returns {string|null} Error message or null if valid
+ */
+function validateField(name, value, spec) {
+  if (value === null) {
+    return spec.nullable ? null : `${name} must not be null`;
+  }
+
+  const types = [].concat(spec.type);
+  if (!types.some(type => matchesType(value, type))) {
+    const article = /^[aeiou]/.test(types[0]) ? 'an' : 'a';
+    return `${name} must be ${article} ${types.join(' or ')}`;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `${name} must be one of: ${spec.enum.join(', ')}`;
+  }
+  if (typeof value === 'number') {
+    if ((spec.minimum !== undefined && value < spec.minimum) || (spec.maximum !== undefined && value > spec.maximum)) {
+      return `${name} must be between ${spec.minimum} and ${spec.maximum}`;
+    }
+  }
+  if (typeof value === 'string') {
+    if (spec.minLength !== undefined && value.length < spec.minLength) {
+      return `${name} must not be empty`;
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      return `${name} must be at most ${spec.maxLength} characters`;
+    }
+  }
+  if (Array.isArray(value) && spec.items && !value.every(item => matchesType(item, spec.items.type))) {
+    return `${name} must only contain ${spec.items.type} values`;
+  }
+
+  return null;
+}
+
+/**
+ * Validates a request body against its schema
+ * Fields are checked for type and bounds; the output size (width x height x deviceScaleFactor^2)
+ * is checked against REQUEST_LIMITS.maxPixels
+ * @param {Object} body - Parsed request body
+ * @param {string} schemaName - Key of REQUEST_SCHEMAS
+ * @returns {ApiError|null} Error with details.fields ([{ field, message }]) or null if valid -
+ *   INVALID_REQUEST when a required field is missing, INVALID_OPTION otherwise
+ */
+export function validateRequestBody(body, schemaName) {
+  const { fields, required } = REQUEST_SCHEMAS[schemaName];
+  const missing = required.filter(name => body[name] === undefined);
+  const errors = missing.map(name => ({ field: name, message: `${name} is required` }));
+
+  for (const name of fields) {
+    if (body[name] === undefined) {
+      continue;
+    }
+    const message = validateField(name, body[name], FIELDS[name]);
+    if (message) {
+      errors.push({ field: name, message });
+    }
+  }
+
+  if (fields.includes('width') && !errors.some(({ field }) => ['width', 'height', 'deviceScaleFactor'].includes(field))) {
+    const { width = FIELDS.width.default, height = FIELDS.height.default, deviceScaleFactor = FIELDS.deviceScaleFactor.default } = body;
+    const pixels = Math.round(width * height * deviceScaleFactor * deviceScaleFactor);
+    if (pixels > REQUEST_LIMITS.maxPixels) {
+      errors.push({
+        field: 'width',
+        message: `width x height x deviceScaleFactor^2 is ${pixels} pixels - the maximum is ${REQUEST_LIMITS.maxPixels}`
+      });
+    }
+  }
+
+  if (errors.length === 0) {
+    return null;
+  }
+  const code = missing.length > 0 ? 'INVALID_REQUEST' : 'INVALID_OPTION';
+  return new ApiError(code, errors.map(({ message }) => message).join('; '), { fields: errors });
+}
+
+/**
+ * Picks the render options of a validated body and fills in the FIELDS defaults
+ * Every render handler builds its options here, so a new option only needs its FIELDS
+ * entry and the schemas that accept it.
+ * @param {Object} body - Request body, checked with validateRequestBody
+ * @param {string} schemaName - Key of REQUEST_SCHEMAS the body was checked against
+ * @param {Object} defaults - Defaults that differ for this endpoint (e.g. { cache: 'bypass' })
+ * @returns {Object} Render options of the schema, including cache and returnUrl
+ */
+export function normalizeRenderOptions(body, schemaName, defaults = {}) {
+  const { fields } = REQUEST_SCHEMAS[schemaName];
+  const options = {};
+  for (const name of RENDER_OPTION_FIELDS) {
+    if (!fields.includes(name)) {
+      continue;
+    }
+    const fallback = name in defaults ? defaults[name] : FIELDS[name].default;
+    // Object defaults are copied so a handler can't change them for later requests
+    options[name] = body[name] !== undefined ? body[name] : structuredClone(fallback);
+  }
+  return options;
+}
+
+/**
+ * Reads a JSON object body, enforcing REQUEST_LIMITS.maxBodyBytes
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object>} Parsed body
+ * @throws {ApiError} PAYLOAD_TOO_LARGE, or INVALID_REQUEST for invalid JSON and non-object bodies
+ */
+export async function readJsonBody(request) {
+  const { maxBodyBytes } = REQUEST_LIMITS;
+  const tooLarge = () => new ApiError('PAYLOAD_TOO_LARGE', `Request body must be at most ${maxBodyBytes} bytes`, { maxBytes: maxBodyBytes });
+
+  if (Number(request.headers.get('Content-Length')) > maxBodyBytes) {
+    throw tooLarge();
+  }
+
+  const text = await request.text();
+  if (new TextEncoder().encode(text).byteLength > maxBodyBytes) {
+    throw tooLarge();
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw new ApiError('INVALID_REQUEST', `Request body must be valid JSON: ${error.message}`);
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError('INVALID_REQUEST', 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * Converts a field definition to an OpenAPI 3.1 schema
+ */
+function toOpenApiField(spec) {
+  const { type, nullable, ...keywords } = spec;
+  const types = [].concat(type, nullable ? ['null'] : []);
+  return { ...keywords, type: types.length === 1 ? types[0] : types };
+}
+
+/**
+ * OpenAPI component schemas of all request bodies
+ * @returns {Object} Map of schema name to OpenAPI 3.1 schema object
+ */
+export function getRequestSchemas() {
+  const schemas = {};
+  for (const [schemaName, { fields, required }] of Object.entries(REQUEST_SCHEMAS)) {
+    schemas[schemaName] = {
+      type: 'object',
+      properties: Object.fromEntries(fields.map(name => [name, toOpenApiField(FIELDS[name])])),
+      ...(required.length > 0 && { required })
+    };
+  }
+  return schemas;
+}
@@ -0,0 +1,155 @@
+/**
+ * Per-API-key resource policy applied while rendering
+ * Controls which hosts a rendered document may load resources from, whether
+ * JavaScript runs, how many bytes may be downloaded and whether blocked images
+ * are replaced with a placeholder.
+ *
+ * Configured with the RESOURCE_POLICIES secret (JSON), keyed by key ID like
+ * RATE_LIMITS (see rate-limit.js), with "default" applying to every other key and
+ * to public renders:
+ *   {
+ *     "default": { "blockedDomains": ["*.doubleclick.net"] },
+ *     "key_1a2b3c4d5e6f": { "allowedDomains": ["*.twimg.com"], "javaScript": false, "maxBytes": 5000000, "placeholderImage": true }
+ *   }
+ */
+
+import { getRequestContext } from './request-context.js';
+
+// 1x1 light grey PNG, stretched to the size of the blocked <img>
+export const DEFAULT_PLACEHOLDER_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGN4+vw1AAVsArjSAflTAAAAAElFTkSuQmCC';
+
+// Keep the list reported back to callers readable
+const MAX_REPORTED_BLOCKED = 50;
+
+const EMPTY_POLICY = Object.freeze({
+  allowedDomains: [],
+  blockedDomains: [],
+  javaScript: true,
+  maxBytes: null,
+  placeholderImage: null
+});
+
+/**
+ * Parses RESOURCE_POLICIES once per isolate
+ */
+let cachedSource = null;
+let cachedPolicies = {};
+
+function loadPolicies(env) {
+  if (env.RESOURCE_POLICIES === cachedSource) {
+    return cachedPolicies;
+  }
+
+  cachedSource = env.RESOURCE_POLICIES;
+  try {
+    cachedPolicies = env.RESOURCE_POLICIES ? JSON.parse(env.RESOURCE_POLICIES) : {};
+  } catch (error) {
+    console.error('[resource-policy] RESOURCE_POLICIES is not valid JSON - no policy applied:', error.message);
+    cachedPolicies = {};
+  }
+  return cachedPolicies;
+}
+
+/**
+ * Normalizes a configured policy
+ * @param {Object} policy - Raw policy from RESOURCE_POLICIES
+ * @returns {Object} { allowedDomains, blockedDomains, javaScript, maxBytes, placeholderImage }
+ */
+function normalizePolicy(policy = {}) {
+  const domains = value => (Array.isArray(value) ? value.map(domain => String(domain).trim().toLowerCase()).filter(Boolean) : []);
+  const { allowedDomains, blockedDomains, javaScript, maxBytes, placeholderImage } = policy;
+
+  let placeholder = null;
+  if (placeholderImage === true) {
+    placeholder = { contentType: 'image/png', base64: DEFAULT_PLACEHOLDER_PNG };
+  } else if (typeof placeholderImage === 'string') {
+    const match = /^data:([^;,]+);base64,(.+)$/.exec(placeholderImage);
+    placeholder = match ? { contentType: match[1], base64: match[2] } : null;
+  }
+
+  return {
+    allowedDomains: domains(allowedDomains),
+    blockedDomains: domains(blockedDomains),
+    javaScript: javaScript !== false,
+    maxBytes: Number.isInteger(maxBytes) && maxBytes > 0 ? maxBytes : null,
+    placeholderImage: placeholder
+  };
+}
+
+/**
+ * Resolves the resource policy for a request from the key ID in its context
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @returns {Object} Normalized resource policy
+ */
+export function getResourcePolicy(request, env) {
+  const policies = loadPolicies(env);
+  const keyId = getRequestContext(request).key?.id;
+  const policy = (keyId && keyId !== 'default' && policies[keyId]) || policies.default;
+  return policy ? normalizePolicy(policy) : EMPTY_POLICY;
+}
+
+/**
+ * Checks whether a policy restricts anything (interception is skipped otherwise)
+ * @param {Object} policy - Normalized resource policy
+ * @returns {boolean} True if requests need to be intercepted
+ */
+export function hasResourceRestrictions(policy) {
+  return Boolean(
+    policy &&
+    (policy.allowedDomains.length > 0 || policy.blockedDomains.length > 0 || policy.maxBytes)
+  );
+}
+
+/**
+ * Matches a hostname against "example.com" (host and subdomains) or "*.example.com" (subdomains only)
+ */
+function matchesDomain(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern || hostname.endsWith(`.${pattern}`);
+}
+
+/**
+ * Checks a resource URL against the domain rules of a policy
+ * data: and blob: URLs never leave the browser and are always allowed
+ * @param {string} rawUrl - Requested URL
+ * @param {Object} policy - Normalized resource policy
+ * @returns {string|null} Reason the request is blocked, or null if allowed
+ */
+export function checkResource(rawUrl, policy) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (e) {
+    return null;
+  }
+
+  if (url.protocol === 'data:' || url.protocol === 'blob:' || url.protocol === 'about:') {
+    return null;
+  }
+
+  const hostname = url.hostname.toLowerCase();
+
+  if (policy.blockedDomains.some(pattern => matchesDomain(hostname, pattern))) {
+    return 'domain blocked by policy';
+  }
+
+  if (policy.allowedDomains.length > 0 && !policy.allowedDomains.some(pattern => matchesDomain(hostname, pattern))) {
+    return 'domain not in policy allow list';
+  }
+
+  return null;
+}
+
+/**
+ * Records a blocked request, keeping the reported list bounded
+ * @param {Array} blocked - List of blocked requests
+ * @param {Object} entry - { url, resourceType, reason }
+ */
+export function recordBlockedRequest(blocked, entry) {
+  if (blocked.length < MAX_REPORTED_BLOCKED) {
+    blocked.push({ ...entry, url: entry.url.length > 500 ? `${entry.url.slice(0, 500)}...` : entry.url });
+  }
+}
@@ -2,6 +2,10 @@
  * Response utility functions for consistent API responses
  */
 
+import { getMimeType } from './output-formats.js';
+import { toApiError } from './errors.js';
+import { getRequestId } from './request-context.js';
+
 const SECURITY_HEADERS = {
   'X-Content-Type-Options': 'nosniff',
   'X-Frame-Options': 'DENY',
@@ -11,8 +15,9 @@ const SECURITY_HEADERS = {
 
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Expose-Headers': 'X-Cache, ETag, X-Image-Width, X-Image-Height, X-Blocked-Requests, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After, X-Request-Id, Server-Timing, Allow',
   'Access-Control-Max-Age': '86400'
 };
 
@@ -20,9 +25,10 @@ const CORS_HEADERS = {
  * Creates a success JSON response
  * @param {any} data - Response data
  * @param {number} status - HTTP status code
+ * @param {Object} headers - Additional response headers (e.g. X-Cache)
  * @returns {Response} Response object
  */
-export function createSuccessResponse(data, status = 200) {
+export function createSuccessResponse(data, status = 200, headers = {}) {
   return new Response(JSON.stringify({
     success: true,
     data,
@@ -32,30 +38,37 @@ export function createSuccessResponse(data, status = 200) {
     headers: {
       'Content-Type': 'application/json',
       ...SECURITY_HEADERS,
-      ...CORS_HEADERS
+      ...CORS_HEADERS,
+      ...headers
     }
   });
 }
 
 /**
  * Creates an error JSON response
- * @param {string|Error} error - Error message or Error object
- * @param {number} status - HTTP status code
+ * The status comes from the error code (see errors.js) - untyped errors are INTERNAL_ERROR (500)
+ * @param {ApiError|Error|string} error - Typed error, or any other error or message
+ * @param {Object} headers - Additional response headers (e.g. Retry-After)
  * @returns {Response} Response object
  */
-export function createErrorResponse(error, status = 500) {
-  const errorMessage = error instanceof Error ? error.message : String(error);
-  
+export function createErrorResponse(error, headers = {}) {
+  const { message, code, status, details } = toApiError(error);
+  const requestId = getRequestId();
+
   return new Response(JSON.stringify({
     success: false,
-    error: errorMessage,
+    error: message,
+    code,
+    ...(details !== undefined && { details }),
+    ...(requestId && { requestId }),
     timestamp: new Date().toISOString()
   }), {
     status,
     headers: {
       'Content-Type': 'application/json',
       ...SECURITY_HEADERS,
-      ...CORS_HEADERS
+      ...CORS_HEADERS,
+      ...headers
     }
   });
 }
@@ -63,11 +76,12 @@ export function createErrorResponse(error, status = 500) {
 /**
  * Creates an image response
  * @param {ArrayBuffer} imageBuffer - Image data
- * @param {string} format - Image format (png, jpeg)
+ * @param {string} format - Output format (png, jpeg, webp, avif, pdf)
+ * @param {Object} headers - Additional response headers (e.g. Cache-Control, ETag)
  * @returns {Response} Response object
  */
-export function createImageResponse(imageBuffer, format = 'png') {
-  const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+export function createImageResponse(imageBuffer, format = 'png', headers = {}) {
+  const mimeType = getMimeType(format);
   
   return new Response(imageBuffer, {
     status: 200,
@@ -75,6 +89,24 @@ export function createImageResponse(imageBuffer, format = 'png') {
       'Content-Type': mimeType,
       'Cache-Control': 'public, max-age=3600',
       ...SECURITY_HEADERS,
+      ...CORS_HEADERS,
+      ...headers
+    }
+  });
+}
+
+/**
+ * Creates a plain JSON response, without the success envelope (e.g. the OpenAPI document)
+ * @param {any} body - JSON body
+ * @param {number} status - HTTP status code
+ * @returns {Response} Response object
+ */
+export function createJSONResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...SECURITY_HEADERS,
       ...CORS_HEADERS
     }
   });
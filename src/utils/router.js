@@ -0,0 +1,197 @@
+/**
+ * Request router
+ * Routes match by method and path pattern - ":name" segments become params:
+ *   router.add({ method: 'GET', path: '/templates/:id/versions/:version' }, requireTemplate, handler)
+ *
+ * Middleware has the signature (context, next) => Response and handlers (context) => Response,
+ * where context is { request, env, ctx, url, params, route } and route is the matched route
+ * definition (null if nothing matched). Global middleware (use) runs for every request,
+ * route middleware only for its route.
+ *
+ * Paths that exist with other methods answer 405 with an Allow header, HEAD is served
+ * by the GET route (which sees a GET request) without a body, and everything else is 404.
+ */
+
+import { createErrorResponse } from './response-utils.js';
+import { ApiError } from './errors.js';
+
+export class Router {
+  constructor() {
+    this.routes = [];
+    this.middleware = [];
+  }
+
+  /**
+   * Adds global middleware (runs in the order added, before routing)
+   * @param {Function} middleware - (context, next) => Promise<Response>
+   * @returns {Router} This router
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Adds a route
+   * @param {Object} definition - { method, path, ...metadata } - available to middleware as context.route
+   * @param {...Function} handlers - Route middleware followed by the handler
+   * @returns {Router} This router
+   */
+  add(definition, ...handlers) {
+    const { method, path } = definition;
+    if (handlers.length === 0 || !handlers.every(handler => typeof handler === 'function')) {
+      throw new Error(`Route ${method} ${path} needs a handler`);
+    }
+    this.routes.push({ definition, method: method.toUpperCase(), ...compilePath(path), handlers });
+    return this;
+  }
+
+  get(path, ...handlers) {
+    return this.add({ method: 'GET', path }, ...handlers);
+  }
+
+  post(path, ...handlers) {
+    return this.add({ method: 'POST', path }, ...handlers);
+  }
+
+  put(path, ...handlers) {
+    return this.add({ method: 'PUT', path }, ...handlers);
+  }
+
+  patch(path, ...handlers) {
+    return this.add({ method: 'PATCH', path }, ...handlers);
+  }
+
+  delete(path, ...handlers) {
+    return this.add({ method: 'DELETE', path }, ...handlers);
+  }
+
+  /**
+   * Finds the route of a request
+   * @param {string} method - Request method
+   * @param {string} pathname - Request path
+   * @returns {Object} { route, params, head } on a match, otherwise { allowed } - methods of the path (empty if unknown)
+   */
+  match(method, pathname) {
+    const allowed = new Set();
+    let getMatch = null;
+
+    for (const route of this.routes) {
+      const params = matchPath(route, pathname);
+      if (!params) {
+        continue;
+      }
+      if (route.method === method) {
+        return { route, params, head: false };
+      }
+      if (route.method === 'GET' && !getMatch) {
+        getMatch = { route, params };
+      }
+      allowed.add(route.method);
+    }
+
+    if (method === 'HEAD' && getMatch) {
+      return { ...getMatch, head: true };
+    }
+
+    if (allowed.has('GET')) {
+      allowed.add('HEAD');
+    }
+    if (allowed.size > 0) {
+      allowed.add('OPTIONS');
+    }
+    return { allowed: [...allowed] };
+  }
+
+  /**
+   * Handles a request: global middleware, then the route's middleware and handler
+   * @param {Request} incoming - Incoming request
+   * @param {Object} env - Environment bindings
+   * @param {Object} ctx - Execution context
+   * @returns {Promise<Response>} Response
+   */
+  async handle(incoming, env, ctx) {
+    const url = new URL(incoming.url);
+    const { route, params = {}, head = false, allowed = [] } = this.match(incoming.method, url.pathname);
+    const request = head ? new Request(incoming, { method: 'GET' }) : incoming;
+    const context = { request, env, ctx, url, params, route: route ? route.definition : null };
+
+    const dispatch = async () => {
+      try {
+        if (!route) {
+          return allowed.length > 0
+            ? createErrorResponse(
+              new ApiError('METHOD_NOT_ALLOWED', `${request.method} is not allowed on ${url.pathname}`, { allowed }),
+              { Allow: allowed.join(', ') }
+            )
+            : createErrorResponse(new ApiError('NOT_FOUND', 'Endpoint not found'));
+        }
+
+        const response = await runChain(route.handlers, context);
+        return head ? new Response(null, response) : response;
+      } catch (error) {
+        return handleError(error);
+      }
+    };
+
+    try {
+      return await runChain([...this.middleware, dispatch], context);
+    } catch (error) {
+      return handleError(error);
+    }
+  }
+}
+
+/**
+ * Unexpected errors keep their message only when they are typed (see errors.js)
+ */
+function handleError(error) {
+  console.error('Worker error:', error);
+  return createErrorResponse(error instanceof ApiError ? error : new ApiError('INTERNAL_ERROR', 'Internal server error'));
+}
+
+/**
+ * Calls handlers in order, each getting a next() that calls the one after it
+ */
+function runChain(handlers, context) {
+  const call = index => {
+    if (index >= handlers.length) {
+      throw new Error('next() called by the last handler of the chain');
+    }
+    return handlers[index](context, () => call(index + 1));
+  };
+  return call(0);
+}
+
+/**
+ * Compiles "/templates/:id/render" to a regular expression and param names
+ */
+function compilePath(path) {
+  const names = [];
+  const source = path.split('/').map(segment => {
+    if (segment.startsWith(':')) {
+      names.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+
+  return { pattern: new RegExp(`^${source}$`), names };
+}
+
+/**
+ * Matches a path against a route
+ * @returns {Object|null} Decoded params, or null if the path doesn't match (or has malformed escapes)
+ */
+function matchPath({ pattern, names }, pathname) {
+  const match = pattern.exec(pathname);
+  if (!match) {
+    return null;
+  }
+
+  try {
+    return Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Signed render URLs (GET /og/:templateId)
+ * The signature is an HMAC-SHA256 over the template ID and every query parameter,
+ * keyed with a signing key derived from the primary API key, so links can be
+ * fetched without auth but not forged or modified
+ */
+
+export const OG_ROUTE_PREFIX = '/og/';
+
+// Query parameters that are render options rather than template variables
+export const OG_RESERVED_PARAMS = ['version', 'width', 'height', 'format'];
+
+const SIGNATURE_PARAM = 'sig';
+const SIGNATURE_HEX_LENGTH = 32;
+const KEY_DERIVATION_LABEL = 'html-to-image-worker/og-url-signing/v1';
+
+/**
+ * Derives the URL signing key from the first key in API_KEYS
+ * Rotating that key invalidates every previously issued link
+ * @param {Object} env - Environment variables
+ * @returns {Promise<CryptoKey|null>} HMAC key, or null if no API keys are configured
+ */
+async function getSigningKey(env) {
+  const primaryKey = env.API_KEYS?.split(',').map(key => key.trim()).find(Boolean);
+  if (!primaryKey) {
+    return null;
+  }
+
+  const rootKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(primaryKey),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const derived = await crypto.subtle.sign('HMAC', rootKey, new TextEncoder().encode(KEY_DERIVATION_LABEL));
+
+  return crypto.subtle.importKey('raw', derived, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
+
+/**
+ * Builds the canonical string that is signed: template ID plus sorted query parameters
+ * @param {string} templateId - Stored template ID
+ * @param {URLSearchParams} params - Query parameters (sig is ignored)
+ * @returns {string} Canonical string
+ */
+function canonicalize(templateId, params) {
+  const entries = [...params.entries()]
+    .filter(([key]) => key !== SIGNATURE_PARAM)
+    .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)));
+  return `${templateId}\n${new URLSearchParams(entries).toString()}`;
+}
+
+/**
+ * Computes the signature for a template ID and its query parameters
+ * @param {CryptoKey} key - Signing key
+ * @param {string} templateId - Stored template ID
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Promise<string>} Truncated hex HMAC
+ */
+async function computeSignature(key, templateId, params) {
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(canonicalize(templateId, params)));
+  return [...new Uint8Array(signature)]
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+    .slice(0, SIGNATURE_HEX_LENGTH);
+}
+
+/**
+ * Compares two strings in constant time
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Creates a signed /og/:templateId URL
+ * @param {Object} env - Environment variables
+ * @param {string} origin - Worker origin (e.g. https://html-to-image-worker.example.workers.dev)
+ * @param {string} templateId - Stored template ID
+ * @param {Object} params - Template variables and reserved render options (string values)
+ * @returns {Promise<string|null>} Signed URL, or null if signing is not configured
+ */
+export async function createSignedOgUrl(env, origin, templateId, params) {
+  const key = await getSigningKey(env);
+  if (!key) {
+    return null;
+  }
+
+  const searchParams = new URLSearchParams(
+    Object.entries(params).sort(([a], [b]) => (a < b ? -1 : 1))
+  );
+  searchParams.set(SIGNATURE_PARAM, await computeSignature(key, templateId, searchParams));
+
+  return `${origin}${OG_ROUTE_PREFIX}${encodeURIComponent(templateId)}?${searchParams.toString()}`;
+}
+
+/**
+ * Verifies the signature of an /og/:templateId request
+ * @param {Object} env - Environment variables
+ * @param {string} templateId - Stored template ID from the path
+ * @param {URLSearchParams} params - Request query parameters
+ * @returns {Promise<boolean>} True if the sig parameter matches
+ */
+export async function verifyOgSignature(env, templateId, params) {
+  const provided = params.get(SIGNATURE_PARAM);
+  if (!provided) {
+    return false;
+  }
+
+  const key = await getSigningKey(env);
+  if (!key) {
+    return false;
+  }
+
+  return timingSafeEqual(provided, await computeSignature(key, templateId, params));
+}
@@ -0,0 +1,1149 @@
+/**
+ * Template engine
+ * A Handlebars/Mustache-compatible engine: templates are tokenized, parsed to an AST
+ * (cached by source) and rendered against the variables. The variable analysis used
+ * for validation (collectVariables) walks the same AST, so what a template requires
+ * and how it renders can't drift apart.
+ *
+ * Supported syntax: {{path.to.value}}, {{{raw}}} and {{& raw}}, comments, sections and
+ * inverted sections, block helpers with {{else}} and {{else if ...}}, subexpressions,
+ * hash arguments, block params (as |item index|), partials, whitespace control ({{~ ~}}),
+ * standalone lines and \{{ escapes. The README "Template Syntax" section lists the
+ * differences from Handlebars.
+ *
+ * Syntax errors, unknown helpers and missing partials throw TEMPLATE_INVALID with the
+ * line and column of the tag.
+ */
+
+import { ApiError } from './errors.js';
+
+export const MAX_PARTIAL_DEPTH = 10;
+export const MAX_OUTPUT_LENGTH = 10 * 1024 * 1024;
+
+// Nodes rendered per call - stops nested loops that produce little output but run forever
+const MAX_RENDER_STEPS = 1_000_000;
+const PARSE_CACHE_SIZE = 50;
+
+// Handlebars identifier characters (anything but whitespace and its punctuation)
+const ID_PATTERN = /[^\s!"#%-,./;->@[-^`{-~]+/y;
+const ID_CHAR = /[^\s!"#%-,./;->@[-^`{-~]/;
+const NUMBER_PATTERN = /-?\d+(?:\.\d+)?(?=[\s~})=]|$)/y;
+const KEYWORD_PATTERN = /(true|false|null|undefined)(?=[\s~})=]|$)/y;
+const HASH_KEY_PATTERN = /([^\s!"#%-,./;->@[-^`{-~]+)=/y;
+const BLOCK_PARAMS_PATTERN = /as\s+\|([^|]*)\|/y;
+const BLOCK_PARAMS_START = /as\s+\|/y;
+const ELSE_PATTERN = /else(?=[\s~}])/y;
+const PARTIAL_NAME_PATTERN = /[^\s~}()]+/y;
+
+// Built-in helpers that render their block with another context
+const CONTEXT_HELPERS = new Set(['each', 'with']);
+
+const parseCache = new Map();
+
+/**
+ * Helpers available to every template (see registerHelper)
+ * Helpers get their arguments followed by options: { name, hash, data, fn, inverse } -
+ * fn and inverse are only set for block helpers. Inline comparison helpers return a
+ * boolean, and select the block or its {{else}} when used as a block.
+ */
+const HELPERS = {
+  if(condition, options) {
+    requireArguments('#if', arguments, 1);
+    requireBlock('#if', options);
+    return isTruthy(condition) ? options.fn(this) : options.inverse(this);
+  },
+
+  unless(condition, options) {
+    requireArguments('#unless', arguments, 1);
+    requireBlock('#unless', options);
+    return isTruthy(condition) ? options.inverse(this) : options.fn(this);
+  },
+
+  each(collection, options) {
+    requireArguments('#each', arguments, 1);
+    requireBlock('#each', options);
+    return iterate(collection, options, this);
+  },
+
+  with(context, options) {
+    requireArguments('#with', arguments, 1);
+    requireBlock('#with', options);
+    return isTruthy(context) ? options.fn(context, { blockParams: [context] }) : options.inverse(this);
+  },
+
+  lookup(object, key) {
+    requireArguments('lookup', arguments, 2);
+    return hasOwn(object, key) ? object[key] : undefined;
+  },
+
+  eq: predicate('eq', 2, (a, b) => a === b),
+  ne: predicate('ne', 2, (a, b) => a !== b),
+  lt: predicate('lt', 2, (a, b) => a < b),
+  lte: predicate('lte', 2, (a, b) => a <= b),
+  gt: predicate('gt', 2, (a, b) => a > b),
+  gte: predicate('gte', 2, (a, b) => a >= b),
+  and: predicate('and', null, (...values) => values.length > 0 && values.every(isTruthy)),
+  or: predicate('or', null, (...values) => values.some(isTruthy)),
+  not: predicate('not', 1, value => !isTruthy(value))
+};
+
+/**
+ * Registers a helper for all templates
+ * @param {string} name - Helper name, as used in {{name ...}}
+ * @param {Function} helper - (...args, options) => value
+ */
+export function registerHelper(name, helper) {
+  if (!isIdentifier(name) || typeof helper !== 'function') {
+    throw new Error(`Invalid helper "${name}"`);
+  }
+  HELPERS[name] = helper;
+}
+
+/**
+ * Renders a template
+ * @param {string} source - Template source
+ * @param {Object} variables - Root context
+ * @param {Object} options - Render options
+ * @param {boolean} options.escape - HTML-escape {{value}} output (& < > " ' ` =); {{{value}}} is never escaped
+ * @param {Object} options.partials - Partial name to template source
+ * @param {Object} options.helpers - Extra helpers for this render
+ * @param {Object} options.data - Extra @data variables (e.g. { locale } for {{@locale}})
+ * @returns {string} Rendered output
+ */
+export function renderTemplate(source, variables = {}, options = {}) {
+  const { escape = false, partials = {}, helpers = {}, data = {} } = options;
+  const program = parseTemplate(source);
+
+  const env = {
+    escape,
+    partials,
+    helpers: { ...HELPERS, ...helpers },
+    partialStack: [],
+    steps: 0
+  };
+  const frame = {
+    stack: [variables],
+    data: Object.assign(Object.create(null), data, { root: variables }),
+    blockParams: []
+  };
+
+  return renderProgram(program, frame, env);
+}
+
+/**
+ * Lists the variables a template reads from its root context
+ * Names read inside blocks that change the context (each, with, sections) are not
+ * included, except through ../ paths that reach the root and @root.name.
+ * Partials are analyzed when their source is given.
+ * @param {string} source - Template source
+ * @param {Object} options - { partials, helpers } as for renderTemplate
+ * @returns {Array<string>} Root variable names in order of first use
+ */
+export function collectVariables(source, options = {}) {
+  const { partials = {}, helpers = {} } = options;
+  const names = new Set();
+  const partialStack = [];
+
+  const isHelper = (head, scope) => isSimpleId(head)
+    && !scope.blockParams.has(head.parts[0])
+    && (hasOwn(HELPERS, head.parts[0]) || hasOwn(helpers, head.parts[0]));
+
+  const collectPath = (path, scope) => {
+    const [first] = path.parts;
+    if (first === undefined) {
+      return;
+    }
+    if (path.data) {
+      if (first === 'root' && path.parts.length > 1) {
+        names.add(path.parts[1]);
+      }
+      return;
+    }
+    if (path.explicit || path.depth > 0) {
+      if (scope.depth - path.depth <= 0) {
+        names.add(first);
+      }
+      return;
+    }
+    if (!scope.blockParams.has(first) && scope.depth === 0) {
+      names.add(first);
+    }
+  };
+
+  const visitExpression = (expression, scope) => {
+    if (expression.type === 'path') {
+      collectPath(expression, scope);
+    } else if (expression.type === 'sexpr') {
+      visitArguments(expression, scope);
+    }
+  };
+
+  const visitArguments = (call, scope) => {
+    call.params.forEach(param => visitExpression(param, scope));
+    Object.values(call.hash).forEach(value => visitExpression(value, scope));
+  };
+
+  const visitCall = (call, scope) => {
+    if (!isHelper(call.head, scope)) {
+      visitExpression(call.head, scope);
+    }
+    visitArguments(call, scope);
+  };
+
+  const visit = (nodes, scope) => {
+    for (const node of nodes) {
+      if (node.type === 'mustache') {
+        visitCall(node.call, scope);
+      } else if (node.type === 'block') {
+        visitCall(node.call, scope);
+        const pushes = !isHelper(node.call.head, scope) || CONTEXT_HELPERS.has(node.call.head.parts[0]);
+        visit(node.program, {
+          depth: scope.depth + (pushes ? 1 : 0),
+          blockParams: node.blockParams.length > 0 ? new Set([...scope.blockParams, ...node.blockParams]) : scope.blockParams
+        });
+        if (node.inverse) {
+          visit(node.inverse, scope);
+        }
+      } else if (node.type === 'partial') {
+        visitPartial(node, scope);
+      }
+    }
+  };
+
+  const visitPartial = (node, scope) => {
+    if (node.name.type === 'sexpr') {
+      visitArguments(node.name, scope);
+    }
+    visitArguments(node, scope);
+
+    const name = node.name.value;
+    if (typeof name !== 'string' || !hasOwn(partials, name) || typeof partials[name] !== 'string'
+      || partialStack.includes(name) || partialStack.length >= MAX_PARTIAL_DEPTH) {
+      return;
+    }
+
+    const pushes = node.params.length > 0 || Object.keys(node.hash).length > 0;
+    partialStack.push(name);
+    visit(parseTemplate(partials[name], name), { ...scope, depth: scope.depth + (pushes ? 1 : 0) });
+    partialStack.pop();
+  };
+
+  visit(parseTemplate(source), { depth: 0, blockParams: new Set() });
+  return [...names];
+}
+
+/**
+ * Parses a template to its AST (a list of nodes), reusing cached parses
+ * @param {string} source - Template source
+ * @param {string} partialName - Name of the partial being parsed, for error messages
+ * @returns {Array<Object>} Program nodes
+ */
+export function parseTemplate(source, partialName) {
+  const cached = parseCache.get(source);
+  if (cached) {
+    parseCache.delete(source);
+    parseCache.set(source, cached);
+    return cached;
+  }
+
+  let program;
+  try {
+    program = buildProgram(stripWhitespace(tokenize(source)));
+  } catch (error) {
+    throw partialName && error instanceof ApiError ? inPartial(error, partialName) : error;
+  }
+
+  parseCache.set(source, program);
+  if (parseCache.size > PARSE_CACHE_SIZE) {
+    parseCache.delete(parseCache.keys().next().value);
+  }
+  return program;
+}
+
+/**
+ * Determines if a value is "truthy" in template context
+ * Stricter than Handlebars: whitespace-only strings and empty objects are falsy too
+ * @param {any} value - Value to evaluate
+ * @returns {boolean} Whether the value is truthy
+ */
+export function isTruthy(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (typeof value === 'number') return value !== 0;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.keys(value).length > 0;
+  return Boolean(value);
+}
+
+// --- Tokenizer ---
+
+/**
+ * Splits a template into text and tag tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  const lines = createLineCounter(source);
+  let text = '';
+  let pos = 0;
+
+  while (pos < source.length) {
+    const open = source.indexOf('{{', pos);
+    if (open === -1) {
+      text += source.slice(pos);
+      break;
+    }
+
+    // \{{ is a literal "{{", \\{{ a backslash followed by a tag
+    const escaped = open > pos && source[open - 1] === '\\';
+    const doubled = escaped && open - 1 > pos && source[open - 2] === '\\';
+    if (escaped && !doubled) {
+      text += source.slice(pos, open - 1) + '{{';
+      pos = open + 2;
+      continue;
+    }
+
+    text += source.slice(pos, doubled ? open - 1 : open);
+    if (text) {
+      tokens.push({ type: 'text', value: text });
+      text = '';
+    }
+
+    const tag = readTag({ source, pos: open, loc: lines.locate(open) });
+    tokens.push(tag);
+    pos = tag.end;
+  }
+
+  if (text) {
+    tokens.push({ type: 'text', value: text });
+  }
+  return tokens;
+}
+
+/**
+ * Reads one tag starting at state.pos ("{{")
+ */
+function readTag(state) {
+  const { source, loc } = state;
+  state.pos += 2;
+  const tag = { type: 'tag', loc, stripLeft: eat(state, '~') };
+
+  // Comments: {{! ... }} and {{!-- ... --}} (which may contain "}}")
+  if (source[state.pos] === '!') {
+    const long = source.startsWith('!--', state.pos);
+    const closing = long ? /--(~?)\}\}/g : /(~?)\}\}/g;
+    closing.lastIndex = state.pos + (long ? 3 : 1);
+    const match = closing.exec(source);
+    if (!match) {
+      throw syntaxError('Unclosed comment', loc);
+    }
+    return { ...tag, kind: 'comment', stripRight: match[1] === '~', end: match.index + match[0].length };
+  }
+
+  // {{{raw}}}
+  if (eat(state, '{')) {
+    const call = parseCall(state);
+    skipWhitespace(state);
+    expect(state, '}');
+    return finishTag(state, { ...tag, kind: 'mustache', escaped: false, call });
+  }
+
+  const sigil = source[state.pos];
+  skipWhitespace(state);
+
+  if (sigil === '&') {
+    state.pos++;
+    return finishTag(state, { ...tag, kind: 'mustache', escaped: false, call: parseCall(state) });
+  }
+
+  if (sigil === '#') {
+    state.pos++;
+    if (source[state.pos] === '>' || source[state.pos] === '*') {
+      throw syntaxError(`{{#${source[state.pos]}}} blocks are not supported`, loc);
+    }
+    return finishTag(state, { ...tag, kind: 'open', inverted: false, ...parseBlockOpen(state) });
+  }
+
+  if (sigil === '^') {
+    state.pos++;
+    skipWhitespace(state);
+    // {{^}} is {{else}}
+    if (atTagEnd(state)) {
+      return finishTag(state, { ...tag, kind: 'else', call: null, blockParams: [] });
+    }
+    return finishTag(state, { ...tag, kind: 'open', inverted: true, ...parseBlockOpen(state) });
+  }
+
+  if (sigil === '/') {
+    state.pos++;
+    skipWhitespace(state);
+    return finishTag(state, { ...tag, kind: 'close', path: parsePath(state) });
+  }
+
+  if (sigil === '>') {
+    state.pos++;
+    skipWhitespace(state);
+    const name = parsePartialName(state);
+    return finishTag(state, { ...tag, kind: 'partial', name, ...parseArguments(state) });
+  }
+
+  ELSE_PATTERN.lastIndex = state.pos;
+  if (ELSE_PATTERN.test(source)) {
+    state.pos = ELSE_PATTERN.lastIndex;
+    skipWhitespace(state);
+    // {{else if condition}} chains another block helper into the inverse
+    if (atTagEnd(state)) {
+      return finishTag(state, { ...tag, kind: 'else', call: null, blockParams: [] });
+    }
+    return finishTag(state, { ...tag, kind: 'else', ...parseBlockOpen(state) });
+  }
+
+  return finishTag(state, { ...tag, kind: 'mustache', escaped: true, call: parseCall(state) });
+}
+
+/**
+ * Reads the closing "}}" (or "~}}") of a tag
+ */
+function finishTag(state, tag) {
+  skipWhitespace(state);
+  tag.stripRight = eat(state, '~');
+  expect(state, '}}');
+  tag.end = state.pos;
+  return tag;
+}
+
+function parseBlockOpen(state) {
+  const call = parseCall(state);
+  let blockParams = [];
+
+  skipWhitespace(state);
+  BLOCK_PARAMS_PATTERN.lastIndex = state.pos;
+  const match = BLOCK_PARAMS_PATTERN.exec(state.source);
+  if (match) {
+    blockParams = match[1].trim().split(/\s+/).filter(Boolean);
+    if (blockParams.length === 0 || !blockParams.every(isIdentifier)) {
+      throw syntaxError('Invalid block params', state.loc);
+    }
+    state.pos = BLOCK_PARAMS_PATTERN.lastIndex;
+  }
+
+  return { call, blockParams };
+}
+
+/**
+ * Reads "head param... key=value..." - the head is a path, literal or subexpression
+ */
+function parseCall(state) {
+  skipWhitespace(state);
+  const head = parseParam(state);
+  return { head, ...parseArguments(state) };
+}
+
+function parseArguments(state) {
+  const params = [];
+  const hash = {};
+
+  for (;;) {
+    const before = state.pos;
+    skipWhitespace(state);
+    const { source, pos } = state;
+    BLOCK_PARAMS_START.lastIndex = pos;
+    if (atTagEnd(state) || source[pos] === ')' || source[pos] === '}' || BLOCK_PARAMS_START.test(source) || pos >= source.length) {
+      break;
+    }
+    if (state.pos === before) {
+      throw syntaxError(`Unexpected "${source[pos]}"`, state.loc);
+    }
+
+    HASH_KEY_PATTERN.lastIndex = pos;
+    const key = HASH_KEY_PATTERN.exec(source);
+    if (key) {
+      state.pos = HASH_KEY_PATTERN.lastIndex;
+      hash[key[1]] = parseParam(state);
+    } else if (Object.keys(hash).length > 0) {
+      throw syntaxError('Positional arguments must come before key=value arguments', state.loc);
+    } else {
+      params.push(parseParam(state));
+    }
+  }
+
+  return { params, hash };
+}
+
+function parseParam(state) {
+  const start = state.pos;
+  const param = readParam(state);
+  param.original ??= state.source.slice(start, state.pos);
+  return param;
+}
+
+function readParam(state) {
+  const { source } = state;
+  const char = source[state.pos];
+
+  if (char === '(') {
+    state.pos++;
+    const call = parseCall(state);
+    skipWhitespace(state);
+    expect(state, ')');
+    return { type: 'sexpr', ...call };
+  }
+
+  if (char === '"' || char === "'") {
+    let value = '';
+    let pos = state.pos + 1;
+    while (pos < source.length && source[pos] !== char) {
+      if (source[pos] === '\\' && source[pos + 1] === char) {
+        pos++;
+      }
+      value += source[pos++];
+    }
+    if (pos >= source.length) {
+      throw syntaxError('Unclosed string', state.loc);
+    }
+    state.pos = pos + 1;
+    return { type: 'literal', value };
+  }
+
+  NUMBER_PATTERN.lastIndex = state.pos;
+  const number = NUMBER_PATTERN.exec(source);
+  if (number) {
+    state.pos = NUMBER_PATTERN.lastIndex;
+    return { type: 'literal', value: Number(number[0]) };
+  }
+
+  KEYWORD_PATTERN.lastIndex = state.pos;
+  const keyword = KEYWORD_PATTERN.exec(source);
+  if (keyword) {
+    state.pos = KEYWORD_PATTERN.lastIndex;
+    return { type: 'literal', value: { true: true, false: false, null: null, undefined }[keyword[1]] };
+  }
+
+  return parsePath(state);
+}
+
+/**
+ * Reads a path: name, a.b, a/b, this, ., ./a, ../a, [any key], @index, @root.a
+ */
+function parsePath(state) {
+  const { source } = state;
+  const start = state.pos;
+  const data = eat(state, '@');
+  const segments = [];
+
+  for (;;) {
+    if (source.startsWith('..', state.pos)) {
+      segments.push({ kind: '..' });
+      state.pos += 2;
+    } else if (source[state.pos] === '.') {
+      segments.push({ kind: '.' });
+      state.pos++;
+    } else if (source[state.pos] === '[') {
+      const close = source.indexOf(']', state.pos);
+      if (close === -1) {
+        throw syntaxError('Unclosed [', state.loc);
+      }
+      segments.push({ kind: 'name', value: source.slice(state.pos + 1, close), literal: true });
+      state.pos = close + 1;
+    } else {
+      ID_PATTERN.lastIndex = state.pos;
+      const match = ID_PATTERN.exec(source);
+      if (!match) {
+        throw syntaxError(
+          state.pos >= source.length ? 'Unclosed tag' : `Expected a name, found "${source[state.pos]}"`,
+          state.loc
+        );
+      }
+      segments.push({ kind: 'name', value: match[0] });
+      state.pos = ID_PATTERN.lastIndex;
+    }
+
+    const separator = source[state.pos];
+    const next = source[state.pos + 1];
+    if ((separator === '.' || separator === '/') && next !== undefined && (ID_CHAR.test(next) || next === '[' || next === '.')) {
+      state.pos++;
+    } else {
+      break;
+    }
+  }
+
+  const original = source.slice(start, state.pos);
+  const path = { type: 'path', data, depth: 0, explicit: false, parts: [], original };
+
+  for (const segment of segments) {
+    const leading = path.parts.length === 0;
+    if (segment.kind === '..' && leading && !path.explicit && !data) {
+      path.depth++;
+    } else if ((segment.kind === '.' || (segment.kind === 'name' && segment.value === 'this' && !segment.literal)) && leading && !data) {
+      path.explicit = true;
+    } else if (segment.kind === 'name' && (segment.literal || segment.value !== 'this')) {
+      path.parts.push(segment.value);
+    } else {
+      throw syntaxError(`Invalid path "${original}"`, state.loc);
+    }
+  }
+
+  if (data && path.parts.length === 0) {
+    throw syntaxError(`Invalid path "${original}"`, state.loc);
+  }
+  return path;
+}
+
+/**
+ * Partial name: a bare name, a string literal or a subexpression (dynamic partial)
+ */
+function parsePartialName(state) {
+  const char = state.source[state.pos];
+  if (char === '(' || char === '"' || char === "'") {
+    return parseParam(state);
+  }
+
+  PARTIAL_NAME_PATTERN.lastIndex = state.pos;
+  const match = PARTIAL_NAME_PATTERN.exec(state.source);
+  if (!match) {
+    throw syntaxError('Expected a partial name', state.loc);
+  }
+  state.pos = PARTIAL_NAME_PATTERN.lastIndex;
+  return { type: 'literal', value: match[0] };
+}
+
+function skipWhitespace(state) {
+  while (state.pos < state.source.length && /\s/.test(state.source[state.pos])) {
+    state.pos++;
+  }
+}
+
+function eat(state, text) {
+  if (state.source.startsWith(text, state.pos)) {
+    state.pos += text.length;
+    return true;
+  }
+  return false;
+}
+
+function expect(state, text) {
+  if (!eat(state, text)) {
+    const found = state.source[state.pos];
+    throw syntaxError(found === undefined ? `Unclosed tag, expected "${text}"` : `Expected "${text}", found "${found}"`, state.loc);
+  }
+}
+
+function atTagEnd(state) {
+  return state.source.startsWith('}}', state.pos) || state.source.startsWith('~}}', state.pos);
+}
+
+/**
+ * Line and column of offsets, for offsets in increasing order
+ */
+function createLineCounter(source) {
+  let line = 1;
+  let lineStart = 0;
+  let scanned = 0;
+
+  return {
+    locate(offset) {
+      for (; scanned < offset; scanned++) {
+        if (source[scanned] === '\n') {
+          line++;
+          lineStart = scanned + 1;
+        }
+      }
+      return { line, column: offset - lineStart + 1 };
+    }
+  };
+}
+
+// --- Whitespace ---
+
+/**
+ * Removes the lines of standalone block, else, close, comment and partial tags
+ * (as Mustache does), then applies {{~ and ~}} stripping
+ */
+function stripWhitespace(tokens) {
+  const isLineStart = index => {
+    const previous = tokens[index - 1];
+    if (!previous) {
+      return true;
+    }
+    return previous.type === 'text'
+      && (/\n[ \t]*$/.test(previous.value) || (index === 1 && /^[ \t]*$/.test(previous.value)));
+  };
+  const isLineEnd = index => {
+    const next = tokens[index + 1];
+    if (!next) {
+      return true;
+    }
+    return next.type === 'text'
+      && (/^[ \t]*\r?\n/.test(next.value) || (index === tokens.length - 2 && /^[ \t]*$/.test(next.value)));
+  };
+
+  const standalone = tokens.map((token, index) => token.type === 'tag'
+    && token.kind !== 'mustache'
+    && isLineStart(index)
+    && isLineEnd(index));
+
+  tokens.forEach((token, index) => {
+    if (!standalone[index]) {
+      return;
+    }
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    if (previous) {
+      const indent = previous.value.match(/[ \t]*$/)[0];
+      if (token.kind === 'partial') {
+        token.indent = indent;
+      }
+      previous.value = previous.value.slice(0, previous.value.length - indent.length);
+    }
+    if (next) {
+      next.value = next.value.replace(/^[ \t]*(\r?\n)?/, '');
+    }
+  });
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'tag') {
+      return;
+    }
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    if (token.stripLeft && previous?.type === 'text') {
+      previous.value = previous.value.replace(/\s+$/, '');
+    }
+    if (token.stripRight && next?.type === 'text') {
+      next.value = next.value.replace(/^\s+/, '');
+    }
+  });
+
+  return tokens;
+}
+
+// --- Parser ---
+
+/**
+ * Builds the AST from tokens, matching blocks with their {{else}} and close tags
+ * Nodes: text { value }, mustache { call, escaped }, block { call, blockParams, program, inverse },
+ * partial { name, params, hash, indent }
+ */
+function buildProgram(tokens) {
+  const program = [];
+  const open = [];
+  let current = program;
+
+  for (const token of tokens) {
+    if (token.type === 'text') {
+      if (token.value) {
+        current.push({ type: 'text', value: token.value });
+      }
+      continue;
+    }
+
+    switch (token.kind) {
+      case 'comment':
+        break;
+
+      case 'mustache':
+        current.push({ type: 'mustache', call: token.call, escaped: token.escaped, loc: token.loc });
+        break;
+
+      case 'partial':
+        current.push({ type: 'partial', name: token.name, params: token.params, hash: token.hash, indent: token.indent || '', loc: token.loc });
+        if (token.params.length > 1) {
+          throw syntaxError('Partials take at most one context argument', token.loc);
+        }
+        break;
+
+      case 'open': {
+        const node = createBlock(token);
+        current.push(node);
+        open.push({ node, parent: current, chained: false });
+        current = node.program;
+        break;
+      }
+
+      case 'else': {
+        const block = open.at(-1);
+        if (!block) {
+          throw syntaxError('{{else}} outside of a block', token.loc);
+        }
+        if (block.node.inverse) {
+          throw syntaxError(`Second {{else}} in {{#${block.node.call.head.original}}}`, token.loc);
+        }
+        block.node.inverse = [];
+        if (token.call) {
+          const chained = createBlock(token);
+          block.node.inverse.push(chained);
+          open.push({ node: chained, parent: block.node.inverse, chained: true });
+          current = chained.program;
+        } else {
+          current = block.node.inverse;
+        }
+        break;
+      }
+
+      case 'close': {
+        while (open.at(-1)?.chained) {
+          open.pop();
+        }
+        const block = open.pop();
+        if (!block) {
+          throw syntaxError(`Unexpected {{/${token.path.original}}}`, token.loc);
+        }
+        const name = block.node.call.head.original;
+        if (name !== token.path.original) {
+          throw syntaxError(`{{/${token.path.original}}} doesn't match {{#${name}}}`, token.loc);
+        }
+        // {{^name}}A{{else}}B{{/name}} is {{#name}}B{{else}}A{{/name}}
+        if (block.node.inverted) {
+          [block.node.program, block.node.inverse] = [block.node.inverse || [], block.node.program];
+        }
+        current = block.parent;
+        break;
+      }
+    }
+  }
+
+  const unclosed = open.filter(block => !block.chained).pop();
+  if (unclosed) {
+    throw syntaxError(`Missing {{/${unclosed.node.call.head.original}}}`, unclosed.node.loc);
+  }
+  return program;
+}
+
+function createBlock(token) {
+  return {
+    type: 'block',
+    call: token.call,
+    blockParams: token.blockParams,
+    inverted: Boolean(token.inverted),
+    program: [],
+    inverse: null,
+    loc: token.loc
+  };
+}
+
+// --- Renderer ---
+
+function renderProgram(nodes, frame, env) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (++env.steps > MAX_RENDER_STEPS) {
+      throw templateError(`Template needs more than ${MAX_RENDER_STEPS} steps to render`, node.loc, env);
+    }
+
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'mustache': {
+        const value = evaluateCall(node.call, frame, env, node.loc, null);
+        output += toOutput(value, node.escaped && env.escape);
+        break;
+      }
+      case 'block':
+        output += toOutput(evaluateCall(node.call, frame, env, node.loc, node), false);
+        break;
+      case 'partial':
+        output += renderPartial(node, frame, env);
+        break;
+    }
+
+    if (output.length > MAX_OUTPUT_LENGTH) {
+      throw new ApiError('PAYLOAD_TOO_LARGE', `Rendered template is larger than ${MAX_OUTPUT_LENGTH} characters`);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Evaluates a mustache or block: a helper call, or a value (sections for blocks)
+ */
+function evaluateCall(call, frame, env, loc, block) {
+  const { head, params, hash } = call;
+  const helper = findHelper(head, frame, env);
+
+  if (helper) {
+    return invokeHelper(helper, head.original, call, frame, env, loc, block);
+  }
+  if (params.length > 0 || Object.keys(hash).length > 0) {
+    throw templateError(`Unknown helper "${head.original}"`, loc, env);
+  }
+
+  const value = evaluate(head, frame, env, loc);
+  return block ? renderSection(value, block, frame, env) : value;
+}
+
+function evaluate(expression, frame, env, loc) {
+  switch (expression.type) {
+    case 'literal':
+      return expression.value;
+    case 'sexpr': {
+      const helper = findHelper(expression.head, frame, env);
+      if (!helper) {
+        throw templateError(`Unknown helper "${expression.head.original}"`, loc, env);
+      }
+      return invokeHelper(helper, expression.head.original, expression, frame, env, loc, null);
+    }
+    default:
+      return lookupPath(expression, frame);
+  }
+}
+
+function findHelper(head, frame, env) {
+  if (!isSimpleId(head)) {
+    return null;
+  }
+  const [name] = head.parts;
+  if (frame.blockParams.some(params => hasOwn(params, name))) {
+    return null;
+  }
+  return hasOwn(env.helpers, name) ? env.helpers[name] : null;
+}
+
+function invokeHelper(helper, name, call, frame, env, loc, block) {
+  const args = call.params.map(param => evaluate(param, frame, env, loc));
+  const hash = Object.fromEntries(Object.entries(call.hash).map(([key, value]) => [key, evaluate(value, frame, env, loc)]));
+  const context = frame.stack.at(-1);
+  const options = { name, hash, data: frame.data, loc };
+
+  if (block) {
+    options.fn = (blockContext, blockOptions) => renderProgram(block.program, enterBlock(frame, block, blockContext, blockOptions), env);
+    options.inverse = (blockContext, blockOptions) => block.inverse
+      ? renderProgram(block.inverse, enterBlock(frame, block, blockContext, blockOptions), env)
+      : '';
+  }
+
+  try {
+    return helper.call(context, ...args, options);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw templateError(`Helper "${name}" failed: ${error.message}`, loc, env);
+  }
+}
+
+/**
+ * Mustache sections ({{#name}} without a helper): true renders the block in the same
+ * context, arrays iterate, other truthy values become the context, falsy values and
+ * empty arrays render the inverse
+ */
+function renderSection(value, block, frame, env) {
+  const context = frame.stack.at(-1);
+  const fn = (blockContext, blockOptions) => renderProgram(block.program, enterBlock(frame, block, blockContext, blockOptions), env);
+  const inverse = blockContext => block.inverse ? renderProgram(block.inverse, enterBlock(frame, block, blockContext), env) : '';
+
+  if (value === true) {
+    return fn(context);
+  }
+  if (Array.isArray(value)) {
+    return iterate(value, { fn, inverse, data: frame.data }, context);
+  }
+  return isTruthy(value) ? fn(value, { blockParams: [value] }) : inverse(context);
+}
+
+/**
+ * Renders a block once per array item or object entry, with @index, @key, @number,
+ * @first and @last
+ */
+function iterate(collection, options, context) {
+  let entries = [];
+  if (Array.isArray(collection)) {
+    entries = collection.map((value, index) => [index, value]);
+  } else if (collection !== null && typeof collection === 'object') {
+    entries = Object.entries(collection);
+  }
+
+  if (entries.length === 0) {
+    return options.inverse(context);
+  }
+
+  return entries.map(([key, value], index) => options.fn(value, {
+    data: Object.assign(Object.create(options.data), {
+      key,
+      index,
+      number: index + 1,
+      first: index === 0,
+      last: index === entries.length - 1
+    }),
+    blockParams: [value, key]
+  })).join('');
+}
+
+/**
+ * Frame for a block's program - the context is only pushed when it changes, so ../
+ * skips blocks like {{#if}} that keep the context (as in Handlebars)
+ */
+function enterBlock(frame, block, context = frame.stack.at(-1), { data, blockParams } = {}) {
+  const params = block.blockParams.length > 0 && blockParams
+    ? Object.fromEntries(block.blockParams.map((name, index) => [name, blockParams[index]]))
+    : null;
+
+  return {
+    stack: context === frame.stack.at(-1) ? frame.stack : [...frame.stack, context],
+    data: data || frame.data,
+    blockParams: params ? [...frame.blockParams, params] : frame.blockParams
+  };
+}
+
+function renderPartial(node, frame, env) {
+  const name = String(evaluate(node.name, frame, env, node.loc));
+  if (!hasOwn(env.partials, name) || typeof env.partials[name] !== 'string') {
+    throw templateError(`Partial "${name}" not found`, node.loc, env);
+  }
+  if (env.partialStack.length >= MAX_PARTIAL_DEPTH) {
+    throw templateError(`Partials are nested more than ${MAX_PARTIAL_DEPTH} levels deep`, node.loc, env);
+  }
+
+  let context = node.params.length > 0 ? evaluate(node.params[0], frame, env, node.loc) : frame.stack.at(-1);
+  if (Object.keys(node.hash).length > 0) {
+    const hash = Object.fromEntries(Object.entries(node.hash).map(([key, value]) => [key, evaluate(value, frame, env, node.loc)]));
+    context = { ...(context !== null && typeof context === 'object' ? context : {}), ...hash };
+  }
+
+  const program = parseTemplate(env.partials[name], name);
+  env.partialStack.push(name);
+  const output = renderProgram(program, enterBlock(frame, { blockParams: [] }, context), env);
+  env.partialStack.pop();
+
+  return node.indent ? indentLines(output, node.indent) : output;
+}
+
+/**
+ * Indents every line of a standalone partial like its tag (a trailing newline adds no line)
+ */
+function indentLines(output, indent) {
+  return output.replace(/^(?=[\s\S])/gm, indent);
+}
+
+/**
+ * Resolves a path against block params, the context stack and @data
+ * Plain names are looked up from the innermost context outwards, so blocks can read
+ * their parents' variables; this, ./ and ../ paths only look at the context they name.
+ * Only own properties are read.
+ */
+function lookupPath(path, frame) {
+  const [first, ...rest] = path.parts;
+
+  if (path.data) {
+    return resolveParts(frame.data[first], rest);
+  }
+
+  if (path.explicit || path.depth > 0) {
+    const index = frame.stack.length - 1 - path.depth;
+    return index < 0 ? undefined : resolveParts(frame.stack[index], path.parts);
+  }
+
+  for (let i = frame.blockParams.length - 1; i >= 0; i--) {
+    if (hasOwn(frame.blockParams[i], first)) {
+      return resolveParts(frame.blockParams[i][first], rest);
+    }
+  }
+  for (let i = frame.stack.length - 1; i >= 0; i--) {
+    if (hasOwn(frame.stack[i], first)) {
+      return resolveParts(frame.stack[i][first], rest);
+    }
+  }
+  return undefined;
+}
+
+function resolveParts(value, parts) {
+  let current = value;
+  for (const part of parts) {
+    if (!hasOwn(current, part)) {
+      return undefined;
+    }
+    current = current[part];
+  }
+  return current;
+}
+
+function toOutput(value, escape) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const string = String(value);
+  return escape ? escapeHtml(string) : string;
+}
+
+// Same set as Handlebars, so values are also safe inside quoted and unquoted attributes
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#x27;',
+  '`': '&#x60;',
+  '=': '&#x3D;'
+};
+
+/**
+ * HTML-escapes a string the way {{value}} output is escaped
+ * @param {string} string - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(string) {
+  return string.replace(/[&<>"'`=]/g, char => HTML_ESCAPES[char]);
+}
+
+// --- Helper utilities ---
+
+function predicate(name, arity, test) {
+  return function (...args) {
+    const options = args.pop();
+    if (arity !== null && args.length !== arity) {
+      throw new Error(`${name} needs ${arity} argument${arity === 1 ? '' : 's'}`);
+    }
+    const result = test(...args);
+    if (!options.fn) {
+      return result;
+    }
+    return result ? options.fn(this) : options.inverse(this);
+  };
+}
+
+function requireArguments(name, args, count) {
+  if (args.length - 1 !== count) {
+    throw new Error(`${name} needs ${count} argument${count === 1 ? '' : 's'}`);
+  }
+}
+
+function requireBlock(name, options) {
+  if (!options.fn) {
+    throw new Error(`${name} must be used as a block ({{${name} ...}}...{{/${name.slice(1)}}})`);
+  }
+}
+
+function hasOwn(object, key) {
+  return object !== null && object !== undefined && Object.hasOwn(object, key);
+}
+
+function isSimpleId(head) {
+  return head.type === 'path' && !head.data && !head.explicit && head.depth === 0 && head.parts.length === 1;
+}
+
+function isIdentifier(name) {
+  ID_PATTERN.lastIndex = 0;
+  const match = typeof name === 'string' && ID_PATTERN.exec(name);
+  return Boolean(match) && match[0] === name;
+}
+
+// --- Errors ---
+
+function syntaxError(message, loc) {
+  return new ApiError('TEMPLATE_INVALID', `${message} at line ${loc.line}, column ${loc.column}`, { ...loc });
+}
+
+function templateError(message, loc, env) {
+  const error = syntaxError(message, loc || { line: 1, column: 1 });
+  const partial = env.partialStack.at(-1);
+  return partial ? inPartial(error, partial) : error;
+}
+
+function inPartial(error, partial) {
+  if (error.details?.partial) {
+    return error;
+  }
+  return new ApiError(error.code, `${error.message} of partial "${partial}"`, { ...error.details, partial });
+}
@@ -0,0 +1,355 @@
+/**
+ * Formatting helpers for templates
+ * Numbers, currency, dates, lists, plurals and text, formatted with Intl in the
+ * render's locale and time zone (the request's "locale" and "timezone", available
+ * to helpers as @locale and @timezone). Every helper also takes locale="..." and
+ * timezone="..." to override them for one call:
+ *   {{formatCurrency total "CZK"}}  {{formatDate issued "d. M. yyyy"}}  {{truncate text 140}}
+ *
+ * Missing values (null/undefined) format as empty text; values that can't be
+ * formatted (e.g. "abc" for a number) are errors.
+ */
+
+export const DEFAULT_LOCALE = 'en-US';
+export const DEFAULT_TIMEZONE = 'UTC';
+
+// Named formats for formatDate
+const DATE_PRESETS = {
+  short: { dateStyle: 'short' },
+  medium: { dateStyle: 'medium' },
+  long: { dateStyle: 'long' },
+  full: { dateStyle: 'full' },
+  time: { timeStyle: 'short' },
+  datetime: { dateStyle: 'medium', timeStyle: 'short' }
+};
+
+// Pattern tokens for formatDate (Unicode/date-fns style) - 'quoted' text is literal
+const DATE_TOKEN_PATTERN = /'([^']*)'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|m|ss|s|a/g;
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+const MAX_CACHED_FORMATTERS = 100;
+const formatters = new Map();
+
+export const FORMAT_HELPERS = {
+  /**
+   * {{formatNumber value}}, {{formatNumber value 2}} (fraction digits), {{formatNumber views notation="compact"}}
+   */
+  formatNumber(...args) {
+    const [value, decimals, options] = splitArguments(args);
+    if (isMissing(value)) {
+      return '';
+    }
+    const { notation = 'standard' } = options.hash;
+    return getNumberFormat(getLocale(options), { notation, ...fractionDigits(decimals ?? options.hash.decimals) })
+      .format(toNumber(value));
+  },
+
+  /**
+   * {{formatCurrency value "EUR"}}, {{formatCurrency value "USD" display="code" decimals=0}}
+   */
+  formatCurrency(...args) {
+    const [value, currency, options] = splitArguments(args);
+    if (isMissing(value)) {
+      return '';
+    }
+    if (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency)) {
+      throw new Error('formatCurrency needs an ISO 4217 currency code, e.g. "EUR"');
+    }
+    const { display = 'symbol', decimals } = options.hash;
+    return getNumberFormat(getLocale(options), {
+      style: 'currency',
+      currency: currency.toUpperCase(),
+      currencyDisplay: display,
+      ...fractionDigits(decimals)
+    }).format(toNumber(value));
+  },
+
+  /**
+   * {{formatPercent 0.256}} => 26 %, {{formatPercent ratio 1}}
+   */
+  formatPercent(...args) {
+    const [value, decimals, options] = splitArguments(args);
+    if (isMissing(value)) {
+      return '';
+    }
+    return getNumberFormat(getLocale(options), { style: 'percent', ...fractionDigits(decimals ?? options.hash.decimals ?? 0) })
+      .format(toNumber(value));
+  },
+
+  /**
+   * {{formatDate issued}} (medium), {{formatDate issued "long"}}, {{formatDate issued "d. MMMM yyyy HH:mm"}}
+   * Presets: short, medium, long, full, time, datetime. Pattern tokens: yyyy yy, MMMM MMM MM M,
+   * dd d, EEEE EEE, HH H, hh h, mm m, ss s, a (AM/PM) and 'literal text'.
+   */
+  formatDate(...args) {
+    const [value, format, options] = splitArguments(args);
+    if (isMissing(value)) {
+      return '';
+    }
+    const date = toDate(value);
+    const locale = getLocale(options);
+    const timeZone = getTimeZone(options);
+    const pattern = format ?? 'medium';
+
+    if (typeof pattern !== 'string') {
+      throw new Error('formatDate format must be a preset or a pattern string');
+    }
+    if (pattern === 'iso') {
+      return date.toISOString();
+    }
+    if (Object.hasOwn(DATE_PRESETS, pattern)) {
+      return getDateFormat(locale, { timeZone, ...DATE_PRESETS[pattern] }).format(date);
+    }
+    return formatDatePattern(date, pattern, locale, timeZone);
+  },
+
+  /**
+   * {{formatList names}} => "a, b, and c", {{formatList options type="disjunction"}} => "a, b, or c"
+   */
+  formatList(...args) {
+    const [value, options] = splitArguments(args, 1);
+    if (isMissing(value)) {
+      return '';
+    }
+    if (!Array.isArray(value)) {
+      throw new Error('formatList needs an array');
+    }
+    const { type = 'conjunction', style = 'long' } = options.hash;
+    return getFormatter(Intl.ListFormat, getLocale(options), { type, style }).format(value.map(String));
+  },
+
+  /**
+   * {{pluralize count "item" "items"}}, or by plural category of the locale:
+   * {{pluralize count one="# soubor" few="# soubory" other="# souborů"}} - "#" is the formatted count,
+   * zero="..." is used for 0 in any locale
+   */
+  pluralize(...args) {
+    const [count, singular, plural, options] = splitArguments(args, 3);
+    if (isMissing(count)) {
+      return '';
+    }
+    const number = toNumber(count);
+    const locale = getLocale(options);
+    const forms = { ...options.hash };
+    if (singular !== undefined) {
+      forms.one ??= singular;
+      forms.other ??= plural ?? singular;
+    }
+
+    const category = getFormatter(Intl.PluralRules, locale, {}).select(number);
+    const form = number === 0 && forms.zero !== undefined ? forms.zero : forms[category] ?? forms.other;
+    if (form === undefined) {
+      throw new Error(`pluralize needs forms for ${PLURAL_CATEGORIES.filter(name => name !== 'zero').join(', ')} or a singular and plural`);
+    }
+    return String(form).replace(/#/g, getNumberFormat(locale, {}).format(number));
+  },
+
+  /**
+   * Text helpers format their argument, or the current value inside {{#each}}: {{uppercase}}
+   */
+  uppercase(...args) {
+    const [value, options] = textArguments(this, args);
+    return value === null ? '' : value.toLocaleUpperCase(getLocale(options));
+  },
+
+  lowercase(...args) {
+    const [value, options] = textArguments(this, args);
+    return value === null ? '' : value.toLocaleLowerCase(getLocale(options));
+  },
+
+  capitalize(...args) {
+    const [value, options] = textArguments(this, args);
+    if (value === null) {
+      return '';
+    }
+    const [first = ''] = value;
+    return first.toLocaleUpperCase(getLocale(options)) + value.slice(first.length);
+  },
+
+  /**
+   * {{truncate text 140}} - at most 140 characters including the "…" suffix ({{truncate text 140 suffix="..."}})
+   */
+  truncate(...args) {
+    const [value, length, options] = splitArguments(args, 2);
+    if (isMissing(value)) {
+      return '';
+    }
+    if (!Number.isInteger(length) || length < 1) {
+      throw new Error('truncate needs a positive length');
+    }
+    const { suffix = '…' } = options.hash;
+    const characters = [...getFormatter(Intl.Segmenter, getLocale(options), { granularity: 'grapheme' }).segment(String(value))]
+      .map(({ segment }) => segment);
+    if (characters.length <= length) {
+      return String(value);
+    }
+    const kept = Math.max(length - [...String(suffix)].length, 0);
+    return characters.slice(0, kept).join('').trimEnd() + suffix;
+  }
+};
+
+/**
+ * Validates the locale and timezone render options
+ * @param {Object} options - { locale, timezone }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateLocaleOptions({ locale, timezone } = {}) {
+  if (locale !== undefined) {
+    try {
+      if (typeof locale !== 'string' || Intl.getCanonicalLocales(locale).length !== 1) {
+        throw new RangeError();
+      }
+    } catch {
+      return 'locale must be a BCP 47 language tag, e.g. "en-US" or "cs-CZ"';
+    }
+  }
+  if (timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat(DEFAULT_LOCALE, { timeZone: timezone });
+    } catch {
+      return 'timezone must be an IANA time zone, e.g. "UTC" or "Europe/Prague"';
+    }
+  }
+  return null;
+}
+
+/**
+ * Formats a date with pattern tokens - numbers come from the time zone's wall clock,
+ * names from the locale (months in their "in a date" form, e.g. Czech "1. ledna")
+ */
+function formatDatePattern(date, pattern, locale, timeZone) {
+  const fields = Object.fromEntries(
+    getDateFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23'
+    }).formatToParts(date)
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, Number(part.value)])
+  );
+  const name = (type, options) => getDateFormat(locale, { timeZone, ...options }).formatToParts(date)
+    .find(part => part.type === type)?.value ?? '';
+  const pad = value => String(value).padStart(2, '0');
+  const hour12 = fields.hour % 12 || 12;
+
+  return pattern.replace(DATE_TOKEN_PATTERN, (token, literal) => {
+    if (literal !== undefined) {
+      return literal || "'";
+    }
+    switch (token) {
+      case 'yyyy': return String(fields.year);
+      case 'yy': return pad(fields.year % 100);
+      case 'MMMM': return name('month', { day: 'numeric', month: 'long' });
+      case 'MMM': return name('month', { day: 'numeric', month: 'short' });
+      case 'MM': return pad(fields.month);
+      case 'M': return String(fields.month);
+      case 'dd': return pad(fields.day);
+      case 'd': return String(fields.day);
+      case 'EEEE': return name('weekday', { weekday: 'long' });
+      case 'EEE': return name('weekday', { weekday: 'short' });
+      case 'HH': return pad(fields.hour);
+      case 'H': return String(fields.hour);
+      case 'hh': return pad(hour12);
+      case 'h': return String(hour12);
+      case 'mm': return pad(fields.minute);
+      case 'm': return String(fields.minute);
+      case 'ss': return pad(fields.second);
+      case 's': return String(fields.second);
+      default: return name('dayPeriod', { hour: 'numeric', hour12: true });
+    }
+  });
+}
+
+/**
+ * Splits helper arguments into the first `count` positional values and the options
+ */
+function splitArguments(args, count = 2) {
+  const options = args.pop();
+  return [...Array.from({ length: count }, (_, index) => args[index]), options];
+}
+
+/**
+ * Text helper arguments: the first argument, or the current context when called without one
+ * @returns {Array} [string or null, options]
+ */
+function textArguments(context, args) {
+  const options = args.pop();
+  const value = args.length > 0 ? args[0] : context;
+  if (isMissing(value) || typeof value === 'object') {
+    return [null, options];
+  }
+  return [String(value), options];
+}
+
+function getLocale(options) {
+  return options.hash.locale ?? options.data.locale ?? DEFAULT_LOCALE;
+}
+
+function getTimeZone(options) {
+  return options.hash.timezone ?? options.data.timezone ?? DEFAULT_TIMEZONE;
+}
+
+function isMissing(value) {
+  return value === null || value === undefined;
+}
+
+/**
+ * Numbers and numeric strings (og URL variables are always strings)
+ */
+function toNumber(value) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    throw new Error(`"${value}" is not a number`);
+  }
+  return number;
+}
+
+/**
+ * Dates, ISO 8601 strings and timestamps in milliseconds
+ */
+function toDate(value) {
+  const date = new Date(typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value);
+  if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+    throw new Error(`"${value}" is not a date`);
+  }
+  return date;
+}
+
+function fractionDigits(decimals) {
+  if (decimals === undefined) {
+    return {};
+  }
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 20) {
+    throw new Error('decimals must be an integer between 0 and 20');
+  }
+  return { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+}
+
+function getNumberFormat(locale, options) {
+  return getFormatter(Intl.NumberFormat, locale, options);
+}
+
+function getDateFormat(locale, options) {
+  return getFormatter(Intl.DateTimeFormat, locale, options);
+}
+
+/**
+ * Intl formatters are expensive to create - reuse them across renders
+ */
+function getFormatter(Formatter, locale, options) {
+  const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  let formatter = formatters.get(key);
+  if (!formatter) {
+    formatter = new Formatter(locale, options);
+    formatters.set(key, formatter);
+    if (formatters.size > MAX_CACHED_FORMATTERS) {
+      formatters.delete(formatters.keys().next().value);
+    }
+  }
+  return formatter;
+}
@@ -1,330 +1,83 @@
 /**
  * Template processing utilities for HTML variable replacement
+ * Parsing and rendering live in template-engine.js - this module registers the
+ * template helpers and adds the variable validation and sanitizing used by the
+ * template endpoints.
  */
 
-/**
- * Replaces template variables in HTML string with provided values
- * Supports both simple {{VARIABLE}} and conditional {{#if VARIABLE}}...{{/if}} patterns
- * @param {string} html - HTML template with {{VARIABLE}} placeholders and conditionals
- * @param {Object} variables - Key-value pairs for replacement
- * @returns {string} Processed HTML with variables replaced
- */
-export function processTemplate(html, variables = {}) {
-  if (!html || typeof html !== 'string') {
-    throw new Error('HTML template must be a non-empty string');
-  }
+import { renderTemplate, collectVariables, registerHelper, escapeHtml } from './template-engine.js';
+import { FORMAT_HELPERS, DEFAULT_LOCALE, DEFAULT_TIMEZONE } from './template-helpers.js';
 
-  if (!variables || typeof variables !== 'object') {
-    return html;
-  }
-
-  let processedHtml = html;
-
-  // First, process conditional blocks ({{#if}}, {{#unless}}, etc.)
-  processedHtml = processConditionalBlocks(processedHtml, variables);
-
-  // Then replace simple {{VARIABLE}} patterns with corresponding values
-  Object.entries(variables).forEach(([key, value]) => {
-    const pattern = new RegExp(`\\{\\{${escapeRegExp(key)}\\}\\}`, 'g');
-    const replacement = value !== null && value !== undefined ? String(value) : '';
-    processedHtml = processedHtml.replace(pattern, replacement);
-  });
+// Helpers every template can use besides the built-in ones (if, each, eq, ...)
+export const TEMPLATE_HELPERS = Object.freeze({ ...FORMAT_HELPERS });
 
-  return processedHtml;
+for (const [name, helper] of Object.entries(TEMPLATE_HELPERS)) {
+  registerHelper(name, helper);
 }
 
-/**
- * Processes conditional blocks in template HTML
- * Supports {{#if variable}}, {{#unless variable}}, {{else}}, {{/if}}, {{/unless}}
- * @param {string} html - HTML template with conditional blocks
- * @param {Object} variables - Variables for condition evaluation
- * @returns {string} Processed HTML with conditionals resolved
- */
-function processConditionalBlocks(html, variables) {
-  let processedHtml = html;
-
-  // Process array blocks first ({{#arrayName}}...{{/arrayName}})
-  processedHtml = processArrayBlocks(processedHtml, variables);
-
-  // Process {{#if}} blocks
-  processedHtml = processIfBlocks(processedHtml, variables, false);
-
-  // Process {{#unless}} blocks
-  processedHtml = processIfBlocks(processedHtml, variables, true);
-
-  return processedHtml;
-}
+export const MAX_PARTIALS = 20;
+const PARTIAL_NAME_PATTERN = /^[A-Za-z0-9_.\/-]{1,100}$/;
 
 /**
- * Processes array iteration blocks in template HTML
- * Supports Mustache-style {{#arrayName}}...{{/arrayName}} syntax
- * @param {string} html - HTML template with array blocks
- * @param {Object} variables - Variables containing arrays
- * @returns {string} Processed HTML with array blocks expanded
- */
-function processArrayBlocks(html, variables) {
-  let result = html;
-  let changed = true;
-
-  // Keep processing until no more array blocks are found (handles nested)
-  while (changed) {
-    changed = false;
-
-    // Find array blocks: {{#name}}...{{/name}} where name is an array in variables
-    // Skip reserved keywords: if, unless, else
-    const arrayBlockPattern = /\{\{#([^}\s]+)\}\}([\s\S]*?)\{\{\/\1\}\}/;
-    const match = result.match(arrayBlockPattern);
-
-    if (match) {
-      const [fullMatch, arrayName, blockContent] = match;
-
-      // Skip if this is a conditional block (if/unless)
-      if (arrayName === 'if' || arrayName === 'unless') {
-        // Move past this match to find actual array blocks
-        const matchIndex = result.indexOf(fullMatch);
-        const before = result.substring(0, matchIndex + fullMatch.length);
-        const after = result.substring(matchIndex + fullMatch.length);
-        const processedAfter = processArrayBlocks(after, variables);
-        result = before + processedAfter;
-        continue;
-      }
-
-      const arrayValue = variables[arrayName];
-
-      // Check if this variable is actually an array
-      if (Array.isArray(arrayValue)) {
-        // Iterate over array and expand template for each item
-        let expandedContent = '';
-
-        for (let i = 0; i < arrayValue.length; i++) {
-          const item = arrayValue[i];
-          let itemContent = blockContent;
-
-          // Replace {{.}} with the item itself (for simple arrays)
-          if (typeof item !== 'object') {
-            itemContent = itemContent.replace(/\{\{\.\}\}/g, String(item));
-          } else {
-            // Replace {{property}} with item.property for object arrays
-            Object.entries(item).forEach(([key, value]) => {
-              const pattern = new RegExp(`\\{\\{${escapeRegExp(key)}\\}\\}`, 'g');
-              const replacement = value !== null && value !== undefined ? String(value) : '';
-              itemContent = itemContent.replace(pattern, replacement);
-            });
-          }
-
-          // Add index helpers: {{@index}} (0-based), {{@number}} (1-based), {{@first}}, {{@last}}
-          itemContent = itemContent.replace(/\{\{@index\}\}/g, String(i));
-          itemContent = itemContent.replace(/\{\{@number\}\}/g, String(i + 1));
-          itemContent = itemContent.replace(/\{\{@first\}\}/g, String(i === 0));
-          itemContent = itemContent.replace(/\{\{@last\}\}/g, String(i === arrayValue.length - 1));
-
-          expandedContent += itemContent;
-        }
-
-        result = result.replace(fullMatch, expandedContent);
-        changed = true;
-      }
-      // If not an array, leave the block as-is (might be processed by conditionals)
-    }
-  }
-
-  return result;
-}
-
-/**
- * Processes if/unless conditional blocks
+ * Renders a template with the provided variables
+ * Supports Handlebars/Mustache syntax: {{user.name}}, {{#if}}...{{else if}}...{{/if}},
+ * {{#each}}, sections, helpers and partials (see template-engine.js)
  * @param {string} html - HTML template
- * @param {Object} variables - Variables for evaluation
- * @param {boolean} isUnless - Whether this is an "unless" block (inverted logic)
+ * @param {Object} variables - Values for the placeholders
+ * @param {Object} options - Engine options ({ escape, partials, helpers, data }) plus
+ *   locale and timezone for the formatting helpers (see template-helpers.js)
  * @returns {string} Processed HTML
  */
-function processIfBlocks(html, variables, isUnless = false) {
-  const blockType = isUnless ? 'unless' : 'if';
-  const openTag = `{{#${blockType}`;
-  const closeTag = `{{/${blockType}}}`;
-  const elseTag = '{{else}}';
-  
-  let result = html;
-  let changed = true;
-  
-  // Keep processing until no more blocks are found (handles nested blocks)
-  while (changed) {
-    changed = false;
-    let workingHtml = result;
-    
-    // Find the first opening tag
-    let openIndex = workingHtml.indexOf(openTag);
-    while (openIndex !== -1) {
-      // Find the end of the opening tag
-      let openTagEnd = workingHtml.indexOf('}}', openIndex) + 2;
-      if (openTagEnd === 1) break; // Invalid tag
-      
-      // Extract variable name
-      let openTagContent = workingHtml.substring(openIndex + openTag.length, openTagEnd - 2).trim();
-      
-      // Find corresponding closing tag
-      let depth = 1;
-      let searchIndex = openTagEnd;
-      let closeIndex = -1;
-      
-      while (depth > 0 && searchIndex < workingHtml.length) {
-        let nextOpen = workingHtml.indexOf(openTag, searchIndex);
-        let nextClose = workingHtml.indexOf(closeTag, searchIndex);
-        
-        if (nextClose === -1) break; // No closing tag found
-        
-        if (nextOpen !== -1 && nextOpen < nextClose) {
-          depth++;
-          searchIndex = nextOpen + openTag.length;
-        } else {
-          depth--;
-          if (depth === 0) {
-            closeIndex = nextClose;
-          }
-          searchIndex = nextClose + closeTag.length;
-        }
-      }
-      
-      if (closeIndex === -1) break; // No matching close tag
-      
-      // Extract content between tags
-      let blockContent = workingHtml.substring(openTagEnd, closeIndex);
-      
-      // Check for {{else}}
-      let elseIndex = blockContent.indexOf(elseTag);
-      let ifContent = '';
-      let elseContent = '';
-      
-      if (elseIndex !== -1) {
-        ifContent = blockContent.substring(0, elseIndex);
-        elseContent = blockContent.substring(elseIndex + elseTag.length);
-      } else {
-        ifContent = blockContent;
-      }
-      
-      // Evaluate condition
-      const variableValue = variables[openTagContent];
-      const condition = isUnless ? !isTruthy(variableValue) : isTruthy(variableValue);
-      
-      const replacement = condition ? ifContent : elseContent;
-      
-      // Replace the entire block
-      result = workingHtml.substring(0, openIndex) + replacement + workingHtml.substring(closeIndex + closeTag.length);
-      changed = true;
-      break; // Start over with the modified string
-    }
+export function processTemplate(html, variables = {}, options = {}) {
+  if (!html || typeof html !== 'string') {
+    throw new Error('HTML template must be a non-empty string');
   }
-  
-  return result;
-}
 
-/**
- * Determines if a value is "truthy" in template context
- * @param {any} value - Value to evaluate
- * @returns {boolean} Whether the value is truthy
- */
-function isTruthy(value) {
-  if (value === null || value === undefined) return false;
-  if (typeof value === 'boolean') return value;
-  if (typeof value === 'string') return value.trim() !== '';
-  if (typeof value === 'number') return value !== 0;
-  if (Array.isArray(value)) return value.length > 0;
-  if (typeof value === 'object') return Object.keys(value).length > 0;
-  return Boolean(value);
+  const { locale = DEFAULT_LOCALE, timezone = DEFAULT_TIMEZONE, data = {}, ...engineOptions } = options;
+  return renderTemplate(html, variables && typeof variables === 'object' ? variables : {}, {
+    ...engineOptions,
+    data: { ...data, locale, timezone }
+  });
 }
 
 /**
- * Extracts all template variables from HTML string
- * Includes both simple variables, conditional variables, and array variables
- * Variables inside array blocks are NOT required at top-level
+ * Extracts the variables a template requires at the top level
+ * Includes conditions, section names and loop sources; variables read inside
+ * {{#each}}, {{#with}} and sections are NOT required at top-level
  * @param {string} html - HTML template
+ * @param {Object} options - { partials } - partials are analyzed too when given
  * @returns {Array<string>} Array of variable names found in template (top-level only)
  */
-export function extractTemplateVariables(html) {
+export function extractTemplateVariables(html, options = {}) {
   if (!html || typeof html !== 'string') {
     return [];
   }
 
-  const variables = new Set();
-  const arrayBlockVariables = new Set(); // Variables inside array blocks
-
-  // First, find all array block names and their inner variables
-  const arrayBlocks = extractArrayBlocks(html);
-  arrayBlocks.forEach(block => {
-    variables.add(block.arrayName); // Array itself is required
-    block.innerVariables.forEach(v => arrayBlockVariables.add(v));
-  });
-
-  // Extract simple variables: {{variable}} (excluding those inside array blocks)
-  let processedHtml = html;
-
-  // Remove array block content to avoid extracting inner variables as top-level
-  arrayBlocks.forEach(block => {
-    processedHtml = processedHtml.replace(block.fullMatch, `{{${block.arrayName}}}`);
-  });
-
-  const simplePattern = /\{\{([^#\/@][^}]*)\}\}/g;
-  let match;
-
-  while ((match = simplePattern.exec(processedHtml)) !== null) {
-    const variableName = match[1].trim();
-    // Skip reserved words and index helpers
-    if (variableName !== 'else' && !variableName.startsWith('@')) {
-      variables.add(variableName);
-    }
-  }
-
-  // Extract conditional variables: {{#if variable}} and {{#unless variable}}
-  const conditionalPattern = /\{\{#(?:if|unless)\s+([^}]+)\}\}/g;
-
-  while ((match = conditionalPattern.exec(processedHtml)) !== null) {
-    variables.add(match[1].trim());
-  }
-
-  return Array.from(variables);
+  return collectVariables(html, options);
 }
 
 /**
- * Extracts array block information from template
- * @param {string} html - HTML template
- * @returns {Array<Object>} Array of block info: { arrayName, innerVariables, fullMatch }
+ * Validates the partials render option
+ * @param {Object} partials - Partial name to template source
+ * @returns {string|null} Error message or null if valid
  */
-function extractArrayBlocks(html) {
-  const blocks = [];
-  const reservedKeywords = ['if', 'unless', 'else'];
-
-  // Match array blocks: {{#name}}content{{/name}}
-  const blockPattern = /\{\{#([^}\s]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
-  let match;
-
-  while ((match = blockPattern.exec(html)) !== null) {
-    const [fullMatch, blockName, content] = match;
-
-    // Skip reserved keywords (conditionals)
-    if (reservedKeywords.includes(blockName)) {
-      continue;
-    }
-
-    // Extract inner variables from block content
-    const innerVars = new Set();
-    const innerPattern = /\{\{([^#\/@][^}]*)\}\}/g;
-    let innerMatch;
-
-    while ((innerMatch = innerPattern.exec(content)) !== null) {
-      const varName = innerMatch[1].trim();
-      if (varName !== 'else' && !varName.startsWith('@')) {
-        innerVars.add(varName);
-      }
-    }
-
-    blocks.push({
-      arrayName: blockName,
-      innerVariables: Array.from(innerVars),
-      fullMatch
-    });
+export function validatePartialsOption(partials) {
+  if (partials === undefined) {
+    return null;
+  }
+  if (!partials || typeof partials !== 'object' || Array.isArray(partials)) {
+    return 'partials must be an object of partial name to template';
   }
 
-  return blocks;
+  const entries = Object.entries(partials);
+  if (entries.length > MAX_PARTIALS) {
+    return `A render can use at most ${MAX_PARTIALS} partials`;
+  }
+  const invalid = entries.find(([name, source]) => !PARTIAL_NAME_PATTERN.test(name) || typeof source !== 'string');
+  if (invalid) {
+    return `Partial "${invalid[0]}" needs a name of letters, digits, _ . / - and a template string`;
+  }
+  return null;
 }
 
 /**
@@ -369,45 +122,25 @@ export function validateTemplateVariables(variables, requiredVars) {
 }
 
 /**
- * Sanitizes template variables to prevent XSS
- * Handles nested objects and arrays
- * @param {Object} variables - Variables to sanitize
- * @param {Object} options - Sanitization options
- * @param {boolean} options.skipQuoteEscaping - Skip quote escaping for HTML content
- * @returns {Object} Sanitized variables
+ * Escapes the string values of template variables (nested objects and arrays included)
+ * the way the engine escapes {{value}} output when sanitizing, so the result shows
+ * what a sanitized render inserted
+ * @param {Object} variables - Variables to escape
+ * @returns {Object} Escaped variables
  */
-export function sanitizeTemplateVariables(variables, options = {}) {
+export function sanitizeTemplateVariables(variables) {
   if (!variables || typeof variables !== 'object') {
     return {};
   }
 
-  const { skipQuoteEscaping = false } = options;
-
   function sanitizeValue(value) {
     if (typeof value === 'string') {
-      // Basic HTML escaping to prevent XSS
-      let sanitizedValue = value
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;');
-
-      // Only escape quotes if not explicitly skipped (for HTML content)
-      if (!skipQuoteEscaping) {
-        sanitizedValue = sanitizedValue
-          .replace(/"/g, '&quot;')
-          .replace(/'/g, '&#39;');
-      }
-
-      return sanitizedValue;
-    } else if (Array.isArray(value)) {
-      // Recursively sanitize array items
-      return value.map(item => {
-        if (typeof item === 'object' && item !== null) {
-          return sanitizeObject(item);
-        }
-        return sanitizeValue(item);
-      });
-    } else if (typeof value === 'object' && value !== null) {
+      return escapeHtml(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(sanitizeValue);
+    }
+    if (value && typeof value === 'object') {
       return sanitizeObject(value);
     }
     return value;
@@ -424,23 +157,15 @@ export function sanitizeTemplateVariables(variables, options = {}) {
   return sanitizeObject(variables);
 }
 
-/**
- * Escapes special regex characters
- * @param {string} string - String to escape
- * @returns {string} Escaped string
- */
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
 /**
  * Creates a template processing summary
  * @param {string} html - Original HTML template
  * @param {Object} variables - Variables used
+ * @param {Object} options - { partials } as for extractTemplateVariables
  * @returns {Object} Processing summary
  */
-export function getTemplateSummary(html, variables) {
-  const extractedVars = extractTemplateVariables(html);
+export function getTemplateSummary(html, variables, options = {}) {
+  const extractedVars = extractTemplateVariables(html, options);
   const validation = validateTemplateVariables(variables, extractedVars);
   
   return {
@@ -0,0 +1,343 @@
+/**
+ * Stored template registry backed by R2
+ * Templates are saved as JSON objects under the templates/ prefix
+ *
+ * Layout:
+ *   templates/<id>.json                  - head record (promoted "latest" version + metadata)
+ *   templates/<id>/versions/<n>.json     - immutable numbered versions
+ */
+
+import { extractTemplateVariables, validateTemplateVariables } from './template-processor.js';
+import { ApiError } from './errors.js';
+
+export const TEMPLATE_PREFIX = 'templates/';
+
+const TEMPLATE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Validates a template ID
+ * @param {string} id - Template ID from the URL
+ * @returns {boolean} True if ID is valid
+ */
+export function isValidTemplateId(id) {
+  return typeof id === 'string' && TEMPLATE_ID_PATTERN.test(id);
+}
+
+/**
+ * Gets the R2 key for a stored template head record
+ * @param {string} id - Template ID
+ * @returns {string} R2 object key
+ */
+export function getTemplateKey(id) {
+  return `${TEMPLATE_PREFIX}${id}.json`;
+}
+
+/**
+ * Gets the R2 key for an immutable template version
+ * @param {string} id - Template ID
+ * @param {number} version - Version number
+ * @returns {string} R2 object key
+ */
+export function getTemplateVersionKey(id, version) {
+  return `${TEMPLATE_PREFIX}${id}/versions/${version}.json`;
+}
+
+/**
+ * Parses a version selector
+ * @param {number|string} version - Version number, numeric string or 'latest'
+ * @returns {number|string|null} Version number, 'latest', or null if invalid
+ */
+export function parseVersionSelector(version) {
+  if (version === undefined || version === null || version === 'latest') {
+    return 'latest';
+  }
+  const number = typeof version === 'string' && /^\d+$/.test(version) ? Number(version) : version;
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Reads a JSON object from R2
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {string} key - Object key
+ * @returns {Promise<Object|null>} Parsed object or null if not found
+ */
+async function readJson(bucket, key) {
+  const object = await bucket.get(key);
+  return object ? await object.json() : null;
+}
+
+/**
+ * Writes a JSON object to R2
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {string} key - Object key
+ * @param {Object} value - Value to store
+ * @param {Object} customMetadata - R2 custom metadata
+ * @returns {Promise<void>}
+ */
+async function writeJson(bucket, key, value, customMetadata) {
+  const object = await bucket.put(key, JSON.stringify(value), {
+    httpMetadata: {
+      contentType: 'application/json'
+    },
+    customMetadata: {
+      ...customMetadata,
+      generatedBy: 'html-to-image-worker'
+    }
+  });
+
+  if (!object) {
+    throw new ApiError('R2_UPLOAD_FAILED', 'Failed to save template to R2 storage');
+  }
+}
+
+/**
+ * Loads a stored template head record
+ * Records saved before versioning are treated as version 1
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {string} id - Template ID
+ * @returns {Promise<Object|null>} Template record or null if not found
+ */
+export async function getStoredTemplate(bucket, id) {
+  const record = await readJson(bucket, getTemplateKey(id));
+  if (!record) {
+    return null;
+  }
+  return {
+    ...record,
+    version: record.version ?? 1,
+    versionCount: record.versionCount ?? 1
+  };
+}
+
+/**
+ * Loads a specific template version
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {string} id - Template ID
+ * @param {number|string} version - Version number or 'latest'
+ * @returns {Promise<Object|null>} Version record or null if not found
+ */
+export async function getTemplateVersion(bucket, id, version = 'latest') {
+  const head = await getStoredTemplate(bucket, id);
+  if (!head) {
+    return null;
+  }
+
+  const number = version === 'latest' ? head.version : version;
+  const record = await readJson(bucket, getTemplateVersionKey(id, number));
+  if (record) {
+    return record;
+  }
+
+  // Pre-versioning records only exist as a head record
+  if (number === head.version) {
+    return {
+      id,
+      version: number,
+      template: head.template,
+      variables: head.variables,
+      note: '',
+      createdAt: head.updatedAt
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Lists all versions of a template (without template HTML)
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {string} id - Template ID
+ * @returns {Promise<Array<Object>|null>} Versions sorted ascending, or null if template not found
+ */
+export async function listTemplateVersions(bucket, id) {
+  const head = await getStoredTemplate(bucket, id);
+  if (!head) {
+    return null;
+  }
+
+  const versions = [];
+  for (let number = 1; number <= head.versionCount; number++) {
+    const record = await getTemplateVersion(bucket, id, number);
+    if (record) {
+      versions.push({
+        version: record.version,
+        variables: record.variables,
+        note: record.note,
+        createdAt: record.createdAt,
+        latest: record.version === head.version
+      });
+    }
+  }
+  return versions;
+}
+
+/**
+ * Creates a new immutable version of a template
+ * Creates the template (as version 1) if it doesn't exist yet
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {string} id - Template ID
+ * @param {Object} data - Template data
+ * @param {string} data.template - Template HTML
+ * @param {string} data.name - Optional display name
+ * @param {string} data.description - Optional description
+ * @param {string} data.note - Optional version note (changelog)
+ * @param {Object} options - Options
+ * @param {boolean} options.promote - Make the new version the latest one
+ * @returns {Promise<Object>} { head, version } records
+ */
+export async function createTemplateVersion(bucket, id, data, options = {}) {
+  const { template, name, description, note = '' } = data;
+  const existing = await getStoredTemplate(bucket, id);
+  const promote = options.promote || !existing;
+  const now = new Date().toISOString();
+
+  // Keep pre-versioning templates reachable as version 1
+  if (existing && !(await bucket.head(getTemplateVersionKey(id, existing.version)))) {
+    const legacy = await getTemplateVersion(bucket, id, existing.version);
+    await writeJson(bucket, getTemplateVersionKey(id, legacy.version), legacy, {
+      templateId: id,
+      version: String(legacy.version)
+    });
+  }
+
+  const number = existing ? existing.versionCount + 1 : 1;
+  const versionKey = getTemplateVersionKey(id, number);
+  if (await bucket.head(versionKey)) {
+    throw new ApiError('CONFLICT', `Version ${number} of template "${id}" already exists`);
+  }
+
+  const version = {
+    id,
+    version: number,
+    template,
+    variables: extractTemplateVariables(template),
+    note,
+    createdAt: now
+  };
+
+  await writeJson(bucket, versionKey, version, {
+    templateId: id,
+    version: String(number),
+    variableCount: String(version.variables.length)
+  });
+
+  const latest = promote ? version : await getTemplateVersion(bucket, id, existing.version);
+  const head = await writeHead(bucket, id, latest, {
+    name: name ?? existing?.name ?? id,
+    description: description ?? existing?.description ?? '',
+    versionCount: number,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  });
+
+  return { head, version };
+}
+
+/**
+ * Promotes an existing version to be the latest one
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {string} id - Template ID
+ * @param {number} number - Version number
+ * @returns {Promise<Object|null>} Updated head record or null if version not found
+ */
+export async function promoteTemplateVersion(bucket, id, number) {
+  const existing = await getStoredTemplate(bucket, id);
+  const version = existing ? await getTemplateVersion(bucket, id, number) : null;
+  if (!version) {
+    return null;
+  }
+
+  return await writeHead(bucket, id, version, {
+    name: existing.name,
+    description: existing.description,
+    versionCount: existing.versionCount,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Writes the head record pointing at a version
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {string} id - Template ID
+ * @param {Object} version - Version record to expose as latest
+ * @param {Object} meta - Head metadata
+ * @returns {Promise<Object>} Head record
+ */
+async function writeHead(bucket, id, version, meta) {
+  const head = {
+    id,
+    name: meta.name,
+    description: meta.description,
+    template: version.template,
+    variables: version.variables,
+    version: version.version,
+    versionCount: meta.versionCount,
+    createdAt: meta.createdAt,
+    updatedAt: meta.updatedAt
+  };
+
+  await writeJson(bucket, getTemplateKey(id), head, {
+    templateId: id,
+    version: String(head.version),
+    variableCount: String(head.variables.length),
+    updatedAt: head.updatedAt
+  });
+
+  return head;
+}
+
+/**
+ * Deletes a stored template with all its versions
+ * @param {R2Bucket} bucket - R2 bucket instance
+ * @param {string} id - Template ID
+ * @returns {Promise<boolean>} False if template did not exist
+ */
+export async function deleteStoredTemplate(bucket, id) {
+  const key = getTemplateKey(id);
+  const existing = await bucket.head(key);
+  if (!existing) {
+    return false;
+  }
+
+  let cursor;
+  do {
+    const listed = await bucket.list({ prefix: `${TEMPLATE_PREFIX}${id}/`, cursor });
+    const keys = listed.objects.map(obj => obj.key);
+    if (keys.length > 0) {
+      await bucket.delete(keys);
+    }
+    cursor = listed.truncated ? listed.cursor : undefined;
+  } while (cursor);
+
+  await bucket.delete(key);
+  return true;
+}
+
+/**
+ * Diffs the variable sets of two template versions
+ * A change is breaking when variables that callers of the old version send
+ * no longer satisfy the new version
+ * @param {Object} from - Older version record
+ * @param {Object} to - Newer version record
+ * @returns {Object} Variable diff with breaking flag
+ */
+export function diffTemplateVersions(from, to) {
+  const fromVars = extractTemplateVariables(from.template);
+  const toVars = extractTemplateVariables(to.template);
+
+  // Simulate a caller built against the old version
+  const callerVariables = Object.fromEntries(fromVars.map(name => [name, '']));
+  const validation = validateTemplateVariables(callerVariables, toVars);
+
+  return {
+    from: from.version,
+    to: to.version,
+    added: toVars.filter(name => !fromVars.includes(name)),
+    removed: fromVars.filter(name => !toVars.includes(name)),
+    unchanged: toVars.filter(name => fromVars.includes(name)),
+    breaking: !validation.isValid,
+    missingForExistingCallers: validation.missing,
+    templateChanged: from.template !== to.template
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * URL policy for rendering remote pages (POST /render/url)
+ * Blocks requests into internal addresses (SSRF): loopback, private and link-local
+ * ranges, the "internal" service-binding hostname and .internal/.local/.localhost names.
+ * URL_ALLOWED_HOSTS / URL_DENIED_HOSTS (comma-separated, "*.example.com" for subdomains)
+ * narrow the policy further. Every request the page makes is checked, including redirects.
+ *
+ * Only the hostname is checked - it is not resolved. A public name that resolves to an
+ * internal address (e.g. 127.0.0.1.nip.io), or whose DNS answer changes between the
+ * check and the request (DNS rebinding), is not caught here.
+ */
+
+// Hostnames that must never be fetched ("internal" is the service-binding hostname)
+const BLOCKED_HOSTNAMES = ['internal', 'localhost', 'metadata', 'metadata.google.internal'];
+const BLOCKED_HOSTNAME_SUFFIXES = ['.internal', '.local', '.localhost', '.localdomain'];
+
+// Schemes that never leave the browser
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+/**
+ * Builds the URL policy from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} { allowedHosts, deniedHosts }
+ */
+export function getUrlPolicy(env) {
+  const parseList = value => (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+  return {
+    allowedHosts: parseList(env.URL_ALLOWED_HOSTS),
+    deniedHosts: parseList(env.URL_DENIED_HOSTS)
+  };
+}
+
+/**
+ * Checks whether a hostname matches a host pattern ("example.com" or "*.example.com")
+ */
+function matchesHost(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+/**
+ * Checks whether an IPv4 address is loopback, private, link-local or otherwise internal
+ * @param {string} address - Dotted IPv4 address
+ * @returns {boolean} True if the address is internal
+ */
+function isInternalIPv4(address) {
+  const octets = address.split('.').map(Number);
+  const [a, b] = octets;
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19)) ||
+    a >= 224
+  );
+}
+
+/**
+ * Expands an IPv6 address to its eight 16-bit groups
+ * @param {string} address - IPv6 address as normalized by URL (hex groups, no dotted part)
+ * @returns {Array<number>} Groups
+ */
+function expandIPv6(address) {
+  const [head, tail = ''] = address.split('::');
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const start = parse(head);
+  const end = address.includes('::') ? parse(tail) : [];
+  return [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+/**
+ * Checks whether an IPv6 address (without brackets) is internal
+ * Addresses that embed an IPv4 address are checked by that address: IPv4-mapped
+ * (::ffff:a.b.c.d), IPv4-compatible (::a.b.c.d) and NAT64 (64:ff9b::a.b.c.d).
+ * @param {string} address - IPv6 address as normalized by URL
+ * @returns {boolean} True if the address is internal
+ */
+function isInternalIPv6(address) {
+  // URL normalizes the dotted forms, e.g. ::ffff:10.0.0.1 to ::ffff:a00:1
+  const groups = expandIPv6(address);
+  const prefixIs = (...prefix) => prefix.every((group, index) => groups[index] === group);
+
+  if (prefixIs(0, 0, 0, 0, 0, 0xffff) || prefixIs(0, 0, 0, 0, 0, 0) || prefixIs(0x64, 0xff9b, 0, 0, 0, 0)) {
+    const [high, low] = groups.slice(6);
+    return isInternalIPv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+
+  const [firstGroup] = groups;
+  return (
+    (firstGroup & 0xfe00) === 0xfc00 || // fc00::/7 unique local
+    (firstGroup & 0xffc0) === 0xfe80 || // fe80::/10 link-local
+    (firstGroup & 0xff00) === 0xff00    // ff00::/8 multicast
+  );
+}
+
+/**
+ * Checks a URL against the policy
+ * @param {string} rawUrl - URL to check
+ * @param {Object} policy - { allowedHosts, deniedHosts } from getUrlPolicy
+ * @returns {string|null} Reason the URL is blocked, or null if it is allowed
+ */
+export function checkUrl(rawUrl, policy) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (e) {
+    return 'invalid URL';
+  }
+
+  if (LOCAL_SCHEMES.includes(url.protocol)) {
+    return null;
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return `scheme ${url.protocol} is not allowed`;
+  }
+
+  if (url.username || url.password) {
+    return 'credentials in URLs are not allowed';
+  }
+
+  // URL already normalizes decimal/hex/octal IPv4 forms to dotted decimal
+  const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+
+  if (
+    BLOCKED_HOSTNAMES.includes(hostname) ||
+    BLOCKED_HOSTNAME_SUFFIXES.some(suffix => hostname.endsWith(suffix)) ||
+    (!hostname.includes('.') && !hostname.startsWith('['))
+  ) {
+    return `host ${hostname} is internal`;
+  }
+
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(hostname) && isInternalIPv4(hostname)) {
+    return `address ${hostname} is internal`;
+  }
+
+  if (hostname.startsWith('[') && isInternalIPv6(hostname.slice(1, -1))) {
+    return `address ${hostname} is internal`;
+  }
+
+  if (policy.deniedHosts.some(pattern => matchesHost(hostname, pattern))) {
+    return `host ${hostname} is denied`;
+  }
+
+  if (policy.allowedHosts.length > 0 && !policy.allowedHosts.some(pattern => matchesHost(hostname, pattern))) {
+    return `host ${hostname} is not in the allow list`;
+  }
+
+  return null;
+}
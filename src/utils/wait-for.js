@@ -0,0 +1,187 @@
+/**
+ * Page readiness conditions (waitFor / timeout render options)
+ *
+ * waitFor accepts one condition or an array of them:
+ *   ".chart"                        - CSS selector that must appear
+ *   "networkidle0" / "networkidle2" - no more than 0 / 2 network connections for 500ms
+ *   1500                            - fixed delay in milliseconds
+ *   { selector }, { expression }, { delay }
+ *                                   - object form; expression is JS that must return true
+ * All conditions share one timeout budget. Without waitFor the page gets a 500ms settle delay.
+ */
+
+import { ApiError } from './errors.js';
+
+export const DEFAULT_RENDER_TIMEOUT_MS = 15000;
+export const MAX_RENDER_TIMEOUT_MS = 60000;
+
+export const MIN_RENDER_TIMEOUT_MS = 1000;
+const MAX_WAIT_CONDITIONS = 5;
+const NETWORK_IDLE_EVENTS = ['networkidle0', 'networkidle2'];
+const DEFAULT_SETTLE_DELAY_MS = 500;
+
+/**
+ * Normalizes waitFor into a list of conditions
+ * @param {string|number|Object|Array} waitFor - waitFor option
+ * @returns {Object} { conditions: [{ type, value }] } or { error }
+ */
+function parseWaitFor(waitFor) {
+  if (waitFor === undefined || waitFor === null) {
+    return { conditions: [] };
+  }
+
+  const items = Array.isArray(waitFor) ? waitFor : [waitFor];
+  if (items.length > MAX_WAIT_CONDITIONS) {
+    return { error: `waitFor accepts at most ${MAX_WAIT_CONDITIONS} conditions` };
+  }
+
+  const conditions = [];
+  for (const item of items) {
+    const condition = parseCondition(item);
+    if (!condition) {
+      return { error: 'waitFor must be a selector, "networkidle0", "networkidle2", a delay in ms, or { selector | expression | delay }' };
+    }
+    conditions.push(condition);
+  }
+
+  return { conditions };
+}
+
+/**
+ * Parses a single waitFor condition
+ * @returns {Object|null} { type, value } or null if invalid
+ */
+function parseCondition(item) {
+  if (typeof item === 'number') {
+    return Number.isInteger(item) && item >= 0 ? { type: 'delay', value: item } : null;
+  }
+
+  if (typeof item === 'string') {
+    if (!item.trim()) return null;
+    return NETWORK_IDLE_EVENTS.includes(item) ? { type: 'networkidle', value: item } : { type: 'selector', value: item };
+  }
+
+  if (item && typeof item === 'object' && Object.keys(item).length === 1) {
+    const [[type, value]] = Object.entries(item);
+    if ((type === 'selector' || type === 'expression') && typeof value === 'string' && value.trim()) {
+      return { type, value };
+    }
+    if (type === 'delay') {
+      return parseCondition(value);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describes a condition for error messages
+ * @param {Object} condition - { type, value }
+ * @returns {string} Human readable description
+ */
+function describeCondition({ type, value }) {
+  switch (type) {
+    case 'selector':
+      return `selector "${value}"`;
+    case 'expression':
+      return `expression "${value}"`;
+    case 'delay':
+      return `${value}ms delay`;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validates the waitFor and timeout render options
+ * @param {any} waitFor - waitFor option
+ * @param {number} timeout - Timeout in ms
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateWaitOptions(waitFor, timeout = DEFAULT_RENDER_TIMEOUT_MS) {
+  if (!Number.isInteger(timeout) || timeout < MIN_RENDER_TIMEOUT_MS || timeout > MAX_RENDER_TIMEOUT_MS) {
+    return `timeout must be an integer between ${MIN_RENDER_TIMEOUT_MS} and ${MAX_RENDER_TIMEOUT_MS} ms`;
+  }
+
+  const { conditions, error } = parseWaitFor(waitFor);
+  if (error) {
+    return error;
+  }
+
+  if (conditions.filter(condition => condition.type === 'networkidle').length > 1) {
+    return 'waitFor can contain only one of networkidle0 / networkidle2';
+  }
+
+  const delay = conditions.find(condition => condition.type === 'delay' && condition.value > timeout);
+  if (delay) {
+    return `waitFor delay (${delay.value}ms) is longer than timeout (${timeout}ms)`;
+  }
+
+  return null;
+}
+
+/**
+ * Creates the error thrown when a condition doesn't resolve in time (RENDER_TIMEOUT, 504)
+ */
+function timeoutError(condition, timeout) {
+  return new ApiError('RENDER_TIMEOUT', `Render timeout after ${timeout}ms waiting for ${condition}`, { condition, timeout });
+}
+
+/**
+ * Loads the page and waits until every readiness condition holds
+ * @param {Object} page - Puppeteer page
+ * @param {Function} load - (waitUntil, timeout) => Promise, e.g. page.setContent or page.goto
+ * @param {Object} options - { waitFor, timeout }
+ * @returns {Promise<void>}
+ */
+export async function loadAndWait(page, load, { waitFor, timeout = DEFAULT_RENDER_TIMEOUT_MS } = {}) {
+  const { conditions } = parseWaitFor(waitFor);
+  const deadline = Date.now() + timeout;
+
+  // Network idle is a page lifecycle event, so it is awaited by the load itself
+  const networkIdle = conditions.find(condition => condition.type === 'networkidle');
+  const waitUntil = networkIdle ? networkIdle.value : 'load';
+
+  try {
+    await load(waitUntil, timeout);
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw timeoutError(networkIdle ? waitUntil : 'page load', timeout);
+    }
+    throw error;
+  }
+
+  if (conditions.length === 0) {
+    // Cloudflare Browser doesn't support waitForTimeout - use a simple Promise delay instead
+    await sleep(DEFAULT_SETTLE_DELAY_MS);
+    return;
+  }
+
+  for (const condition of conditions) {
+    const remaining = deadline - Date.now();
+    if (condition.type === 'networkidle') continue;
+
+    if (remaining <= 0 || (condition.type === 'delay' && condition.value > remaining)) {
+      throw timeoutError(describeCondition(condition), timeout);
+    }
+
+    try {
+      if (condition.type === 'selector') {
+        await page.waitForSelector(condition.value, { timeout: remaining });
+      } else if (condition.type === 'expression') {
+        await page.waitForFunction(condition.value, { timeout: remaining });
+      } else {
+        await sleep(condition.value);
+      }
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw timeoutError(describeCondition(condition), timeout);
+      }
+      throw error;
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
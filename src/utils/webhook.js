@@ -0,0 +1,103 @@
+/**
+ * Signed webhook delivery
+ * Payloads are signed with HMAC-SHA256 over "<timestamp>.<body>" using WEBHOOK_SECRET.
+ * Callback URLs go through the same SSRF checks as URL renders (see url-policy.js), when
+ * the job is created and again before each delivery. Redirects are not followed.
+ */
+
+import { checkUrl } from './url-policy.js';
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// URL_ALLOWED_HOSTS / URL_DENIED_HOSTS are for rendered pages - callbacks only get the built-in checks
+const CALLBACK_URL_POLICY = { allowedHosts: [], deniedHosts: [] };
+
+/**
+ * Signs a webhook payload
+ * @param {string} secret - Shared webhook secret
+ * @param {string} timestamp - Unix timestamp (seconds) as string
+ * @param {string} body - JSON body
+ * @returns {Promise<string>} Hex-encoded HMAC-SHA256 signature
+ */
+export async function signWebhookPayload(secret, timestamp, body) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${body}`));
+  return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Validates a callback URL
+ * @param {string} callbackUrl - Webhook URL
+ * @param {Object} env - Environment variables
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateCallbackUrl(callbackUrl, env) {
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (e) {
+    return 'callbackUrl must be a valid URL';
+  }
+
+  const allowHttp = env.ENVIRONMENT === 'development';
+  if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+    return 'callbackUrl must use https';
+  }
+
+  const blockedReason = checkUrl(callbackUrl, CALLBACK_URL_POLICY);
+  if (blockedReason) {
+    return `callbackUrl not allowed: ${blockedReason}`;
+  }
+
+  if (!env.WEBHOOK_SECRET) {
+    return 'Webhooks are not configured (WEBHOOK_SECRET is missing)';
+  }
+
+  return null;
+}
+
+/**
+ * Delivers a signed webhook
+ * @param {string} callbackUrl - Webhook URL
+ * @param {Object} payload - JSON payload
+ * @param {string} secret - Shared webhook secret
+ * @returns {Promise<Object>} { ok, status, error }
+ */
+export async function deliverWebhook(callbackUrl, payload, secret) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = await signWebhookPayload(secret, timestamp, body);
+
+  // Stored jobs may predate the current rules, so the URL is checked again
+  const blockedReason = checkUrl(callbackUrl, CALLBACK_URL_POLICY);
+  if (blockedReason) {
+    console.warn('[webhook] Callback URL blocked:', { callbackUrl, reason: blockedReason });
+    return { ok: false, status: null, error: `callbackUrl not allowed: ${blockedReason}` };
+  }
+
+  try {
+    const response = await fetch(callbackUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'html-to-image-worker',
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signature}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    return { ok: response.ok, status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+  } catch (error) {
+    console.error('[webhook] Delivery failed:', { callbackUrl, message: error.message });
+    return { ok: false, status: null, error: error.message };
+  }
+}
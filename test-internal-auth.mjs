@@ -0,0 +1,196 @@
+/**
+ * Internal Caller Authentication Tests
+ * Checks that service-binding authentication can't be reached from outside, both in
+ * authenticateInternalCall and through API key validation and the auth middleware
+ * Run with: npm test
+ */
+
+import { timingSafeEqual } from 'node:crypto';
+import { register } from 'node:module';
+import {
+  authenticateInternalCall,
+  INTERNAL_CALLER_HEADER,
+  INTERNAL_TOKEN_HEADER
+} from './src/utils/internal-auth.js';
+
+// Workers provide crypto.subtle.timingSafeEqual, Node only has the node:crypto version
+if (!crypto.subtle.timingSafeEqual) {
+  crypto.subtle.timingSafeEqual = (a, b) => a.byteLength === b.byteLength && timingSafeEqual(a, b);
+}
+
+// The rate limiter imports cloudflare:workers, which only exists in the Workers runtime
+const loaderHooks = `export async function resolve(specifier, context, next) {
+  return specifier === 'cloudflare:workers'
+    ? { url: 'data:text/javascript,export class DurableObject {}', shortCircuit: true }
+    : next(specifier, context);
+}`;
+register(`data:text/javascript,${encodeURIComponent(loaderHooks)}`);
+const { validateApiKey, authMiddleware } = await import('./src/utils/auth-middleware.js');
+const { getRequestContext } = await import('./src/utils/request-context.js');
+
+const SECRET = 'a'.repeat(16) + 'b'.repeat(16) + 'c'.repeat(8);
+const API_KEY = 'test-api-key';
+const env = {
+  INTERNAL_CALLERS: JSON.stringify({ 'cms-worker': SECRET, 'weak-worker': 'short' }),
+  API_KEYS: API_KEY
+};
+
+function makeRequest(url, headers = {}) {
+  return new Request(url, { headers });
+}
+
+function internalHeaders(caller, token) {
+  return { [INTERNAL_CALLER_HEADER]: caller, [INTERNAL_TOKEN_HEADER]: token };
+}
+
+// Test cases: [description, request, env, check(result)]
+const tests = [
+  [
+    'http://internal/ without credentials is not an internal call',
+    makeRequest('http://internal/render'),
+    env,
+    result => result === null
+  ],
+  [
+    'Wrong token is rejected, even on http://internal/',
+    makeRequest('http://internal/render', internalHeaders('cms-worker', 'x'.repeat(40))),
+    env,
+    result => result.isValid === false && !result.isInternal
+  ],
+  [
+    'Unknown caller is rejected',
+    makeRequest('https://example.com/render', internalHeaders('other-worker', SECRET)),
+    env,
+    result => result.isValid === false
+  ],
+  [
+    'Caller without token is rejected',
+    makeRequest('https://example.com/render', { [INTERNAL_CALLER_HEADER]: 'cms-worker' }),
+    env,
+    result => result.isValid === false
+  ],
+  [
+    'Token without caller is rejected',
+    makeRequest('https://example.com/render', { [INTERNAL_TOKEN_HEADER]: SECRET }),
+    env,
+    result => result.isValid === false
+  ],
+  [
+    'Callers with too short secrets are ignored',
+    makeRequest('http://internal/render', internalHeaders('weak-worker', 'short')),
+    env,
+    result => result.isValid === false
+  ],
+  [
+    'No INTERNAL_CALLERS means no internal calls',
+    makeRequest('http://internal/render', internalHeaders('cms-worker', SECRET)),
+    {},
+    result => result.isValid === false
+  ],
+  [
+    'Invalid INTERNAL_CALLERS JSON means no internal calls',
+    makeRequest('http://internal/render', internalHeaders('cms-worker', SECRET)),
+    { INTERNAL_CALLERS: '{not json' },
+    result => result.isValid === false
+  ],
+  [
+    'Valid caller and token authenticate with the caller name',
+    makeRequest('http://internal/render', internalHeaders('cms-worker', SECRET)),
+    env,
+    result => result.isValid === true && result.isInternal === true && result.caller === 'cms-worker'
+  ],
+  [
+    'Valid credentials work regardless of the URL',
+    makeRequest('https://html-to-image.example.workers.dev/render', internalHeaders('cms-worker', SECRET)),
+    env,
+    result => result.isValid === true && result.caller === 'cms-worker'
+  ]
+];
+
+/**
+ * Sends a request through validateApiKey and the auth middleware of a key-protected route
+ * @returns {Promise<Object>} { auth, status, reachedHandler, context }
+ */
+async function authenticate(request, testEnv) {
+  const auth = await validateApiKey(request, testEnv);
+  let reachedHandler = false;
+  const response = await authMiddleware(
+    { request, env: testEnv, url: new URL(request.url), route: { path: '/render' } },
+    async () => {
+      reachedHandler = true;
+      return new Response('ok');
+    }
+  );
+  return { auth, status: response.status, reachedHandler, context: getRequestContext(request) };
+}
+
+// Requests through the API key check: [description, request, env, check(result of authenticate)]
+const middlewareTests = [
+  [
+    'http://internal/ without a key gets 401',
+    makeRequest('http://internal/render'),
+    env,
+    result => result.status === 401 && !result.reachedHandler && result.auth.isValid === false
+  ],
+  [
+    'http://internal/ without a key gets 401 in development too',
+    makeRequest('http://internal/render'),
+    { ...env, ENVIRONMENT: 'development' },
+    result => result.status === 401 && !result.reachedHandler
+  ],
+  [
+    'http://internal/ with an invalid key gets 401',
+    makeRequest('http://internal/render', { 'X-API-Key': 'wrong' }),
+    env,
+    result => result.status === 401 && !result.reachedHandler
+  ],
+  [
+    'Wrong internal token gets 401, even with a valid API key',
+    makeRequest('http://internal/render', { ...internalHeaders('cms-worker', 'x'.repeat(40)), 'X-API-Key': API_KEY }),
+    env,
+    result => result.status === 401 && !result.reachedHandler
+  ],
+  [
+    'A valid API key works on http://internal/ and is not treated as internal',
+    makeRequest('http://internal/render', { 'X-API-Key': API_KEY }),
+    env,
+    result => result.reachedHandler && result.context.isInternal === false && result.context.key.id.startsWith('env_')
+  ],
+  [
+    'Valid internal credentials reach the handler as the internal caller',
+    makeRequest('https://html-to-image.example.workers.dev/render', internalHeaders('cms-worker', SECRET)),
+    env,
+    result => result.reachedHandler && result.context.isInternal === true && result.context.key.id === 'internal:cms-worker'
+  ]
+];
+
+async function runAllTests() {
+  console.log('🔐 Testing Internal Caller Authentication...\n');
+
+  const results = [];
+  for (const [description, request, testEnv, check] of tests) {
+    results.push([description, check, await authenticateInternalCall(request, testEnv)]);
+  }
+  for (const [description, request, testEnv, check] of middlewareTests) {
+    results.push([`Middleware: ${description}`, check, await authenticate(request, testEnv)]);
+  }
+
+  let passed = 0;
+  for (const [description, check, result] of results) {
+    const ok = check(result);
+    if (ok) {
+      passed++;
+    }
+    console.log(`${ok ? '✅' : '❌'} ${description}`);
+    if (!ok) {
+      console.log('   Result:', result);
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${results.length} tests passed`);
+  if (passed !== results.length) {
+    process.exitCode = 1;
+  }
+}
+
+runAllTests();
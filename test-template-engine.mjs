@@ -0,0 +1,216 @@
+/**
+ * Template Engine Compatibility Tests
+ * Checks Mustache/Handlebars semantics of the template engine, the formatting helpers,
+ * the variable analysis used for validation, and that templates written for the old
+ * processor still render
+ * Run with: npm test
+ */
+
+import { processTemplate, extractTemplateVariables } from './src/utils/template-processor.js';
+
+const escape = { escape: true };
+const czech = { locale: 'cs-CZ', timezone: 'Europe/Prague' };
+
+// Render cases: [description, template, variables, expected output or { error }, options]
+const renderTests = [
+  // Interpolation
+  ['Plain text passes through', 'Hello, world!', {}, 'Hello, world!'],
+  ['Variables are interpolated', 'Hello, {{name}}!', { name: 'Ada' }, 'Hello, Ada!'],
+  ['Whitespace inside tags is ignored', '{{ name }}|{{{ name }}}|{{& name }}', { name: 'Ada' }, 'Ada|Ada|Ada'],
+  ['Missing values render as empty', '[{{missing}}]', {}, '[]'],
+  ['Null renders as empty', '[{{value}}]', { value: null }, '[]'],
+  ['Numbers, zero and false render as text', '{{a}} {{b}} {{c}}', { a: 1.5, b: 0, c: false }, '1.5 0 false'],
+  ['Dot paths read nested values', '{{user.name}} ({{user.address.city}})', { user: { name: 'Ada', address: { city: 'London' } } }, 'Ada (London)'],
+  ['Slash paths work like dot paths', '{{user/name}}', { user: { name: 'Ada' } }, 'Ada'],
+  ['Missing segments render as empty', '[{{user.address.city}}]', { user: {} }, '[]'],
+  ['Array indexes and length are paths', '{{items.[1]}} of {{items.length}}', { items: ['a', 'b', 'c'] }, 'b of 3'],
+  ['Literal segments allow any key', '{{[first name]}} {{user.[last-name]}}', { 'first name': 'Ada', user: { 'last-name': 'Lovelace' } }, 'Ada Lovelace'],
+  ['Inherited properties are not readable', '[{{constructor}}][{{user.toString}}]', { user: {} }, '[][]'],
+  ['{{.}} and {{this}} are the current context', '{{#items}}{{.}}{{this}}{{/items}}', { items: [1, 2] }, '1122'],
+
+  // Escaping
+  ['Escaping is off by default', '{{html}}', { html: '<b>&</b>' }, '<b>&</b>'],
+  ['{{value}} escapes & < > " \' ` = when escaping is on', '{{html}}', { html: '<b>"Tom" & \'Jerry\'</b> `a=b`' }, '&lt;b&gt;&quot;Tom&quot; &amp; &#x27;Jerry&#x27;&lt;/b&gt; &#x60;a&#x3D;b&#x60;', escape],
+  ['Values can\'t break out of quoted attributes', '<img src="{{avatar}}" title=\'{{name}}\'>', { avatar: 'x" onerror="alert(1)', name: "x' onload='alert(1)" }, '<img src="x&quot; onerror&#x3D;&quot;alert(1)" title=\'x&#x27; onload&#x3D;&#x27;alert(1)\'>', escape],
+  ['{{{value}}} is never escaped', '{{{html}}}', { html: '<b>&</b>' }, '<b>&</b>', escape],
+  ['{{& value}} is never escaped', '{{& html}}', { html: '<b>&</b>' }, '<b>&</b>', escape],
+  ['Nested values are escaped too', '{{#each rows}}{{text}}{{/each}}', { rows: [{ text: '<i>' }] }, '&lt;i&gt;', escape],
+  ['\\{{ is a literal {{', '\\{{name}} {{name}}', { name: 'Ada' }, '{{name}} Ada'],
+  ['\\\\{{ is a backslash before a tag', '\\\\{{name}}', { name: 'Ada' }, '\\Ada'],
+
+  // Comments and whitespace
+  ['Comments render nothing', 'a{{! a comment }}b{{!-- a }} comment --}}c', {}, 'abc'],
+  ['Standalone comment lines are removed', 'Begin.\n  {{! comment }}\nEnd.', {}, 'Begin.\nEnd.'],
+  ['Standalone block lines are removed', '<ul>\n  {{#each items}}\n  <li>{{.}}</li>\n  {{/each}}\n</ul>', { items: ['a', 'b'] }, '<ul>\n  <li>a</li>\n  <li>b</li>\n</ul>'],
+  ['Standalone else lines are removed', '{{#if a}}\nyes\n{{else}}\nno\n{{/if}}\n', { a: false }, 'no\n'],
+  ['Tags sharing a line are not standalone', ' {{#a}}{{/a}} \n', { a: true }, '  \n'],
+  ['Output tags are never standalone', '  {{name}}\n', { name: 'x' }, '  x\n'],
+  ['~ strips whitespace before and after a tag', '<p>  \n  {{~name~}}  \n  </p>', { name: 'x' }, '<p>x</p>'],
+  ['~ works on blocks', '{{#each items~}}\n  {{.}}\n{{~/each}}', { items: ['a', 'b'] }, 'ab'],
+
+  // Sections
+  ['Sections render for true', '{{#flag}}yes{{/flag}}', { flag: true }, 'yes'],
+  ['Sections are skipped for false', '[{{#flag}}yes{{/flag}}]', { flag: false }, '[]'],
+  ['Sections iterate arrays', '{{#items}}<{{name}}>{{/items}}', { items: [{ name: 'a' }, { name: 'b' }] }, '<a><b>'],
+  ['Sections push objects as the context', '{{#user}}{{name}}{{/user}}', { user: { name: 'Ada' } }, 'Ada'],
+  ['Sections render {{else}} for empty arrays', '{{#items}}x{{else}}none{{/items}}', { items: [] }, 'none'],
+  ['Inverted sections render for missing values', '{{^items}}none{{/items}}', {}, 'none'],
+  ['Inverted sections are skipped for truthy values', '[{{^items}}none{{/items}}]', { items: [1] }, '[]'],
+  ['Nested sections see parent variables', '{{#a}}{{#b}}{{one}}{{two}}{{three}}{{/b}}{{/a}}', { one: 1, a: { two: 2, b: { three: 3 } } }, '123'],
+  ['Closing tags must match', '{{#a}}x{{/b}}', {}, { error: 'TEMPLATE_INVALID', message: "{{/b}} doesn't match {{#a}} at line 1, column 8" }],
+  ['Unclosed blocks are reported with their line', 'a\n{{#each items}}x', {}, { error: 'TEMPLATE_INVALID', message: 'Missing {{/each}} at line 2, column 1' }],
+
+  // if / unless / else if
+  ['#if renders its block for truthy values', '{{#if a}}yes{{/if}}', { a: 'x' }, 'yes'],
+  ['#if renders {{else}} for falsy values', '{{#if a}}yes{{else}}no{{/if}}', { a: 0 }, 'no'],
+  ['{{^}} is an alias of {{else}}', '{{#if a}}yes{{^}}no{{/if}}', {}, 'no'],
+  ['#if takes dot paths', '{{#if user.admin}}admin{{/if}}', { user: { admin: true } }, 'admin'],
+  ['Empty arrays, objects and blank strings are falsy', '{{#if a}}1{{/if}}{{#if b}}2{{/if}}{{#if c}}3{{/if}}', { a: [], b: {}, c: '  ' }, ''],
+  ['else if chains', '{{#if a}}A{{else if b}}B{{else if c}}C{{else}}D{{/if}}', { c: true }, 'C'],
+  ['else if falls through to else', '{{#if a}}A{{else if b}}B{{else}}D{{/if}}', {}, 'D'],
+  ['else unless chains', '{{#if a}}A{{else unless b}}not B{{/if}}', {}, 'not B'],
+  ['#unless inverts', '{{#unless a}}no a{{else}}a{{/unless}}', {}, 'no a'],
+  ['#if inside #each evaluates per item', '{{#each items}}{{#if done}}x{{else}}o{{/if}}{{/each}}', { items: [{ done: true }, { done: false }] }, 'xo'],
+  ['#if inside #each can test parent variables', '{{#each items}}{{#if show}}{{.}}{{/if}}{{/each}}', { show: true, items: ['a', 'b'] }, 'ab'],
+  ['#if before an array block works', '{{#if title}}<h1>{{title}}</h1>{{/if}}{{#items}}{{.}}{{/items}}', { title: 'T', items: [1] }, '<h1>T</h1>1'],
+  ['#if needs exactly one argument', '{{#if}}x{{/if}}', {}, { error: 'TEMPLATE_INVALID', message: '#if needs 1 argument' }],
+
+  // each / with
+  ['#each iterates arrays with @index, @number, @first and @last', '{{#each items}}{{@index}}{{@number}}{{#if @first}}F{{/if}}{{#if @last}}L{{/if}}{{.}};{{/each}}', { items: ['a', 'b'] }, '01Fa;12Lb;'],
+  ['#each iterates objects with @key', '{{#each prices}}{{@key}}={{this}};{{/each}}', { prices: { a: 1, b: 2 } }, 'a=1;b=2;'],
+  ['#each renders {{else}} for empty collections', '{{#each items}}x{{else}}empty{{/each}}', { items: [] }, 'empty'],
+  ['#each supports block params', '{{#each items as |item i|}}{{i}}:{{item.name}} {{/each}}', { items: [{ name: 'a' }, { name: 'b' }] }, '0:a 1:b '],
+  ['Nested #each can read the outer item through block params', '{{#each rows as |row|}}{{#each row.cells as |cell|}}{{row.id}}{{cell}}{{/each}}{{/each}}', { rows: [{ id: 'r', cells: [1, 2] }] }, 'r1r2'],
+  ['../ reads the parent context', '{{#each items}}{{name}}@{{../company}} {{/each}}', { company: 'ACME', items: [{ name: 'a' }] }, 'a@ACME '],
+  ['../ skips blocks that keep the context', '{{#each items}}{{#if name}}{{../company}}{{/if}}{{/each}}', { company: 'ACME', items: [{ name: 'a' }] }, 'ACME'],
+  ['Explicit ./ and this. do not fall back to parents', '{{#each items}}[{{./company}}][{{this.company}}][{{company}}]{{/each}}', { company: 'ACME', items: [{}] }, '[][][ACME]'],
+  ['@root reads the root context', '{{#each items}}{{#with this}}{{@root.title}}{{/with}}{{/each}}', { title: 'T', items: [{ a: 1 }] }, 'T'],
+  ['#with changes the context', '{{#with user}}{{name}} <{{email}}>{{/with}}', { user: { name: 'Ada', email: 'ada@example.com' } }, 'Ada <ada@example.com>'],
+  ['#with renders {{else}} for missing values', '{{#with user}}x{{else}}nobody{{/with}}', {}, 'nobody'],
+  ['#with supports block params', '{{#with user as |u|}}{{u.name}}{{/with}}', { user: { name: 'Ada' } }, 'Ada'],
+
+  // Helpers
+  ['Comparison helpers work inline', '{{eq a 1}} {{ne a 1}} {{lt a 2}} {{gte a 2}}', { a: 1 }, 'true false true false'],
+  ['Subexpressions feed helpers', '{{#if (eq status "paid")}}Paid{{else}}Due{{/if}}', { status: 'paid' }, 'Paid'],
+  ['Nested subexpressions', '{{#if (and (gt count 0) (not hidden))}}show{{/if}}', { count: 2, hidden: false }, 'show'],
+  ['Comparison helpers work as blocks', '{{#eq role "admin"}}A{{else}}U{{/eq}}', { role: 'user' }, 'U'],
+  ['or returns a boolean', '{{or a b}}', { a: 0, b: 'x' }, 'true'],
+  ['String literals may contain quotes and braces', "{{#if (eq a 'it\\'s }}')}}ok{{/if}}", { a: "it's }}" }, 'ok'],
+  ['lookup reads dynamic keys', '{{#each keys}}{{lookup ../labels this}} {{/each}}', { keys: ['a', 'b'], labels: { a: 'A', b: 'B' } }, 'A B '],
+  ['Custom helpers get arguments, hash and the context', '{{shout name suffix="!"}}', { name: 'ada' }, 'ADA!', { helpers: { shout: (value, options) => value.toUpperCase() + options.hash.suffix } }],
+  ['Custom helper output is escaped', '{{tag}}', {}, '&lt;b&gt;', { escape: true, helpers: { tag: () => '<b>' } }],
+  ['@data variables come from options', '{{@brand}}', {}, 'ACME', { data: { brand: 'ACME' } }],
+  ['Unknown helpers with arguments are errors', '{{format price}}', { price: 1 }, { error: 'TEMPLATE_INVALID', message: 'Unknown helper "format" at line 1, column 1' }],
+  ['Unknown helpers in subexpressions are errors', '{{#if (missing a)}}x{{/if}}', {}, { error: 'TEMPLATE_INVALID', message: 'Unknown helper "missing"' }],
+
+  // Formatting helpers (Intl, in the render's locale and time zone)
+  ['formatCurrency uses the locale', '{{formatCurrency total "CZK"}}', { total: 1234.5 }, '1\u00a0234,50\u00a0Kč', czech],
+  ['formatCurrency defaults to en-US', '{{formatCurrency total "usd"}} {{formatCurrency total "EUR" display="code" decimals=0}}', { total: 1234.5 }, '$1,234.50 EUR\u00a01,235'],
+  ['formatCurrency needs a currency code', '{{formatCurrency total}}', { total: 1 }, { error: 'TEMPLATE_INVALID', message: 'Helper "formatCurrency" failed' }],
+  ['formatNumber, decimals and compact notation', '{{formatNumber n}}|{{formatNumber n 2}}|{{formatNumber big notation="compact"}}', { n: 1234.5678, big: 1250000 }, '1,234.568|1,234.57|1.3M'],
+  ['formatNumber accepts numeric strings', '{{formatNumber n 1}}', { n: '2.25' }, '2,3', { locale: 'de-DE' }],
+  ['formatNumber rejects other strings', '{{formatNumber n}}', { n: 'abc' }, { error: 'TEMPLATE_INVALID', message: '"abc" is not a number' }],
+  ['formatPercent', '{{formatPercent r}} {{formatPercent r 1}}', { r: 0.256 }, '26% 25.6%'],
+  ['formatDate patterns use the time zone', '{{formatDate issued "d. M. yyyy HH:mm"}}', { issued: '2026-01-01T23:30:00Z' }, '2. 1. 2026 00:30', czech],
+  ['formatDate month names use the locale', '{{formatDate issued "d. MMMM yyyy"}}', { issued: '2026-01-01T12:00:00Z' }, '1. ledna 2026', czech],
+  ['formatDate weekday, 12-hour clock and quoted text', '{{formatDate issued "EEEE, MMM d, yyyy \'at\' h:mm a"}}', { issued: '2026-01-01T23:30:00Z' }, 'Thursday, Jan 1, 2026 at 11:30 PM'],
+  ['formatDate presets and timestamps', '{{formatDate issued}}|{{formatDate issued "long"}}|{{formatDate issued "iso"}}', { issued: 1767225600000 }, 'Jan 1, 2026|January 1, 2026|2026-01-01T00:00:00.000Z'],
+  ['formatDate takes timezone="..."', '{{formatDate issued "HH:mm" timezone="America/New_York"}}', { issued: '2026-07-01T12:00:00Z' }, '08:00'],
+  ['formatDate rejects invalid dates', '{{formatDate issued}}', { issued: 'soon' }, { error: 'TEMPLATE_INVALID', message: '"soon" is not a date' }],
+  ['formatList', '{{formatList names}} / {{formatList names type="disjunction"}}', { names: ['a', 'b', 'c'] }, 'a, b, and c / a, b, or c'],
+  ['pluralize with singular and plural', '{{pluralize 1 "item" "items"}} {{pluralize n "item" "items"}} {{pluralize 0 "item" "items" zero="none"}}', { n: 2 }, 'item items none'],
+  ['pluralize uses the plural rules of the locale', '{{#each counts}}{{pluralize this one="# soubor" few="# soubory" other="# souborů"}};{{/each}}', { counts: [1, 3, 5, 1500] }, '1 soubor;3 soubory;5 souborů;1\u00a0500 souborů;', czech],
+  ['truncate keeps the suffix within the length', '{{truncate text 10}}|{{truncate text 10 suffix="..."}}|{{truncate short 10}}', { text: 'Hello wonderful world', short: 'Hi' }, 'Hello won…|Hello w...|Hi'],
+  ['Text helpers default to the current value', '{{#each tags}}{{uppercase}} {{/each}}{{capitalize name}} {{lowercase "ABC"}}', { tags: ['a', 'b'], name: 'émile' }, 'A B Émile abc'],
+  ['Text helpers use the locale', '{{uppercase word}}', { word: 'istanbul' }, 'İSTANBUL', { locale: 'tr-TR' }],
+  ['Missing values format as empty', '[{{formatNumber a}}{{formatDate b}}{{truncate c 5}}]', {}, '[]'],
+  ['@locale and @timezone are available', '{{@locale}} {{@timezone}}', {}, 'cs-CZ Europe/Prague', czech],
+  ['Helper output is escaped', '{{formatList names}}', { names: ['<a>', 'b'] }, '&lt;a&gt; and b', escape],
+
+  // Partials
+  ['Partials render with the current context', '<h1>{{> title}}</h1>', { name: 'Ada' }, '<h1>Hi Ada</h1>', { partials: { title: 'Hi {{name}}' } }],
+  ['Partials take a context argument', '{{> card user}}', { user: { name: 'Ada' } }, '[Ada]', { partials: { card: '[{{name}}]' } }],
+  ['Partials take hash arguments', '{{> card user label="By"}}', { user: { name: 'Ada' } }, 'By Ada', { partials: { card: '{{label}} {{name}}' } }],
+  ['Partials can be used in loops', '{{#each users}}{{> card}}{{/each}}', { users: [{ name: 'a' }, { name: 'b' }] }, '[a][b]', { partials: { card: '[{{name}}]' } }],
+  ['Partials can include partials', '{{> outer}}', { x: 1 }, '<1>', { partials: { outer: '<{{> inner}}>', inner: '{{x}}' } }],
+  ['Quoted and dynamic partial names', '{{> "a/b"}}{{> (lookup . "which")}}', { which: 'c' }, 'BC', { partials: { 'a/b': 'B', c: 'C' } }],
+  ['Standalone partials are indented', '<div>\n  {{> list}}\n</div>', {}, '<div>\n  <p>1</p>\n  <p>2</p>\n</div>', { partials: { list: '<p>1</p>\n<p>2</p>\n' } }],
+  ['Partial output is escaped like the template', '{{> p}}', { v: '<i>' }, '&lt;i&gt;', { escape: true, partials: { p: '{{v}}' } }],
+  ['Missing partials are errors', '{{> nope}}', {}, { error: 'TEMPLATE_INVALID', message: 'Partial "nope" not found' }],
+  ['Recursive partials stop at the depth limit', '{{> self}}', {}, { error: 'TEMPLATE_INVALID', message: 'nested more than 10 levels deep' }, { partials: { self: '{{> self}}' } }],
+  ['Partial syntax errors name the partial', '{{> broken}}', {}, { error: 'TEMPLATE_INVALID', message: 'Missing {{/if}} at line 1, column 1 of partial "broken"' }, { partials: { broken: '{{#if a}}' } }],
+
+  // Syntax errors
+  ['Unclosed tags are errors', 'a {{name', {}, { error: 'TEMPLATE_INVALID', message: 'at line 1, column 3' }],
+  ['Stray {{else}} is an error', 'a{{else}}b', {}, { error: 'TEMPLATE_INVALID', message: '{{else}} outside of a block' }],
+  ['Stray close tags are errors', 'a{{/if}}', {}, { error: 'TEMPLATE_INVALID', message: 'Unexpected {{/if}}' }],
+  ['Invalid paths are errors', '{{a..b}}', {}, { error: 'TEMPLATE_INVALID', message: 'Invalid path "a.."' }],
+  ['Hash arguments must come last', '{{> p a=1 b}}', {}, { error: 'TEMPLATE_INVALID', message: 'Positional arguments must come before' }],
+
+  // Templates written for the old processor
+  ['Old: simple variables and #if/else', '<h1>{{title}}</h1>{{#if subtitle}}<h2>{{subtitle}}</h2>{{else}}<hr>{{/if}}', { title: 'T', subtitle: '' }, '<h1>T</h1><hr>'],
+  ['Old: array blocks with object items and index helpers', '{{#items}}{{@number}}. {{name}}{{#if @last}}.{{else}}, {{/if}}{{/items}}', { items: [{ name: 'a' }, { name: 'b' }] }, '1. a, 2. b.'],
+  ['Old: nested array blocks', '{{#groups}}[{{#members}}{{.}}{{/members}}]{{/groups}}', { groups: [{ members: [1, 2] }, { members: [3] }] }, '[12][3]'],
+  ['Old: #unless blocks', '{{#unless hidden}}visible{{/unless}}', { hidden: false }, 'visible']
+];
+
+// Variable analysis cases: [description, template, expected required variables, options]
+const variableTests = [
+  ['Top-level variables, conditions and loop sources are required', '{{title}}{{#if show}}x{{/if}}{{#each items}}{{name}}{{/each}}', ['title', 'show', 'items']],
+  ['Dot paths require their root', '{{user.name}} {{user.email}}', ['user']],
+  ['Variables inside sections are not required', '{{#items}}{{name}}{{/items}}', ['items']],
+  ['Variables inside #if are required', '{{#if a}}{{b}}{{else if c}}{{d}}{{/if}}', ['a', 'b', 'c', 'd']],
+  ['Helpers, literals, @data and block params are not variables', '{{#each list as |item|}}{{item.x}}{{@index}}{{/each}}{{eq a "b"}}', ['list', 'a']],
+  ['../ and @root paths that reach the root are required', '{{#each items}}{{../currency}}{{@root.locale}}{{/each}}', ['items', 'currency', 'locale']],
+  ['Subexpression and hash arguments are required', '{{#if (gt count limit)}}{{> p label=caption}}{{/if}}', ['count', 'limit', 'caption']],
+  ['Helper arguments are variables', '{{formatCurrency total currency}}{{formatDate issued "long"}}{{#each items}}{{formatNumber price}}{{/each}}', ['total', 'currency', 'issued', 'items']],
+  ['Comments are ignored', '{{! {{hidden}} }}{{shown}}', ['shown']],
+  ['Partial variables are required when the partial is given', '{{> header}}{{body}}', ['title', 'body'], { partials: { header: '<h1>{{title}}</h1>' } }],
+  ['Partials with a context argument require only the argument', '{{> card user}}', ['user'], { partials: { card: '{{name}}' } }],
+  ['Unknown partials are skipped', '{{> header}}{{body}}', ['body']]
+];
+
+function runRenderTest([description, template, variables, expected, options]) {
+  try {
+    const output = processTemplate(template, variables, options);
+    return { ok: output === expected, actual: output };
+  } catch (error) {
+    const ok = typeof expected === 'object'
+      && error.code === expected.error
+      && (!expected.message || error.message.includes(expected.message));
+    return { ok, actual: `${error.code || error.name}: ${error.message}` };
+  }
+}
+
+function runVariableTest([, template, expected, options]) {
+  const actual = extractTemplateVariables(template, options);
+  return { ok: JSON.stringify(actual) === JSON.stringify(expected), actual };
+}
+
+function runAllTests() {
+  console.log('🧩 Testing Template Engine Compatibility...\n');
+
+  let passed = 0;
+  const results = [
+    ...renderTests.map(test => [test[0], test[3], runRenderTest(test)]),
+    ...variableTests.map(test => [`Variables: ${test[0]}`, test[2], runVariableTest(test)])
+  ];
+
+  for (const [description, expected, { ok, actual }] of results) {
+    if (ok) {
+      passed++;
+    }
+    console.log(`${ok ? '✅' : '❌'} ${description}`);
+    if (!ok) {
+      console.log('   Expected:', expected);
+      console.log('   Actual:  ', actual);
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${results.length} tests passed`);
+  if (passed !== results.length) {
+    process.exitCode = 1;
+  }
+}
+
+runAllTests();